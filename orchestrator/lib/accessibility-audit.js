@@ -0,0 +1,334 @@
+// accessibility-audit.js
+// Accessibility audit for a rendered prototype: axe-core rules, a keyboard
+// walk through every tab stop, and text contrast ratios. Produces structured
+// findings plus a 0-1 score that is tracked per iteration.
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const AXE_SCRIPT = require.resolve('axe-core/axe.min.js');
+
+const MAX_TAB_STOPS = 60;
+const MAX_CONTRAST_FINDINGS = 20;
+
+// Score penalty per finding, by impact
+const IMPACT_PENALTY = {
+  critical: 0.15,
+  serious: 0.08,
+  moderate: 0.04,
+  minor: 0.01
+};
+
+export async function runAxe(page) {
+  await page.addScriptTag({ path: AXE_SCRIPT });
+  const results = await page.evaluate(() => window.axe.run(document, {
+    resultTypes: ['violations'],
+    // Contrast is measured by checkContrast() so it isn't counted twice
+    rules: { 'color-contrast': { enabled: false } }
+  }));
+
+  return results.violations.map(violation => ({
+    source: 'axe',
+    ruleId: violation.id,
+    impact: violation.impact || 'minor',
+    message: violation.help,
+    help: violation.helpUrl,
+    nodeCount: violation.nodes.length,
+    selectors: violation.nodes.slice(0, 5).map(node => node.target.join(' ')),
+    details: violation.nodes[0]?.failureSummary || ''
+  }));
+}
+
+// Runs in the page: describe the focused element and whether focus is visible
+function describeFocus() {
+  const el = document.activeElement;
+  if (!el || el === document.body || el === document.documentElement) {
+    return null;
+  }
+
+  const style = getComputedStyle(el);
+  const hasOutline = style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0;
+  const hasRing = style.boxShadow && style.boxShadow !== 'none';
+  const rect = el.getBoundingClientRect();
+
+  const id = el.id ? `#${el.id}` : '';
+  const name = (el.getAttribute('aria-label') || el.textContent || el.getAttribute('placeholder') || '')
+    .trim().replace(/\s+/g, ' ').slice(0, 40);
+
+  // Stable identity across Tab presses
+  if (!el.dataset.a11yFocusId) {
+    el.dataset.a11yFocusId = String(document.querySelectorAll('[data-a11y-focus-id]').length + 1);
+  }
+
+  return {
+    key: el.dataset.a11yFocusId,
+    label: `<${el.tagName.toLowerCase()}${id}>${name ? ` "${name}"` : ''}`,
+    visibleFocus: hasOutline || Boolean(hasRing),
+    top: Math.round(rect.top + window.scrollY),
+    left: Math.round(rect.left + window.scrollX)
+  };
+}
+
+function countTabbable() {
+  const candidates = document.querySelectorAll(
+    'a[href], button, input, select, textarea, summary, [tabindex], [contenteditable="true"]'
+  );
+  return [...candidates].filter(el => {
+    if (el.disabled || el.getAttribute('tabindex') === '-1') return false;
+    if (el.type === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  }).length;
+}
+
+/**
+ * Tab through the page from the top, recording focus order and visibility and
+ * detecting keyboard traps (focus that can't move on before every tab stop
+ * has been reached).
+ */
+export async function keyboardTraversal(page) {
+  const findings = [];
+  const focusOrder = [];
+  const tabbableCount = await page.evaluate(countTabbable);
+
+  await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    window.scrollTo(0, 0);
+  });
+
+  const seen = new Set();
+  let stuckCount = 0;
+  let previous = null;
+
+  for (let i = 0; i < Math.min(MAX_TAB_STOPS, tabbableCount + 2); i++) {
+    await page.keyboard.press('Tab');
+    const focus = await page.evaluate(describeFocus);
+
+    // Focus left the document (back to the browser chrome): traversal complete
+    if (!focus) break;
+
+    if (previous && focus.key === previous.key) {
+      stuckCount++;
+      if (stuckCount >= 2) {
+        findings.push({
+          source: 'keyboard',
+          ruleId: 'keyboard-trap',
+          impact: 'critical',
+          message: `Focus is stuck on ${focus.label}; Tab does not move focus away`,
+          selectors: [focus.label]
+        });
+        break;
+      }
+      continue;
+    }
+    stuckCount = 0;
+
+    if (seen.has(focus.key)) {
+      if (seen.size < tabbableCount) {
+        findings.push({
+          source: 'keyboard',
+          ruleId: 'keyboard-trap',
+          impact: 'critical',
+          message: `Focus cycles back to ${focus.label} after ${seen.size} of ${tabbableCount} tab stops; the remaining controls can't be reached with the keyboard`,
+          selectors: [focus.label]
+        });
+      }
+      break;
+    }
+    seen.add(focus.key);
+    focusOrder.push(focus.label);
+
+    if (!focus.visibleFocus) {
+      findings.push({
+        source: 'keyboard',
+        ruleId: 'focus-not-visible',
+        impact: 'serious',
+        message: `${focus.label} has no visible focus indicator`,
+        selectors: [focus.label]
+      });
+    }
+
+    // Jumping well above the previous stop usually means DOM order doesn't match visual order
+    if (previous && focus.top < previous.top - 40 && focus.left <= previous.left) {
+      findings.push({
+        source: 'keyboard',
+        ruleId: 'focus-order',
+        impact: 'moderate',
+        message: `Focus jumps backwards from ${previous.label} to ${focus.label}`,
+        selectors: [focus.label]
+      });
+    }
+
+    previous = focus;
+  }
+
+  if (tabbableCount > 0 && focusOrder.length === 0) {
+    findings.push({
+      source: 'keyboard',
+      ruleId: 'keyboard-unreachable',
+      impact: 'critical',
+      message: `None of the ${tabbableCount} interactive elements can be reached with Tab`,
+      selectors: []
+    });
+  }
+
+  await page.evaluate(() => {
+    document.querySelectorAll('[data-a11y-focus-id]').forEach(el => el.removeAttribute('data-a11y-focus-id'));
+  });
+
+  return { findings, focusOrder, tabbableCount };
+}
+
+// Runs in the page: WCAG contrast ratio of every visible text element
+function measureContrast(limit) {
+  // Let a canvas resolve any CSS color (Tailwind v4 themes use oklch) to sRGB
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 1;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const parse = color => {
+    if (!color) return null;
+    ctx.clearRect(0, 0, 1, 1);
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    return { r, g, b, a: a / 255 };
+  };
+
+  const luminance = ({ r, g, b }) => {
+    const channel = value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+
+  // Blend translucent layers from the element up to the page background
+  const background = el => {
+    const layers = [];
+    for (let node = el; node; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null; // Can't measure gradients/images
+      const color = parse(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    let result = { r: 255, g: 255, b: 255 };
+    for (const layer of layers.reverse()) {
+      result = {
+        r: layer.r * layer.a + result.r * (1 - layer.a),
+        g: layer.g * layer.a + result.g * (1 - layer.a),
+        b: layer.b * layer.a + result.b * (1 - layer.a)
+      };
+    }
+    return result;
+  };
+
+  const findings = [];
+  const elements = document.body.querySelectorAll('*');
+  for (const el of elements) {
+    const hasText = [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    if (!hasText) continue;
+
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden' || Number(style.opacity) === 0) continue;
+
+    const color = parse(style.color);
+    const back = background(el);
+    if (!color || !back) continue;
+
+    // Semi-transparent text is seen blended with what's behind it
+    const foreground = {
+      r: color.r * color.a + back.r * (1 - color.a),
+      g: color.g * color.a + back.g * (1 - color.a),
+      b: color.b * color.a + back.b * (1 - color.a)
+    };
+
+    const l1 = luminance(foreground);
+    const l2 = luminance(back);
+    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+    const size = parseFloat(style.fontSize);
+    const bold = Number(style.fontWeight) >= 700;
+    const large = size >= 24 || (bold && size >= 18.66);
+    const required = large ? 3 : 4.5;
+
+    if (ratio < required) {
+      const text = el.textContent.trim().replace(/\s+/g, ' ').slice(0, 40);
+      findings.push({
+        text,
+        element: `<${el.tagName.toLowerCase()}>`,
+        ratio: Math.round(ratio * 100) / 100,
+        required,
+        color: style.color
+      });
+      if (findings.length >= limit) break;
+    }
+  }
+  return findings;
+}
+
+export async function checkContrast(page) {
+  const results = await page.evaluate(measureContrast, MAX_CONTRAST_FINDINGS);
+  return results.map(result => ({
+    source: 'contrast',
+    ruleId: 'text-contrast',
+    impact: result.ratio < result.required / 1.5 ? 'serious' : 'moderate',
+    message: `${result.element} "${result.text}" has contrast ratio ${result.ratio}:1 (needs ${result.required}:1)`,
+    selectors: [`${result.element} "${result.text}"`]
+  }));
+}
+
+export function scoreFindings(findings) {
+  const penalty = findings.reduce((total, finding) => {
+    const base = IMPACT_PENALTY[finding.impact] ?? IMPACT_PENALTY.minor;
+    // Extra affected nodes cost a little more, but one rule can't sink the score alone
+    const extraNodes = Math.min((finding.nodeCount || 1) - 1, 5);
+    return total + base + extraNodes * 0.01;
+  }, 0);
+  return Math.max(0, Math.round((1 - penalty) * 100) / 100);
+}
+
+export function formatFinding(finding) {
+  const where = finding.selectors?.length ? ` (${finding.selectors.join(', ')})` : '';
+  return `[${finding.impact}] ${finding.ruleId}: ${finding.message}${where}`;
+}
+
+/**
+ * Full audit of the page as currently loaded. The score is null when a check
+ * failed, since the findings of the others alone would overrate the page.
+ */
+export async function auditAccessibility(page) {
+  const findings = [];
+  const errors = [];
+
+  try {
+    findings.push(...await runAxe(page));
+  } catch (error) {
+    errors.push(`axe-core: ${error.message}`);
+  }
+
+  let focusOrder = [];
+  try {
+    const keyboard = await keyboardTraversal(page);
+    findings.push(...keyboard.findings);
+    focusOrder = keyboard.focusOrder;
+  } catch (error) {
+    errors.push(`keyboard traversal: ${error.message}`);
+  }
+
+  try {
+    findings.push(...await checkContrast(page));
+  } catch (error) {
+    errors.push(`contrast check: ${error.message}`);
+  }
+
+  return {
+    score: errors.length === 0 ? scoreFindings(findings) : null,
+    findings,
+    focusOrder,
+    errors
+  };
+}
@@ -0,0 +1,124 @@
+// build-gate.js
+// Runs the prototype project's own TypeScript and ESLint setup against the
+// generated files so broken code never reaches the browser tests.
+
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+const COMMAND_TIMEOUT = 120000;
+
+async function run(command, cwd) {
+  try {
+    const { stdout, stderr } = await execAsync(command, { cwd, timeout: COMMAND_TIMEOUT, maxBuffer: 10 * 1024 * 1024 });
+    return { exitCode: 0, stdout, stderr };
+  } catch (error) {
+    // Non-zero exit still carries the diagnostics we're after
+    return { exitCode: error.code ?? 1, stdout: error.stdout || '', stderr: error.stderr || error.message };
+  }
+}
+
+function sameFile(a, b) {
+  return path.normalize(a).toLowerCase() === path.normalize(b).toLowerCase();
+}
+
+export async function runTypeCheck(projectPath, files) {
+  const { exitCode, stdout, stderr } = await run('npx --no-install tsc -b --pretty false', projectPath);
+  const output = `${stdout}\n${stderr}`;
+
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/);
+    if (match) {
+      diagnostics.push({
+        tool: 'tsc',
+        file: match[1],
+        line: Number(match[2]),
+        column: Number(match[3]),
+        code: match[4],
+        message: match[5]
+      });
+    }
+  }
+
+  const ownErrors = diagnostics.filter(diagnostic =>
+    files.some(file => sameFile(path.resolve(projectPath, diagnostic.file), path.resolve(projectPath, file))));
+
+  if (exitCode !== 0 && diagnostics.length === 0) {
+    // tsc itself didn't run (missing node_modules, broken tsconfig, ...)
+    return { ran: false, errors: [], otherErrors: [], output: output.trim() };
+  }
+
+  return {
+    ran: true,
+    errors: ownErrors,
+    otherErrors: diagnostics.filter(diagnostic => !ownErrors.includes(diagnostic)),
+    output: output.trim()
+  };
+}
+
+export async function runLint(projectPath, files) {
+  const { stdout, stderr } = await run(`npx --no-install eslint --format json ${files.map(file => `"${file}"`).join(' ')}`, projectPath);
+
+  let results;
+  try {
+    results = JSON.parse(stdout);
+  } catch {
+    return { ran: false, errors: [], warnings: [], output: `${stdout}\n${stderr}`.trim() };
+  }
+
+  const messages = results.flatMap(result => result.messages.map(message => ({
+    tool: 'eslint',
+    file: path.relative(projectPath, result.filePath),
+    line: message.line,
+    column: message.column,
+    code: message.ruleId || 'parse-error',
+    message: message.message,
+    severity: message.severity
+  })));
+
+  return {
+    ran: true,
+    errors: messages.filter(message => message.severity === 2),
+    warnings: messages.filter(message => message.severity !== 2)
+  };
+}
+
+/**
+ * Type-check and lint the generated files of the prototype project.
+ * Only problems in those files fail the gate; anything else is reported as context.
+ * `ok` is null when neither tool could run, since nothing was checked.
+ *
+ * @param {string} projectPath absolute path to the Vite project
+ * @param {string | string[]} files generated file(s) relative to projectPath
+ */
+export async function checkPrototype(projectPath, files) {
+  const generated = [].concat(files);
+  const [typeCheck, lint] = await Promise.all([
+    runTypeCheck(projectPath, generated),
+    runLint(projectPath, generated)
+  ]);
+
+  const errors = [...typeCheck.errors, ...lint.errors];
+  const checked = typeCheck.ran || lint.ran;
+
+  return {
+    ok: checked ? errors.length === 0 : null,
+    checked,
+    errors,
+    warnings: lint.warnings || [],
+    otherErrors: typeCheck.otherErrors || [],
+    skipped: [
+      ...(typeCheck.ran ? [] : [`tsc: ${typeCheck.output || 'did not run'}`]),
+      ...(lint.ran ? [] : [`eslint: ${lint.output || 'did not run'}`])
+    ]
+  };
+}
+
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(diagnostic => `${diagnostic.tool} ${diagnostic.file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.code}: ${diagnostic.message}`)
+    .join('\n');
+}
@@ -0,0 +1,154 @@
+// cassette.js
+// Record and replay of model calls. A recorded cassette holds every request
+// and response of a run; replaying it answers each request from the file, so
+// the workflow runs offline and gives the same results every time.
+//
+// Requests are matched by fingerprint: a hash of the stage, system prompt,
+// messages and schema name. Screenshot bytes and the dev server's origin are
+// left out because they change between runs without changing the question.
+// Prompts that embed what the browser saw (timings, tool output) can still
+// differ, so a request without an exact match gets the next unused response
+// of its stage, in recorded order, unless the cassette is strict. Entries
+// without a fingerprint (e.g. written by hand for a test) are always served
+// that way.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+export class CassetteMissError extends Error {
+  constructor(stage, fingerprint, file) {
+    super(`No recorded ${stage} response left for this request (fingerprint ${fingerprint.slice(0, 12)}) in ${file}. The workflow changed since the cassette was recorded; record it again.`);
+    this.name = 'CassetteMissError';
+    this.stage = stage;
+    this.fingerprint = fingerprint;
+  }
+}
+
+// Request as stored and hashed: images reduced to their type, base URL made generic
+function normalizeRequest(stage, { system, messages, jsonSchema }, baseUrl) {
+  const origin = baseUrl ? new URL(baseUrl).origin : null;
+  const text = value => origin ? String(value ?? '').replaceAll(origin, '{baseUrl}') : String(value ?? '');
+  return {
+    stage,
+    system: text(system),
+    messages: messages.map(message => ({
+      role: message.role,
+      content: typeof message.content === 'string'
+        ? text(message.content)
+        : message.content.map(part => part.type === 'image'
+          ? { type: 'image', mediaType: part.mediaType }
+          : { type: 'text', text: text(part.text) })
+    })),
+    schema: jsonSchema?.name || null
+  };
+}
+
+export function fingerprint(stage, request, { baseUrl = null } = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizeRequest(stage, request, baseUrl)))
+    .digest('hex');
+}
+
+export class Cassette {
+  constructor(file, mode, entries = [], { strict = false } = {}) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}". Expected one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+    this.file = file;
+    this.mode = mode;
+    this.entries = entries;
+    this.strict = strict;
+    this.used = new Set();
+    // Stages whose recorded response was served by order rather than by fingerprint
+    this.mismatches = [];
+  }
+
+  /**
+   * Open a cassette. Recording always starts from an empty cassette; replaying
+   * needs the file to exist.
+   */
+  static async open(file, mode, { strict = false } = {}) {
+    if (mode === 'record') {
+      const cassette = new Cassette(file, mode);
+      await cassette.save();
+      return cassette;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read cassette ${file} (${error.message})`);
+    }
+    if (!Array.isArray(data.entries)) {
+      throw new Error(`Cassette ${file} has no "entries" array`);
+    }
+    return new Cassette(file, mode, data.entries, { strict });
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+    const data = { version: 1, recordedAt: new Date().toISOString(), entries: this.entries };
+    await fs.writeFile(`${this.file}.tmp`, JSON.stringify(data, null, 2));
+    await fs.rename(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Answer one model call: from the cassette when replaying, or by calling
+   * `send` and saving the exchange when recording.
+   *
+   * @param {string} stage workflow stage making the call
+   * @param {object} request the provider request ({ model, system, messages, jsonSchema, ... })
+   * @param {() => Promise<{ text: string, usage: object }>} send performs the real call
+   */
+  async complete(stage, request, send, { provider = null, baseUrl = null } = {}) {
+    const key = fingerprint(stage, request, { baseUrl });
+
+    if (this.mode === 'replay') {
+      const index = this.findEntry(stage, key);
+      if (index === -1) {
+        throw new CassetteMissError(stage, key, this.file);
+      }
+      this.used.add(index);
+      return this.entries[index].response;
+    }
+
+    const response = await send();
+    this.entries.push({
+      fingerprint: key,
+      stage,
+      provider,
+      model: request.model,
+      request: normalizeRequest(stage, request, baseUrl),
+      response: { text: response.text, usage: response.usage }
+    });
+    // Saved after every call so an interrupted recording keeps what it got
+    await this.save();
+    return response;
+  }
+
+  // Identical requests (retries, repeated scenarios) get their answers in recorded order
+  findEntry(stage, key) {
+    const unused = this.entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ index }) => !this.used.has(index));
+    const exact = unused.find(({ entry }) => entry.fingerprint === key);
+    if (exact) return exact.index;
+
+    const next = unused.find(({ entry }) => entry.stage === stage && (!entry.fingerprint || !this.strict));
+    if (next?.entry.fingerprint) {
+      console.log(`⚠️ ${stage} request differs from the recording, replaying the next recorded ${stage} response`);
+      this.mismatches.push(stage);
+    }
+    return next ? next.index : -1;
+  }
+
+  // Entries a replay never asked for, e.g. because the run stopped earlier than when recorded
+  unused() {
+    return this.entries.filter((entry, index) => !this.used.has(index));
+  }
+}
@@ -0,0 +1,223 @@
+// cli.js
+// Command line parsing: subcommands, long options that override config
+// values, and prompt input from an argument, a file or stdin.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { CAPTURE_KINDS } from './session-recording.js';
+
+export const COMMANDS = ['run', 'test-only', 'report', 'resume', 'list-runs', 'restore', 'discard'];
+
+export const USAGE = `Usage: node orchestrator.js [command] [options]
+
+Commands:
+  run [prompt]              Generate a prototype and iterate on it (default)
+  test-only [prompt]        Test and improve the existing GeneratedPrototype.tsx
+  resume <runId>            Continue an interrupted or failed run
+  report [report.json]      Rebuild the HTML report from a report JSON
+  list-runs                 List saved runs with their best scores
+  restore <runId>           Restore a saved version (best by default) into the prototype
+  discard <runId>           Delete a run and the flow and variant pages it left in the prototype
+
+Prompt input:
+  [prompt]                  Prompt text as an argument; use "-" to read it from stdin
+  --prompt-file <path>      Read the prompt from a file
+
+Options:
+  --config <path>           Config file (default: prototype-agent.config.json or .js in the current directory)
+  --vite-path <path>        Vite project directory
+  --vite-url <url>          URL of the running dev server
+  --start-server            Start and manage the Vite dev server
+  --max-iterations <n>      Maximum improvement iterations
+  --threshold <0-1>         Score needed to stop iterating
+  --model <stage=provider:model>
+                            Model for one stage, e.g. --model generate=anthropic:claude-sonnet-4-20250514 (repeatable)
+  --headless / --headed     Run the browser with or without a window
+  --runs-dir <path>         Where run history is stored
+  --rollback-on-regression  Discard improvements that lower the score
+  --edit-mode <mode>        How improvements change the code: patch (targeted edits, the default) or rewrite
+  --multi-page              Generate a flow of routed pages instead of a single component
+  --prototype-name <name>   Folder and route prefix for a multi-page flow (src/pages/<name>/)
+  --design-system           Build from the project's shadcn/ui components and check conformance
+  --budget <usd>            Stop iterating before the projected model spend exceeds this amount
+  --variants <n>            Generate n design variants and iterate on the best (tournament)
+  --keep-variants <k>       Variants that survive the first round of a tournament
+  --personas <ids>          Run usability sessions as these tester personas, comma-separated (or "all")
+  --personas-dir <path>     Directory of your own persona files, searched before the bundled ones
+  --reference <[viewport=]file>
+                            Reference design (PNG) to follow and score fidelity against, e.g. --reference mobile=home-mobile.png;
+                            without a viewport, the one closest to the image's width (repeatable)
+  --capture <kinds>         Record each scenario's session: video, trace, actions (timestamped steps with screenshots), comma-separated (or "all")
+  --key-frames <n>          Show the feedback model n action-log screenshots of each failed scenario (turns on --capture actions)
+  --record <cassette>       Save every model request and response of the run to a cassette file
+  --replay <cassette>       Answer model calls from a recorded cassette, offline
+  -s, --skip-generation     Same as the test-only command
+  -n, --no-human-input      Never stop to ask whether to keep iterating
+  --review                  Review the findings before every improvement: accept, reject, reprioritize, add direction
+  --iteration <n>           Iteration to restore (restore command)
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  'prompt-file': { type: 'string' },
+  'vite-path': { type: 'string' },
+  'vite-url': { type: 'string' },
+  'start-server': { type: 'boolean' },
+  'max-iterations': { type: 'string' },
+  threshold: { type: 'string' },
+  model: { type: 'string', multiple: true },
+  headless: { type: 'boolean' },
+  headed: { type: 'boolean' },
+  'runs-dir': { type: 'string' },
+  'rollback-on-regression': { type: 'boolean' },
+  'edit-mode': { type: 'string' },
+  'multi-page': { type: 'boolean' },
+  'prototype-name': { type: 'string' },
+  'design-system': { type: 'boolean' },
+  budget: { type: 'string' },
+  variants: { type: 'string' },
+  'keep-variants': { type: 'string' },
+  personas: { type: 'string' },
+  'personas-dir': { type: 'string' },
+  reference: { type: 'string', multiple: true },
+  capture: { type: 'string' },
+  'key-frames': { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  'skip-generation': { type: 'boolean', short: 's' },
+  'no-human-input': { type: 'boolean', short: 'n' },
+  review: { type: 'boolean' },
+  iteration: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Keep non-numeric input as a string so config validation can report it verbatim
+function toNumber(value) {
+  return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+}
+
+// "mobile=home.png" or just "home.png"
+function parseReference(spec) {
+  const match = spec.match(/^([\w-]+)=(.+)$/);
+  return match
+    ? { viewport: match[1], file: path.resolve(match[2]) }
+    : { viewport: null, file: path.resolve(spec) };
+}
+
+// "video,trace" or "all" -> { video: true, trace: true }
+function parseCapture(spec) {
+  const kinds = spec.split(',').map(kind => kind.trim()).filter(Boolean);
+  const recording = {};
+  for (const kind of kinds.includes('all') ? Object.keys(CAPTURE_KINDS) : kinds) {
+    if (!CAPTURE_KINDS[kind]) {
+      throw new Error(`--capture expects ${Object.keys(CAPTURE_KINDS).join(', ')} or all (got "${kind}")`);
+    }
+    recording[CAPTURE_KINDS[kind]] = true;
+  }
+  return recording;
+}
+
+function parseModel(spec) {
+  const match = spec.match(/^([\w-]+)=([\w-]+):(.+)$/);
+  if (!match) {
+    throw new Error(`--model expects stage=provider:model (got "${spec}")`);
+  }
+  return { stage: match[1], provider: match[2], model: match[3] };
+}
+
+/**
+ * @returns {{ command: string, args: string[], options: object, overrides: object }}
+ */
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+
+  // Without a known subcommand, the first argument is the prompt (original CLI)
+  let command = 'run';
+  let args = positionals;
+  if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+    command = positionals[0];
+    args = positionals.slice(1);
+  }
+  if (command === 'run' && values['skip-generation']) {
+    command = 'test-only';
+  }
+  if (['resume', 'restore', 'discard'].includes(command) && !args[0]) {
+    throw new Error(`The ${command} command needs a run id (see list-runs)`);
+  }
+  if (values.headless && values.headed) {
+    throw new Error('Use either --headless or --headed, not both');
+  }
+  if (values.record && values.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+
+  const overrides = {};
+  if (values['vite-path']) overrides.viteProjectPath = path.resolve(values['vite-path']);
+  if (values['vite-url']) overrides.viteUrl = values['vite-url'];
+  if (values['start-server']) overrides.startDevServer = true;
+  if (values['max-iterations'] !== undefined) overrides.maxIterations = toNumber(values['max-iterations']);
+  if (values.threshold !== undefined) overrides.feedbackThreshold = toNumber(values.threshold);
+  if (values.headless) overrides.headless = true;
+  if (values.headed) overrides.headless = false;
+  if (values['runs-dir']) overrides.runsDir = path.resolve(values['runs-dir']);
+  if (values['rollback-on-regression']) overrides.rollbackOnRegression = true;
+  if (values['edit-mode']) overrides.editMode = values['edit-mode'];
+  if (values['multi-page']) overrides.multiPage = true;
+  if (values['prototype-name']) overrides.prototypeName = values['prototype-name'];
+  if (values['design-system']) overrides.designSystem = true;
+  if (values.record) overrides.cassette = { mode: 'record', file: path.resolve(values.record) };
+  if (values.replay) overrides.cassette = { mode: 'replay', file: path.resolve(values.replay) };
+  if (values.budget !== undefined) overrides.budget = toNumber(values.budget.replace(/^\$/, ''));
+  if (values.variants !== undefined) overrides.variants = toNumber(values.variants);
+  if (values['keep-variants'] !== undefined) overrides.keepVariants = toNumber(values['keep-variants']);
+  if (values.personas !== undefined) overrides.personas = values.personas.split(',').map(id => id.trim()).filter(Boolean);
+  if (values['personas-dir']) overrides.personasDir = path.resolve(values['personas-dir']);
+  if (values.reference) overrides.references = values.reference.map(parseReference);
+  if (values.capture) overrides.recording = parseCapture(values.capture);
+  if (values['key-frames'] !== undefined) overrides.recording = { ...overrides.recording, actionLog: true, keyFrames: toNumber(values['key-frames']) };
+  if (values['no-human-input']) overrides.allowHumanInput = false;
+  if (values.review) overrides.reviewEachIteration = true;
+  for (const spec of values.model || []) {
+    const { stage, provider, model } = parseModel(spec);
+    overrides.stages = { ...overrides.stages, [stage]: { provider, model } };
+  }
+
+  return {
+    command,
+    args,
+    options: {
+      config: values.config,
+      promptFile: values['prompt-file'],
+      iteration: values.iteration !== undefined ? toNumber(values.iteration) : null,
+      help: Boolean(values.help)
+    },
+    overrides
+  };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Resolve the design prompt from --prompt-file, "-" (stdin) or the argument.
+ * @returns {Promise<{ prompt: string | null, fromStdin: boolean }>}
+ */
+export async function readPrompt(promptArg, promptFile) {
+  if (promptFile) {
+    const prompt = (await fs.readFile(promptFile, 'utf8')).trim();
+    if (!prompt) throw new Error(`Prompt file ${promptFile} is empty`);
+    return { prompt, fromStdin: false };
+  }
+  if (promptArg === '-') {
+    const prompt = (await readStdin()).trim();
+    if (!prompt) throw new Error('No prompt received on stdin');
+    return { prompt, fromStdin: true };
+  }
+  return { prompt: promptArg || null, fromStdin: false };
+}
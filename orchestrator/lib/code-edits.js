@@ -0,0 +1,98 @@
+// code-edits.js
+// Targeted search/replace edits to the prototype's source, so an improvement
+// changes what the findings need instead of regenerating every file. Each
+// edit names the finding it addresses, which keeps changes traceable in the
+// report. An edit whose search text isn't found exactly once is a conflict;
+// the caller decides what to do about it (the workflow rewrites the file).
+
+function countLines(text) {
+  return text === '' ? 0 : text.replace(/\n$/, '').split('\n').length;
+}
+
+// Start and end offsets of every line of a text
+function lineSpans(text) {
+  const spans = [];
+  let start = 0;
+  for (const line of text.split('\n')) {
+    spans.push({ start, end: start + line.length, text: line.trim() });
+    start += line.length + 1;
+  }
+  return spans;
+}
+
+/**
+ * Where `search` occurs in `source`. Exact matches win; failing that, whole
+ * lines are compared without their indentation, since models often get
+ * whitespace wrong when quoting code.
+ *
+ * @returns {{ count: number, start?: number, end?: number }}
+ */
+export function locate(source, search) {
+  const exact = [];
+  for (let at = source.indexOf(search); at !== -1; at = source.indexOf(search, at + 1)) {
+    exact.push(at);
+  }
+  if (exact.length > 0) {
+    return exact.length === 1 ? { count: 1, start: exact[0], end: exact[0] + search.length } : { count: exact.length };
+  }
+
+  const wanted = search.split('\n').map(line => line.trim());
+  while (wanted.length > 0 && wanted[0] === '') wanted.shift();
+  while (wanted.length > 0 && wanted.at(-1) === '') wanted.pop();
+  if (wanted.length === 0) return { count: 0 };
+
+  const lines = lineSpans(source);
+  const matches = [];
+  for (let i = 0; i + wanted.length <= lines.length; i++) {
+    if (wanted.every((line, k) => lines[i + k].text === line)) matches.push(i);
+  }
+  if (matches.length !== 1) return { count: matches.length };
+  return { count: 1, start: lines[matches[0]].start, end: lines[matches[0] + wanted.length - 1].end };
+}
+
+/**
+ * Apply edits in order: each one sees the code as the edits before it left
+ * it. Every edit that can't be applied is reported as a conflict; the others
+ * still are.
+ *
+ * @param {Map<string, string>} files path → contents
+ * @param {{ file: string, issue: string, search: string, replace: string }[]} edits
+ * @param {{ canCreate?: (file: string) => boolean }} options files that may be added with an empty search
+ * @returns {{ files: Map<string, string>, applied: object[], conflicts: object[] }}
+ *   applied: { issue, file, removed, added } line counts; conflicts: { edit, issue, file, reason }
+ */
+export function applyEdits(files, edits, { canCreate = () => false } = {}) {
+  const result = new Map(files);
+  const applied = [];
+  const conflicts = [];
+
+  for (const [index, edit] of edits.entries()) {
+    const { file, issue, search, replace } = edit;
+    const conflict = reason => conflicts.push({ edit: index + 1, issue, file, reason });
+    const source = result.get(file);
+
+    if (source === undefined) {
+      if (search === '' && canCreate(file)) {
+        result.set(file, replace);
+        applied.push({ issue, file, removed: 0, added: countLines(replace) });
+      } else {
+        conflict(canCreate(file) ? 'the file doesn\'t exist; use an empty search to add it' : 'not a file of this prototype');
+      }
+      continue;
+    }
+    if (search === '') {
+      conflict('empty search text');
+      continue;
+    }
+
+    const match = locate(source, search);
+    if (match.count !== 1) {
+      conflict(match.count === 0 ? 'search text not found' : `search text found ${match.count} times`);
+      continue;
+    }
+    result.set(file, source.slice(0, match.start) + replace + source.slice(match.end));
+    applied.push({ issue, file, removed: countLines(source.slice(match.start, match.end)), added: countLines(replace) });
+  }
+
+  return { files: result, applied, conflicts };
+}
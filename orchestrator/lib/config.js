@@ -0,0 +1,389 @@
+// config.js
+// Loads prototype-agent.config.{json,js}, merges it over the defaults in
+// orchestrator.js and validates the result against a small schema so typos
+// and bad values fail fast with a message that says what to fix.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = ['prototype-agent.config.json', 'prototype-agent.config.js'];
+
+const PROVIDER_TYPES = ['openai', 'openai-compatible', 'anthropic'];
+
+const STAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    temperature: { type: 'number', min: 0, max: 2 },
+    maxTokens: { type: 'integer', min: 1 }
+  },
+  required: ['provider', 'model']
+};
+
+const CRITERION_SCHEMA = {
+  type: 'object',
+  properties: {
+    weight: { type: 'number', min: 0 },
+    min: { type: 'number', min: 0, max: 1, optional: true }
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    viteProjectPath: { type: 'string' },
+    viteUrl: { type: 'url' },
+    startDevServer: { type: 'boolean' },
+    headless: { type: 'boolean' },
+    maxIterations: { type: 'integer', min: 1 },
+    feedbackThreshold: { type: 'number', min: 0, max: 1 },
+    allowHumanInput: { type: 'boolean' },
+    reviewEachIteration: { type: 'boolean' },
+    maxStepsPerScenario: { type: 'integer', min: 1 },
+    maxRepairAttempts: { type: 'integer', min: 0 },
+    runtimeErrorScoreCap: { type: 'number', min: 0, max: 1 },
+    runsDir: { type: 'string' },
+    keepBestVersion: { type: 'boolean' },
+    rollbackOnRegression: { type: 'boolean' },
+    editMode: { type: 'enum', values: ['patch', 'rewrite'] },
+    multiPage: { type: 'boolean' },
+    prototypeName: { type: 'string', optional: true },
+    designSystem: { type: 'boolean' },
+    maxSchemaRetries: { type: 'integer', min: 0 },
+    budget: { type: 'number', min: 0, optional: true },
+    variants: { type: 'integer', min: 1 },
+    keepVariants: { type: 'integer', min: 1 },
+    personas: { type: 'array', items: { type: 'string' } },
+    personasDir: { type: 'string', optional: true },
+    specsDir: { type: 'string', optional: true },
+    visualDiff: { type: 'boolean' },
+    visualDiffThreshold: { type: 'number', min: 0, max: 1 },
+    largeChangeThreshold: { type: 'number', min: 0, max: 1 },
+    references: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          viewport: { type: 'string', optional: true },
+          file: { type: 'string' }
+        },
+        required: ['file']
+      }
+    },
+    cassette: {
+      type: 'object',
+      optional: true,
+      properties: {
+        mode: { type: 'enum', values: ['record', 'replay'] },
+        file: { type: 'string' },
+        strict: { type: 'boolean' }
+      },
+      required: ['mode', 'file']
+    },
+    viewports: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          width: { type: 'integer', min: 1 },
+          height: { type: 'integer', min: 1 }
+        },
+        required: ['name', 'width', 'height']
+      }
+    },
+    colorSchemes: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'enum', values: ['light', 'dark', 'no-preference'] }
+    },
+    reducedMotion: { type: 'boolean' },
+    recording: {
+      type: 'object',
+      properties: {
+        video: { type: 'boolean' },
+        trace: { type: 'boolean' },
+        actionLog: { type: 'boolean' },
+        keyFrames: { type: 'integer', min: 0 }
+      }
+    },
+    rubric: {
+      type: 'object',
+      properties: {
+        functional: CRITERION_SCHEMA,
+        ux: CRITERION_SCHEMA,
+        visual: CRITERION_SCHEMA,
+        accessibility: CRITERION_SCHEMA,
+        runtime: CRITERION_SCHEMA,
+        fidelity: CRITERION_SCHEMA,
+        performance: {
+          ...CRITERION_SCHEMA,
+          properties: {
+            ...CRITERION_SCHEMA.properties,
+            good: { type: 'integer', min: 0 },
+            poor: { type: 'integer', min: 1 }
+          }
+        }
+      }
+    },
+    stopRules: {
+      type: 'object',
+      properties: {
+        allScenariosPass: { type: 'boolean' },
+        noBlockingIssues: { type: 'boolean' },
+        plateau: { type: 'integer', min: 1, optional: true },
+        plateauDelta: { type: 'number', min: 0, max: 1 }
+      }
+    },
+    providers: {
+      type: 'record',
+      values: {
+        type: 'object',
+        properties: {
+          type: { type: 'enum', values: PROVIDER_TYPES },
+          apiKey: { type: 'string', optional: true },
+          baseURL: { type: 'url' },
+          structuredOutput: { type: 'boolean' }
+        },
+        required: ['type']
+      }
+    },
+    stages: {
+      type: 'record',
+      values: STAGE_SCHEMA
+    },
+    prices: {
+      type: 'record',
+      values: {
+        type: 'object',
+        properties: {
+          input: { type: 'number', min: 0 },
+          output: { type: 'number', min: 0 }
+        },
+        required: ['input', 'output']
+      }
+    }
+  }
+};
+
+function describe(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Closest known key, for "did you mean" hints
+function suggest(key, known) {
+  const distance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        rows[i][j] = Math.min(
+          rows[i - 1][j] + 1,
+          rows[i][j - 1] + 1,
+          rows[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+        );
+      }
+    }
+    return rows[a.length][b.length];
+  };
+  const best = known
+    .map(candidate => ({ candidate, score: distance(key, candidate) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= Math.max(2, Math.floor(key.length / 3)) ? best.candidate : null;
+}
+
+function validateValue(value, schema, where, errors) {
+  // Keys that exist but were left unset (e.g. an API key from a missing env var)
+  if (value === undefined || (value === null && schema.optional)) return;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') errors.push(`${where} must be a string (got ${describe(value)})`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${where} must be true or false (got ${describe(value)})`);
+      break;
+    case 'number':
+    case 'integer': {
+      const isNumber = typeof value === 'number' && Number.isFinite(value);
+      if (!isNumber || (schema.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${where} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} (got ${describe(value)})`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${where} must be at least ${schema.min} (got ${value})`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${where} must be at most ${schema.max} (got ${value})`);
+      }
+      break;
+    }
+    case 'url':
+      try {
+        new URL(value);
+      } catch {
+        errors.push(`${where} must be a URL like http://localhost:5173 (got ${describe(value)})`);
+      }
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${where} must be one of ${schema.values.map(v => `"${v}"`).join(', ')} (got ${describe(value)})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be an array (got ${describe(value)})`);
+        break;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${where} needs at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, i) => validateValue(item, schema.items, `${where}[${i}]`, errors));
+      break;
+    case 'record':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${where} must be an object (got ${describe(value)})`);
+        break;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        validateValue(item, schema.values, `${where}.${key}`, errors);
+      }
+      break;
+    case 'object': {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${where} must be an object (got ${describe(value)})`);
+        break;
+      }
+      const known = Object.keys(schema.properties);
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${where ? `${where}.` : ''}${key} is required`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const property = schema.properties[key];
+        const at = where ? `${where}.${key}` : key;
+        if (!property) {
+          const hint = suggest(key, known);
+          errors.push(`Unknown option ${at}${hint ? ` (did you mean "${hint}"?)` : ''}`);
+          continue;
+        }
+        validateValue(item, property, at, errors);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unsupported schema type "${schema.type}" at ${where}`);
+  }
+}
+
+/**
+ * Validate a complete config. Returns a list of human-readable problems
+ * (empty when the config is valid).
+ */
+export function validateConfig(config) {
+  const errors = [];
+  validateValue(config, CONFIG_SCHEMA, '', errors);
+
+  // Every stage has to point at a provider that exists
+  for (const [stage, stageConfig] of Object.entries(config.stages || {})) {
+    if (stageConfig?.provider && !config.providers?.[stageConfig.provider]) {
+      errors.push(`stages.${stage}.provider "${stageConfig.provider}" is not defined in providers (available: ${Object.keys(config.providers || {}).join(', ')})`);
+    }
+  }
+  // A score needs something to be made of
+  const rubric = Object.values(config.rubric || {}).filter(criterion => criterion && typeof criterion === 'object');
+  if (config.rubric && !rubric.some(criterion => (criterion.weight ?? 1) > 0)) {
+    errors.push('rubric needs at least one criterion with a weight above 0');
+  }
+  const performance = config.rubric?.performance;
+  if (performance?.good !== undefined && performance?.poor !== undefined && performance.good >= performance.poor) {
+    errors.push(`rubric.performance.good (${performance.good} ms) must be below rubric.performance.poor (${performance.poor} ms)`);
+  }
+  // References are matched to the viewport matrix by name
+  for (const [i, reference] of (config.references || []).entries()) {
+    if (reference?.viewport && Array.isArray(config.viewports) && !config.viewports.some(viewport => viewport?.name === reference.viewport)) {
+      errors.push(`references[${i}].viewport "${reference.viewport}" is not one of the viewports (${config.viewports.map(viewport => viewport?.name).join(', ')})`);
+    }
+  }
+  // Key frames are screenshots from the action log
+  if (config.recording?.keyFrames > 0 && !config.recording.actionLog) {
+    errors.push('recording.keyFrames needs recording.actionLog, whose screenshots the key frames are');
+  }
+  // Variants are single components routed side by side; a flow already spans several pages
+  if (config.variants > 1 && config.multiPage) {
+    errors.push('variants can\'t be combined with multiPage; generate one multi-page flow at a time');
+  }
+  return errors;
+}
+
+// Plain objects are merged key by key; arrays and values replace the default
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const current = base[key];
+    const bothObjects = value && typeof value === 'object' && !Array.isArray(value) &&
+      current && typeof current === 'object' && !Array.isArray(current);
+    merged[key] = bothObjects ? mergeConfig(current, value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Find and load the config file. An explicit path must exist; otherwise the
+ * current directory is searched and a missing file just means "no overrides".
+ *
+ * @returns {Promise<{ file: string | null, config: object }>}
+ */
+export async function loadConfigFile(explicitPath = null, cwd = process.cwd()) {
+  const candidates = explicitPath
+    ? [path.resolve(cwd, explicitPath)]
+    : CONFIG_FILES.map(name => path.join(cwd, name));
+
+  for (const file of candidates) {
+    try {
+      await fs.access(file);
+    } catch {
+      if (explicitPath) throw new Error(`Config file not found: ${file}`);
+      continue;
+    }
+
+    let config;
+    if (file.endsWith('.js') || file.endsWith('.mjs')) {
+      const module = await import(pathToFileURL(file).href);
+      config = module.default ?? module.config;
+    } else {
+      try {
+        config = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`${path.basename(file)} is not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${path.basename(file)} must export a config object`);
+    }
+
+    // Paths in the file are relative to the file, not to wherever the CLI runs
+    if (typeof config.viteProjectPath === 'string') {
+      config.viteProjectPath = path.resolve(path.dirname(file), config.viteProjectPath);
+    }
+    if (typeof config.runsDir === 'string') {
+      config.runsDir = path.resolve(path.dirname(file), config.runsDir);
+    }
+    if (typeof config.personasDir === 'string') {
+      config.personasDir = path.resolve(path.dirname(file), config.personasDir);
+    }
+    if (typeof config.cassette?.file === 'string') {
+      config.cassette.file = path.resolve(path.dirname(file), config.cassette.file);
+    }
+    if (Array.isArray(config.references)) {
+      config.references = config.references.map(reference => typeof reference?.file === 'string'
+        ? { ...reference, file: path.resolve(path.dirname(file), reference.file) }
+        : reference);
+    }
+    return { file, config };
+  }
+
+  return { file: null, config: {} };
+}
@@ -0,0 +1,261 @@
+// design-system.js
+// Reads the prototype project's shadcn/ui components (exports, props and cva
+// variants) into an inventory for the generation prompts, and checks
+// generated code for raw HTML controls and hand-rolled copies of components
+// the design system already provides.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_UI_ALIAS = '@/components/ui';
+
+// Props every component takes; not worth listing
+const COMMON_PROPS = new Set(['className', 'children', 'style', 'props']);
+
+// Raw elements that have a design-system counterpart, checked in this order
+const RAW_ELEMENTS = [
+  { element: '<input type="checkbox">', pattern: /<input\b[^>]*type=["']checkbox["']/g, component: 'Checkbox', module: 'checkbox' },
+  { element: '<input type="radio">', pattern: /<input\b[^>]*type=["']radio["']/g, component: 'RadioGroup', module: 'radio-group' },
+  { element: '<input type="range">', pattern: /<input\b[^>]*type=["']range["']/g, component: 'Slider', module: 'slider' },
+  { element: '<input>', pattern: /<input\b(?![^>]*type=["'](?:checkbox|radio|range|hidden)["'])/g, component: 'Input', module: 'input' },
+  { element: '<button>', pattern: /<button\b/g, component: 'Button', module: 'button' },
+  { element: '<textarea>', pattern: /<textarea\b/g, component: 'Textarea', module: 'textarea' },
+  { element: '<select>', pattern: /<select\b/g, component: 'Select', module: 'select' },
+  { element: '<table>', pattern: /<table\b/g, component: 'Table', module: 'table' },
+  { element: '<label>', pattern: /<label\b/g, component: 'Label', module: 'label' },
+  { element: '<dialog>', pattern: /<dialog\b/g, component: 'Dialog', module: 'dialog' },
+  { element: '<progress>', pattern: /<progress\b/g, component: 'Progress', module: 'progress' },
+  { element: '<hr>', pattern: /<hr\b/g, component: 'Separator', module: 'separator' }
+];
+
+// Index just past the bracket that closes the one at `open`
+function matchBracket(text, open) {
+  const pairs = { '(': ')', '{': '}', '[': ']' };
+  const close = pairs[text[open]];
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === text[open]) depth++;
+    else if (char === close && --depth === 0) return i + 1;
+  }
+  return text.length;
+}
+
+// Top-level `key: value` entries of an object literal body
+function objectEntries(body) {
+  const entries = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  const push = end => {
+    const segment = body.slice(start, end);
+    const match = segment.match(/^\s*["']?([\w-]+)["']?\s*:([\s\S]*)$/);
+    if (match) entries.push({ key: match[1], value: match[2].trim() });
+  };
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if ('({['.includes(char)) depth++;
+    else if (')}]'.includes(char)) depth--;
+    else if (char === ',' && depth === 0) {
+      push(i);
+      start = i + 1;
+    }
+  }
+  push(body.length);
+  return entries;
+}
+
+// cva() variant groups per variants constant, e.g. buttonVariants -> { variant: [...], size: [...] }
+function parseVariants(source) {
+  const variants = {};
+  for (const match of source.matchAll(/const (\w+) = cva\(/g)) {
+    const call = source.slice(match.index, matchBracket(source, match.index + match[0].length - 1));
+    const block = call.match(/variants:\s*\{/);
+    if (!block) continue;
+    const open = block.index + block[0].length - 1;
+    const body = call.slice(open + 1, matchBracket(call, open) - 1);
+    variants[match[1]] = Object.fromEntries(objectEntries(body)
+      .filter(entry => entry.value.startsWith('{'))
+      .map(entry => [entry.key, objectEntries(entry.value.slice(1, -1)).map(option => option.key)]));
+  }
+  return variants;
+}
+
+function parseComponent(source, name, variants) {
+  const declaration = source.match(new RegExp(`function ${name}\\s*\\(`));
+  if (!declaration) return { name };
+
+  const open = declaration.index + declaration[0].length - 1;
+  const signature = source.slice(open + 1, matchBracket(source, open) - 1);
+
+  const props = [];
+  if (signature.trimStart().startsWith('{')) {
+    const start = signature.indexOf('{');
+    const destructured = signature.slice(start + 1, matchBracket(signature, start) - 1);
+    for (const part of destructured.split(',')) {
+      const prop = part.trim().replace(/^\.\.\./, '').split(/[=:\s]/)[0];
+      if (prop && !COMMON_PROPS.has(prop)) props.push(prop);
+    }
+  }
+
+  const element = signature.match(/ComponentProps<"(\w+)">/)?.[1] || null;
+  const variantsOf = signature.match(/VariantProps<typeof (\w+)>/)?.[1];
+  return {
+    name,
+    element,
+    props: props.filter(prop => !variants[variantsOf]?.[prop]),
+    variants: variants[variantsOf] || {}
+  };
+}
+
+function uiDirectory(projectPath, alias) {
+  // components.json aliases use the "@/" -> src/ mapping from tsconfig
+  return path.resolve(projectPath, alias.replace(/^@\//, 'src/'));
+}
+
+/**
+ * Inventory of the project's shadcn/ui components.
+ * @returns {Promise<{ alias: string, modules: Array<{ module: string, importPath: string, exports: object[] }> }>}
+ */
+export async function readInventory(projectPath) {
+  let alias = DEFAULT_UI_ALIAS;
+  try {
+    const componentsJson = JSON.parse(await fs.readFile(path.join(projectPath, 'components.json'), 'utf8'));
+    alias = componentsJson.aliases?.ui || alias;
+  } catch {
+    // No components.json: assume the shadcn default
+  }
+
+  const dir = uiDirectory(projectPath, alias);
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => /\.(tsx|ts)$/.test(file)).sort();
+  } catch {
+    return { alias, modules: [] };
+  }
+
+  const modules = [];
+  for (const file of files) {
+    const source = await fs.readFile(path.join(dir, file), 'utf8');
+    const names = new Set();
+    for (const block of source.matchAll(/export\s*\{([^}]*)\}/g)) {
+      block[1].split(',').map(name => name.trim().split(/\s+as\s+/).pop()).filter(Boolean).forEach(name => names.add(name));
+    }
+    for (const declaration of source.matchAll(/export (?:default )?(?:function|const) (\w+)/g)) {
+      names.add(declaration[1]);
+    }
+
+    const variants = parseVariants(source);
+    const module = file.replace(/\.tsx?$/, '');
+    modules.push({
+      module,
+      importPath: `${alias}/${module}`,
+      exports: [...names]
+        .filter(name => /^[A-Z]/.test(name))
+        .map(name => parseComponent(source, name, variants))
+    });
+  }
+  return { alias, modules };
+}
+
+function describeExport(component) {
+  const details = [
+    ...Object.entries(component.variants || {}).map(([prop, options]) => `${prop}=${options.join('|')}`),
+    ...(component.props || [])
+  ];
+  return `${component.name}${component.element ? `<${component.element}>` : ''}${details.length > 0 ? `(${details.join('; ')})` : ''}`;
+}
+
+// One line per module, compact enough to go into every generation prompt
+export function formatInventory(inventory) {
+  return inventory.modules
+    .filter(module => module.exports.length > 0)
+    .map(module => `${module.importPath}: ${module.exports.map(describeExport).join(', ')}`)
+    .join('\n');
+}
+
+function lineOf(code, index) {
+  return code.slice(0, index).split('\n').length;
+}
+
+/**
+ * Check generated files for raw controls that should be design-system
+ * components and for local copies of components the design system exports.
+ *
+ * @param {Array<{ path: string, content: string }>} files
+ * @returns {{ conformant: boolean, findings: object[], used: string[] }}
+ */
+export function checkConformance(files, inventory) {
+  const available = new Map(inventory.modules.map(module => [module.module, module]));
+  const exported = new Map(inventory.modules.flatMap(module => module.exports.map(component => [component.name, module])));
+  const findings = [];
+  const used = new Set();
+
+  for (const file of files) {
+    // Design-system components the file imports, under their own names, even
+    // when renamed or reached through a namespace to wrap them locally
+    const imported = new Set();
+    const alias = inventory.alias.replace(/[/@]/g, '\\$&');
+    const importPattern = new RegExp(`import\\s*\\{([^}]*)\\}\\s*from\\s*["']${alias}/([\\w-]+)["']`, 'g');
+    for (const match of file.content.matchAll(importPattern)) {
+      used.add(match[2]);
+      match[1].split(',').map(name => name.trim().split(/\s+as\s+/)[0]).filter(Boolean).forEach(name => imported.add(name));
+    }
+    const namespacePattern = new RegExp(`import\\s*\\*\\s*as\\s+\\w+\\s*from\\s*["']${alias}/([\\w-]+)["']`, 'g');
+    for (const match of file.content.matchAll(namespacePattern)) {
+      used.add(match[1]);
+      available.get(match[1])?.exports.forEach(component => imported.add(component.name));
+    }
+
+    // Each raw element is only counted once, by the most specific pattern
+    const counted = new Set();
+    for (const rule of RAW_ELEMENTS) {
+      const module = available.get(rule.module);
+      if (!module) continue;
+      const lines = [...file.content.matchAll(rule.pattern)]
+        .filter(match => !counted.has(match.index))
+        .map(match => {
+          counted.add(match.index);
+          return lineOf(file.content, match.index);
+        });
+      if (lines.length === 0) continue;
+      findings.push({
+        rule: 'raw-element',
+        file: file.path,
+        element: rule.element,
+        component: rule.component,
+        module: module.importPath,
+        lines,
+        message: `${file.path}: ${lines.length} raw ${rule.element} element(s) (line ${lines.join(', ')}); use ${rule.component} from ${module.importPath}`
+      });
+    }
+
+    for (const match of file.content.matchAll(/(?:function|const|class)\s+([A-Z]\w*)\b/g)) {
+      const module = exported.get(match[1]);
+      if (!module || imported.has(match[1])) continue;
+      findings.push({
+        rule: 'reimplemented',
+        file: file.path,
+        component: match[1],
+        module: module.importPath,
+        lines: [lineOf(file.content, match.index)],
+        message: `${file.path}: defines its own ${match[1]} (line ${lineOf(file.content, match.index)}); import it from ${module.importPath} instead`
+      });
+    }
+  }
+
+  return { conformant: findings.length === 0, findings, used: [...used].sort() };
+}
@@ -0,0 +1,205 @@
+// dev-server.js
+// Starts and supervises the prototype's Vite dev server, and tells us when
+// Vite is actually serving the code we just wrote, and when a page runs it.
+
+import path from 'path';
+import net from 'net';
+import { spawn } from 'child_process';
+
+const READY_TIMEOUT = 60000;
+const RELOAD_TIMEOUT = 15000;
+const POLL_INTERVAL = 250;
+const OUTPUT_LINES = 40;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isPortFree(port, host) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port, host);
+  });
+}
+
+export async function findFreePort(preferred = 5173, host = '127.0.0.1') {
+  for (let port = preferred; port < preferred + 100; port++) {
+    if (await isPortFree(port, host)) return port;
+  }
+  throw new Error(`No free port found between ${preferred} and ${preferred + 99}`);
+}
+
+export class DevServer {
+  constructor({ projectPath, port = 5173, host = '127.0.0.1' }) {
+    this.projectPath = projectPath;
+    this.preferredPort = port;
+    this.host = host;
+    this.child = null;
+    this.url = null;
+    this.stopping = false;
+    this.output = [];
+  }
+
+  get running() {
+    return Boolean(this.child) && this.child.exitCode === null && this.child.signalCode === null;
+  }
+
+  recordOutput(chunk) {
+    this.output.push(...chunk.toString().split('\n').filter(line => line.trim()));
+    this.output = this.output.slice(-OUTPUT_LINES);
+  }
+
+  recentOutput() {
+    return this.output.join('\n');
+  }
+
+  async start() {
+    const port = await findFreePort(this.preferredPort, this.host);
+    const viteBin = path.join(this.projectPath, 'node_modules', 'vite', 'bin', 'vite.js');
+
+    this.stopping = false;
+    this.output = [];
+    this.child = spawn(process.execPath, [viteBin, '--port', String(port), '--strictPort', '--host', this.host], {
+      cwd: this.projectPath,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.url = `http://${this.host}:${port}`;
+
+    this.child.stdout.on('data', chunk => this.recordOutput(chunk));
+    this.child.stderr.on('data', chunk => this.recordOutput(chunk));
+    this.child.on('exit', (code, signal) => {
+      if (!this.stopping) {
+        console.log(`\n💥 Vite dev server exited unexpectedly (${signal || `code ${code}`}).`);
+        if (this.output.length > 0) {
+          console.log(`Last server output:\n${this.recentOutput()}`);
+        }
+      }
+    });
+
+    await this.waitUntilReady();
+    return this.url;
+  }
+
+  async waitUntilReady() {
+    const deadline = Date.now() + READY_TIMEOUT;
+    while (Date.now() < deadline) {
+      if (!this.running) {
+        throw new Error(`Vite dev server failed to start:\n${this.recentOutput() || '(no output)'}`);
+      }
+      try {
+        const response = await fetch(this.url);
+        if (response.ok) return;
+      } catch {
+        // Not listening yet
+      }
+      await sleep(POLL_INTERVAL);
+    }
+    throw new Error(`Vite dev server did not respond at ${this.url} within ${READY_TIMEOUT / 1000}s`);
+  }
+
+  // Restart after a crash; returns true if a restart was needed
+  async ensureRunning() {
+    if (this.running) return false;
+    console.log('🔁 Restarting Vite dev server...');
+    await this.start();
+    console.log(`✅ Vite dev server back up at ${this.url}`);
+    return true;
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.stopping = true;
+    const exited = new Promise(resolve => this.child.once('exit', resolve));
+    this.child.kill('SIGTERM');
+    await Promise.race([exited, sleep(5000)]);
+    if (this.running) {
+      this.child.kill('SIGKILL');
+    }
+  }
+
+  // Synchronous best effort for process 'exit' handlers
+  killNow() {
+    if (this.running) {
+      this.stopping = true;
+      this.child.kill('SIGTERM');
+    }
+  }
+}
+
+// Original source embedded in the inline source map Vite attaches to each module
+function embeddedSource(moduleCode) {
+  const match = moduleCode.match(/\/\/# sourceMappingURL=data:application\/json;(?:charset=utf-8;)?base64,([A-Za-z0-9+/=]+)/);
+  if (!match) return null;
+  try {
+    const map = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    return map.sourcesContent?.[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Poll Vite until the module it serves for `file` was built from `code`.
+ * Returns false if that couldn't be confirmed before the timeout (e.g. the
+ * module has no inline source map), so callers can fall back to waiting.
+ */
+export async function waitForModuleUpdate(baseUrl, file, code, timeout = RELOAD_TIMEOUT) {
+  const moduleUrl = `${baseUrl.replace(/\/$/, '')}/${file.replace(/^\//, '')}`;
+  const expected = code.trim();
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${moduleUrl}?t=${Date.now()}`);
+      if (response.ok) {
+        const source = embeddedSource(await response.text());
+        if (source === null) return false;
+        if (source.trim() === expected) return true;
+      }
+    } catch {
+      // Server busy or restarting
+    }
+    await sleep(POLL_INTERVAL);
+  }
+  return false;
+}
+
+// Runs in the page: the module code it loaded for each path, read back from its
+// own HTTP cache, or null for a path it didn't load
+async function loadedModules(paths) {
+  const loaded = performance.getEntriesByType('resource').map(entry => new URL(entry.name));
+  return Promise.all(paths.map(async modulePath => {
+    const url = loaded.filter(candidate => candidate.pathname === modulePath).pop();
+    if (!url) return null;
+    const response = await fetch(url.href, { cache: 'force-cache' });
+    return response.ok ? response.text() : null;
+  }));
+}
+
+/**
+ * Confirm that `page` rendered the modules built from `files` rather than
+ * copies Vite served before they were written, reloading it until it does.
+ * Returns false if that couldn't be confirmed before the timeout (e.g. the
+ * page didn't load the files from Vite).
+ *
+ * @param {import('playwright').Page} page loaded and rendered
+ * @param {{ path: string, content: string }[]} files project-relative
+ */
+export async function waitForPageUpdate(page, files, timeout = RELOAD_TIMEOUT) {
+  const paths = files.map(file => `/${file.path.replace(/^\//, '')}`);
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const modules = await page.evaluate(loadedModules, paths).catch(() => null);
+    if (!Array.isArray(modules)) return false;
+    const sources = modules.map(code => (code === null ? null : embeddedSource(code)));
+    if (sources.every(source => source === null)) return false;
+    if (sources.every((source, i) => source === null || source.trim() === files[i].content.trim())) return true;
+    if (Date.now() >= deadline) return false;
+
+    await sleep(POLL_INTERVAL);
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+    await page.waitForFunction(() => document.getElementById('root')?.children.length > 0, null, { timeout: 5000 }).catch(() => {});
+  }
+}
@@ -0,0 +1,155 @@
+// fidelity.js
+// How closely the rendered prototype follows a reference design: a Figma
+// export, a mockup or a photographed sketch, as a PNG for one viewport of
+// the screenshot matrix.
+//
+// Both images are reduced to a grid of cells at the same scale (the grid is
+// as wide in cells whatever their width in pixels) and compared twice:
+// layout, which cells hold content rather than background, and structure,
+// the structural similarity (SSIM) of the cells' brightness. Neither looks at
+// exact colors or fonts, so a faithful layout in another palette still
+// matches and a lookalike palette on another layout doesn't.
+
+import fs from 'fs/promises';
+import { decodePng } from './visual-diff.js';
+
+// Cells across the width of both images
+const COLUMNS = 48;
+
+// Cells per side of the windows structural similarity is measured over
+const WINDOW = 4;
+
+// A cell holds content when its brightness varies this much or differs this much from the background
+const CONTENT_SPREAD = 0.04;
+const CONTENT_CONTRAST = 0.08;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Read the reference images and decide which viewport each is for: the one
+ * it names, or else the one closest to its width.
+ *
+ * @param {{ viewport?: string | null, file: string }[]} references
+ * @param {{ name: string, width: number }[]} viewports
+ * @returns {Promise<{ viewport: string, file: string, width: number, height: number }[]>}
+ * @throws {Error} when a file can't be read as a PNG, or a viewport is unknown or has two references
+ */
+export async function loadReferences(references, viewports) {
+  const loaded = [];
+  for (const { viewport, file } of references) {
+    let image;
+    try {
+      image = decodePng(await fs.readFile(file));
+    } catch (error) {
+      throw new Error(`Reference design ${file} can't be read (${error.message}); export it as a PNG`);
+    }
+
+    const target = viewport
+      ? viewports.find(candidate => candidate.name === viewport)
+      : [...viewports].sort((a, b) => Math.abs(a.width - image.width) - Math.abs(b.width - image.width))[0];
+    if (!target) {
+      throw new Error(`Reference design ${file} is for the "${viewport}" viewport, which isn't configured (viewports: ${viewports.map(candidate => candidate.name).join(', ')})`);
+    }
+    if (loaded.some(reference => reference.viewport === target.name)) {
+      throw new Error(`Two reference designs for the ${target.name} viewport; give each one a viewport, e.g. --reference mobile=home-mobile.png`);
+    }
+    loaded.push({ viewport: target.name, file, width: image.width, height: image.height });
+  }
+  return loaded;
+}
+
+// Mean and spread of every cell's brightness (over white), and which cells hold content
+function cellGrid({ width, height, data }) {
+  const cell = width / COLUMNS;
+  const rows = Math.max(1, Math.round(height / cell));
+  const count = new Float64Array(COLUMNS * rows);
+  const sum = new Float64Array(COLUMNS * rows);
+  const sumOfSquares = new Float64Array(COLUMNS * rows);
+  // The most common brightness is taken to be the background
+  const histogram = new Uint32Array(64);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor(y / cell)) * COLUMNS;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const alpha = data[i + 3] / 255;
+      const brightness = ((0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * alpha + 255 * (1 - alpha)) / 255;
+      const index = row + Math.min(COLUMNS - 1, Math.floor(x / cell));
+      count[index]++;
+      sum[index] += brightness;
+      sumOfSquares[index] += brightness * brightness;
+      histogram[Math.min(63, Math.floor(brightness * 64))]++;
+    }
+  }
+
+  const background = (histogram.indexOf(Math.max(...histogram)) + 0.5) / 64;
+  const mean = new Float64Array(COLUMNS * rows);
+  const content = new Uint8Array(COLUMNS * rows);
+  for (let i = 0; i < mean.length; i++) {
+    mean[i] = count[i] > 0 ? sum[i] / count[i] : background;
+    const spread = count[i] > 0 ? Math.sqrt(Math.max(0, sumOfSquares[i] / count[i] - mean[i] * mean[i])) : 0;
+    content[i] = spread > CONTENT_SPREAD || Math.abs(mean[i] - background) > CONTENT_CONTRAST ? 1 : 0;
+  }
+  return { rows, mean, content };
+}
+
+function ssim(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+  let varianceA = 0;
+  let varianceB = 0;
+  let covariance = 0;
+  for (let i = 0; i < n; i++) {
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+  }
+  const c1 = 0.01 ** 2;
+  const c2 = 0.03 ** 2;
+  return ((2 * meanA * meanB + c1) * (2 * covariance / n + c2)) /
+    ((meanA ** 2 + meanB ** 2 + c1) * (varianceA / n + varianceB / n + c2));
+}
+
+/**
+ * Compare a screenshot with its reference design.
+ *
+ * @returns {{ layout: number, structure: number, similarity: number }} 0-1 each;
+ *   similarity is their average. Rows only the longer image has count as mismatched.
+ */
+export function compareWithReference(reference, screenshot) {
+  const a = cellGrid(reference);
+  const b = cellGrid(screenshot);
+  const rows = Math.max(a.rows, b.rows);
+  const common = Math.min(a.rows, b.rows);
+
+  // Layout: overlap of the cells with content, out of all cells either has content in
+  let both = 0;
+  let either = 0;
+  for (let i = 0; i < rows * COLUMNS; i++) {
+    const inA = i < a.rows * COLUMNS && a.content[i];
+    const inB = i < b.rows * COLUMNS && b.content[i];
+    if (inA || inB) either++;
+    if (inA && inB) both++;
+  }
+  const layout = either === 0 ? 1 : both / either;
+
+  // Structure: SSIM of the brightness in windows of cells over the rows both have
+  const scores = [];
+  for (let top = 0; top < common; top += WINDOW) {
+    for (let left = 0; left < COLUMNS; left += WINDOW) {
+      const cellsA = [];
+      const cellsB = [];
+      for (let y = top; y < Math.min(common, top + WINDOW); y++) {
+        for (let x = left; x < left + WINDOW; x++) {
+          cellsA.push(a.mean[y * COLUMNS + x]);
+          cellsB.push(b.mean[y * COLUMNS + x]);
+        }
+      }
+      scores.push(Math.max(0, ssim(cellsA, cellsB)));
+    }
+  }
+  const structure = (scores.reduce((sum, score) => sum + score, 0) / scores.length) * (common / rows);
+
+  return { layout: round(layout), structure: round(structure), similarity: round((layout + structure) / 2) };
+}
@@ -0,0 +1,522 @@
+// html-report.js
+// Turns a run report into a single offline HTML file: score chart, feedback
+// per iteration, embedded screenshots and side-by-side source diffs. Images
+// are inlined as data URIs so the file can be attached to a design review.
+// Tournament runs also get the design variants side by side, round by round.
+// Screenshots that changed since the previous version are shown before and
+// after, with a highlighted diff. Scenario recordings are too large to inline:
+// their videos, traces and action logs are linked from the run directory.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { diffLines, sideBySide, diffStats } from './line-diff.js';
+import { DEFAULT_SOURCE_FILE, BUNDLE_SOURCE_FILE } from './run-store.js';
+import { formatCost } from './usage-tracker.js';
+
+const DIFF_CONTEXT = 3;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(2) : 'n/a';
+}
+
+// "variant-2" -> "v2", for chart labels
+function shortVariant(variant) {
+  return variant ? variant.replace(/^variant-/, 'v') : '';
+}
+
+async function readDataUri(file) {
+  try {
+    const data = await fs.readFile(file);
+    return `data:image/png;base64,${data.toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// A file saved in the run directory, or wherever the report points at
+async function readSaved(file, runDir) {
+  for (const candidate of runDir ? [path.join(runDir, file), file] : [file]) {
+    const uri = await readDataUri(candidate);
+    if (uri) return uri;
+  }
+  return null;
+}
+
+// A run file as a link from the report, relative to where the report is written
+function linkTo(file, runDir, outputDir) {
+  const target = runDir ? path.join(runDir, file) : file;
+  return encodeURI((outputDir ? path.relative(outputDir, target) : target).split(path.sep).join('/'));
+}
+
+/**
+ * Gather the code and screenshots for each iteration. Prefers the copies in
+ * the run directory (they aren't overwritten by later runs), then falls back
+ * to whatever the report itself points at.
+ */
+async function loadIterationAssets(report, runDir, outputDir) {
+  const assets = [];
+  for (const entry of report.iterations || []) {
+    const iterationDir = runDir ? path.join(runDir, `iteration-${entry.iteration}`, entry.variant || '') : null;
+
+    let code = entry.code ?? null;
+    for (const file of [DEFAULT_SOURCE_FILE, BUNDLE_SOURCE_FILE]) {
+      if (code === null && iterationDir) code = await readText(path.join(iterationDir, file));
+    }
+
+    const screenshots = [];
+    for (const screenshot of entry.screenshots || []) {
+      const uri = await readSaved(screenshot, runDir);
+      if (uri) {
+        screenshots.push({ name: path.basename(screenshot, '.png'), uri });
+      }
+    }
+
+    // The "after" screenshot is the copy saved with this iteration
+    const changes = [];
+    for (const change of (entry.visualDiff?.diffs || []).filter(change => change.pixelChange > 0)) {
+      const after = (entry.screenshots || []).find(file => path.basename(file) === path.basename(change.after)) || change.after;
+      changes.push({
+        ...change,
+        beforeUri: await readSaved(change.before, runDir),
+        afterUri: await readSaved(after, runDir),
+        diffUri: await readSaved(change.diff, runDir)
+      });
+    }
+
+    // Each reference design beside the screenshot it was compared with
+    const comparisons = [];
+    for (const comparison of entry.fidelity?.viewports || []) {
+      const screenshot = (entry.screenshots || []).find(file => path.basename(file) === path.basename(comparison.screenshot)) || comparison.screenshot;
+      comparisons.push({
+        ...comparison,
+        referenceUri: await readSaved(comparison.reference, runDir),
+        screenshotUri: await readSaved(screenshot, runDir)
+      });
+    }
+
+    // Each recorded session with the steps of its action log
+    const recordings = [];
+    for (const recording of entry.recordings || []) {
+      const log = recording.actionLog && runDir ? JSON.parse(await readText(path.join(runDir, recording.actionLog)) ?? 'null') : null;
+      const steps = [];
+      for (const step of log?.entries || []) {
+        steps.push({
+          ...step,
+          beforeUri: step.before ? await readSaved(path.join(recording.dir, step.before), runDir) : null,
+          afterUri: step.after ? await readSaved(path.join(recording.dir, step.after), runDir) : null
+        });
+      }
+      const href = Object.fromEntries(['video', 'trace', 'actionLog']
+        .filter(kind => recording[kind])
+        .map(kind => [kind, linkTo(recording[kind], runDir, outputDir)]));
+      recordings.push({ ...recording, href, steps });
+    }
+
+    assets.push({ entry, code, screenshots, changes, comparisons, recordings });
+  }
+  return assets;
+}
+
+function renderChart(iterations) {
+  const width = 640;
+  const height = 240;
+  const pad = 36;
+  const series = [
+    { label: 'Score', color: '#2563eb', value: entry => entry.score },
+    { label: 'Visual score', color: '#db2777', value: entry => entry.visualFeedback?.visualScore },
+    { label: 'Accessibility score', color: '#059669', value: entry => entry.accessibilityScore },
+    ...(iterations.some(entry => entry.fidelity) ? [{ label: 'Fidelity', color: '#d97706', value: entry => entry.fidelity?.score }] : [])
+  ];
+
+  if (iterations.length === 0) return '<p>No iterations recorded.</p>';
+
+  const x = index => iterations.length === 1
+    ? width / 2
+    : pad + (index * (width - pad * 2)) / (iterations.length - 1);
+  const y = score => height - pad - score * (height - pad * 2);
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(tick => `
+    <line x1="${pad}" x2="${width - pad}" y1="${y(tick)}" y2="${y(tick)}" class="grid"/>
+    <text x="${pad - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`).join('');
+
+  const labels = iterations.map((entry, index) =>
+    `<text x="${x(index)}" y="${height - pad + 18}" text-anchor="middle">#${entry.iteration}${entry.variant ? ` ${shortVariant(entry.variant)}` : ''}</text>`).join('');
+
+  const lines = series.map(({ color, value }) => {
+    const points = iterations
+      .map((entry, index) => ({ index, score: value(entry) }))
+      .filter(point => typeof point.score === 'number');
+    const polyline = points.map(point => `${x(point.index)},${y(point.score)}`).join(' ');
+    const dots = points.map(point =>
+      `<circle cx="${x(point.index)}" cy="${y(point.score)}" r="4" fill="${color}"><title>${formatScore(point.score)}</title></circle>`).join('');
+    return `<polyline points="${polyline}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+  }).join('');
+
+  const legend = series.map(({ label, color }) =>
+    `<span class="legend"><span class="swatch" style="background:${color}"></span>${label}</span>`).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Scores per iteration">${grid}${labels}${lines}</svg><div>${legend}</div>`;
+}
+
+function renderList(title, items, className = '') {
+  if (!items || items.length === 0) return '';
+  return `<div class="list ${className}"><h4>${escapeHtml(title)}</h4><ul>${items.map(item => `<li>${escapeHtml(typeof item === 'string' ? item : JSON.stringify(item))}</li>`).join('')}</ul></div>`;
+}
+
+function renderDiff(previousCode, code) {
+  if (previousCode === null || code === null) {
+    return '<p class="muted">Source not available for comparison.</p>';
+  }
+  if (previousCode === code) {
+    return '<p class="muted">No source changes.</p>';
+  }
+
+  const ops = diffLines(previousCode, code);
+  const rows = sideBySide(ops);
+  const { added, removed } = diffStats(ops);
+
+  // Only show unchanged lines near a change
+  const nearChange = rows.map(() => false);
+  rows.forEach((row, index) => {
+    if (row.type !== 'change') return;
+    for (let k = Math.max(0, index - DIFF_CONTEXT); k <= Math.min(rows.length - 1, index + DIFF_CONTEXT); k++) {
+      nearChange[k] = true;
+    }
+  });
+
+  const body = [];
+  let skipped = 0;
+  rows.forEach((row, index) => {
+    if (row.type === 'equal' && !nearChange[index]) {
+      skipped++;
+      return;
+    }
+    if (skipped > 0) {
+      body.push(`<tr class="skip"><td colspan="4">⋯ ${skipped} unchanged line(s)</td></tr>`);
+      skipped = 0;
+    }
+    const cell = (side, cls) => side
+      ? `<td class="num">${side.oldLine ?? side.newLine}</td><td class="${cls}"><pre>${escapeHtml(side.text)}</pre></td>`
+      : '<td class="num"></td><td class="empty"></td>';
+    body.push(row.type === 'equal'
+      ? `<tr><td class="num">${row.left.oldLine}</td><td><pre>${escapeHtml(row.left.text)}</pre></td><td class="num">${row.right.newLine}</td><td><pre>${escapeHtml(row.right.text)}</pre></td></tr>`
+      : `<tr>${cell(row.left, 'del')}${cell(row.right, 'ins')}</tr>`);
+  });
+  if (skipped > 0) {
+    body.push(`<tr class="skip"><td colspan="4">⋯ ${skipped} unchanged line(s)</td></tr>`);
+  }
+
+  return `<details><summary>Source diff (+${added} / -${removed})</summary><table class="diff">${body.join('')}</table></details>`;
+}
+
+function renderUsageRows(label, rows) {
+  const body = Object.entries(rows || {}).map(([name, totals]) => `<tr>
+    <td>${escapeHtml(label(name))}</td>
+    <td class="num">${totals.calls}</td>
+    <td class="num">${totals.inputTokens.toLocaleString('en-US')}</td>
+    <td class="num">${totals.outputTokens.toLocaleString('en-US')}</td>
+    <td class="num">${(totals.latencyMs / 1000).toFixed(1)}s</td>
+    <td class="num">${formatCost(totals.cost)}${totals.unpricedCalls > 0 ? ` <span class="muted">(${totals.unpricedCalls} unpriced)</span>` : ''}</td>
+  </tr>`);
+  return body.join('');
+}
+
+function renderUsage(usage, stoppedBy) {
+  if (!usage?.totals) return '';
+
+  const header = name => `<tr><th>${name}</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Latency</th><th>Cost</th></tr>`;
+  const budget = typeof usage.budget === 'number' ? ` of a ${formatCost(usage.budget)} budget` : '';
+  return `<h2>Model usage</h2>
+<p><strong>${formatCost(usage.totals.cost)}</strong>${budget} · ${usage.totals.calls} call(s)${usage.totals.unpricedCalls > 0 ? ` · ${usage.totals.unpricedCalls} call(s) to models without a price` : ''}</p>
+${stoppedBy?.reason === 'budget' ? `<p class="muted">Stopped after iteration ${stoppedBy.afterIteration}: another iteration would have brought spend to about ${formatCost(stoppedBy.projected)}.</p>` : ''}
+<div class="columns">
+  <table class="usage">${header('Stage')}${renderUsageRows(stage => stage, usage.byStage)}</table>
+  <table class="usage">${header('Iteration')}${renderUsageRows(iteration => Number(iteration) === 0 ? 'Setup' : iteration, usage.byIteration)}</table>
+</div>`;
+}
+
+// One card per variant and round, showing which designs went on and which one won
+function renderTournament(tournament, assets) {
+  if (!tournament) return '';
+
+  const rounds = tournament.rounds.map(round => {
+    const cards = round.results.map(result => {
+      const asset = assets.find(({ entry }) => entry.iteration === round.iteration && entry.variant === result.variant);
+      const shot = asset?.screenshots[0];
+      const won = tournament.final?.variant === result.variant && tournament.final?.iteration === round.iteration;
+      const status = won
+        ? '<span class="badge ok">Winner</span>'
+        : result.kept ? '<span class="badge">Kept</span>' : '<span class="badge bad">Eliminated</span>';
+      return `<figure class="variant">
+    ${shot ? `<a href="#iteration-${round.iteration}-${escapeHtml(result.variant)}"><img src="${shot.uri}" alt="${escapeHtml(result.variant)}" loading="lazy"></a>` : '<p class="muted">No screenshot saved.</p>'}
+    <figcaption><strong>${escapeHtml(result.variant)}</strong> ${status}<br>Score ${formatScore(result.score)} · Visual ${formatScore(result.visualScore)}<br><code>${escapeHtml(result.route)}</code></figcaption>
+  </figure>`;
+    }).join('');
+    return `<h3>Round ${round.iteration}</h3><div class="variants">${cards}</div>`;
+  }).join('');
+
+  const chosenBy = tournament.chosenBy === 'human' ? 'picked by a designer' : 'highest score';
+  return `<h2>Design variants</h2>
+<p class="muted">${tournament.variants} variants, ${tournament.keep} kept after the first round${tournament.winner ? ` · winner: ${escapeHtml(tournament.winner)} (${chosenBy})` : ''}</p>
+${rounds}`;
+}
+
+function renderImage(uri, alt) {
+  return uri ? `<img src="${uri}" alt="${escapeHtml(alt)}" loading="lazy">` : '<p class="muted">Not saved.</p>';
+}
+
+// Before, after and diff of every screenshot that changed, most changed first
+function renderChanges(visualDiff, changes) {
+  if (!visualDiff) return '';
+  if (changes.length === 0) {
+    return `<p class="muted">No screenshot changed since iteration ${visualDiff.baseIteration}.</p>`;
+  }
+
+  const percent = value => `${Math.round(value * 1000) / 10}%`;
+  const rows = [...changes].sort((a, b) => b.perceptualChange - a.perceptualChange).map(change => `<div class="change">
+    <h4>${escapeHtml(change.key)} <span class="badge">${percent(change.pixelChange)} pixels</span><span class="badge">${percent(change.perceptualChange)} perceptual</span>${change.sizeChanged ? '<span class="badge">Size changed</span>' : ''}${change.large ? '<span class="badge bad">Large change</span>' : ''}</h4>
+    <div class="triptych">
+      <figure>${renderImage(change.beforeUri, `${change.key} before`)}<figcaption>Iteration ${visualDiff.baseIteration}</figcaption></figure>
+      <figure>${renderImage(change.afterUri, `${change.key} after`)}<figcaption>This iteration</figcaption></figure>
+      <figure>${renderImage(change.diffUri, `${change.key} diff`)}<figcaption>Changed pixels</figcaption></figure>
+    </div>
+  </div>`).join('');
+  return `<h3>Visual changes since iteration ${visualDiff.baseIteration}</h3>${rows}`;
+}
+
+// Each reference design beside its screenshot, with what the fidelity reviewer found
+function renderFidelity(fidelity, comparisons) {
+  if (!fidelity) return '';
+
+  const rows = comparisons.map(comparison => `<div class="change">
+    <h4>${escapeHtml(comparison.viewport)} <span class="badge">Layout ${formatScore(comparison.layout)}</span><span class="badge">Structure ${formatScore(comparison.structure)}</span></h4>
+    <div class="triptych pair">
+      <figure>${renderImage(comparison.referenceUri, `${comparison.viewport} reference design`)}<figcaption>Reference design</figcaption></figure>
+      <figure>${renderImage(comparison.screenshotUri, `${comparison.viewport} screenshot`)}<figcaption>This iteration</figcaption></figure>
+    </div>
+  </div>`).join('');
+  return `<h3>Fidelity to the reference designs: ${formatScore(fidelity.score)}</h3>
+  <p class="muted">Measured similarity ${formatScore(fidelity.similarity)}${fidelity.unscored ? '; the reviewer gave no valid review, so fidelity is unscored' : `, reviewer ${formatScore(fidelity.reviewScore)}`}.</p>
+  ${fidelity.reasoning ? `<p>${escapeHtml(fidelity.reasoning)}</p>` : ''}
+  <div class="columns">
+    ${renderList('Follows the reference', fidelity.matches, 'good')}
+    ${renderList('Deviations from the reference', fidelity.deviations, 'bad')}
+  </div>
+  ${rows}`;
+}
+
+// Each scenario's session: its video, links to the trace and action log, and every logged step
+function renderRecordings(recordings) {
+  if (recordings.length === 0) return '';
+
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const sessions = recordings.map(recording => {
+    const links = [
+      recording.href.video && `<a href="${recording.href.video}">Video</a>`,
+      recording.href.trace && `<a href="${recording.href.trace}">Trace</a> <span class="muted">(npx playwright show-trace ${escapeHtml(decodeURI(recording.href.trace))})</span>`,
+      recording.href.actionLog && `<a href="${recording.href.actionLog}">Action log</a>`
+    ].filter(Boolean).join(' · ');
+    const steps = recording.steps.map(step => `<tr>
+      <td class="num">${seconds(step.elapsedMs)}</td>
+      <td><pre>${escapeHtml(`${step.tool} ${JSON.stringify(step.args || {})}`)}</pre>${step.thought ? `<span class="muted">${escapeHtml(step.thought)}</span>` : ''}</td>
+      <td class="${step.ok ? '' : 'del'}">${escapeHtml(step.result)}${step.durationMs !== undefined ? ` <span class="muted">(${seconds(step.durationMs)})</span>` : ''}</td>
+      <td>${step.beforeUri ? `<img src="${step.beforeUri}" alt="Before step ${step.step}" loading="lazy">` : ''}</td>
+      <td>${step.afterUri ? `<img src="${step.afterUri}" alt="After step ${step.step}" loading="lazy">` : ''}</td>
+    </tr>`).join('');
+    return `<div class="change">
+    <h4>${escapeHtml(recording.scenario)}${recording.persona ? ` · ${escapeHtml(recording.persona)}` : ''} <span class="badge ${recording.status === 'passed' ? 'ok' : 'bad'}">${recording.status === 'passed' ? 'Passed' : 'Failed'}</span></h4>
+    ${links ? `<p>${links}</p>` : ''}
+    ${recording.href.video ? `<video controls preload="metadata" src="${recording.href.video}"></video>` : ''}
+    ${steps ? `<table class="steps"><tr><th>Time</th><th>Action</th><th>Result</th><th>Before</th><th>After</th></tr>${steps}</table>` : ''}
+  </div>`;
+  }).join('');
+  return `<h3>Session recordings</h3>${sessions}`;
+}
+
+function renderIteration({ entry, code, screenshots, changes, comparisons, recordings }, previousCode, isFinal, usage) {
+  const feedback = entry.feedback || {};
+  const visual = entry.visualFeedback || {};
+  const build = entry.buildStatus;
+  const runtimeErrors = entry.runtimeDiagnostics?.errors || [];
+  const specs = entry.specResults || [];
+  const review = entry.review;
+  const improvement = entry.improvement;
+  const rubric = entry.rubric;
+  const specsFailed = specs.filter(result => result.status === 'failed');
+
+  const badges = [
+    entry.unscored ? '<span class="badge bad">Unscored</span>' : `<span class="badge">Score ${formatScore(entry.score)}</span>`,
+    rubric && !entry.unscored ? `<span class="badge ${rubric.unmet.length === 0 ? 'ok' : ''}">${rubric.unmet.length === 0 ? 'Quality bar met' : 'Quality bar not met'}</span>` : '',
+    visual.unscored ? '<span class="badge bad">Visual unscored</span>' : `<span class="badge">Visual ${formatScore(visual.visualScore)}</span>`,
+    typeof entry.accessibilityScore === 'number' ? `<span class="badge">A11y ${formatScore(entry.accessibilityScore)}</span>` : '',
+    entry.fidelity ? (entry.fidelity.unscored ? '<span class="badge bad">Fidelity unscored</span>' : `<span class="badge">Fidelity ${formatScore(entry.fidelity.score)}</span>`) : '',
+    build ? (build.compiled === null ? '<span class="badge">Build not checked</span>' : `<span class="badge ${build.compiled ? 'ok' : 'bad'}">${build.compiled ? (build.repaired ? `Repaired (${build.repairAttempts})` : 'Compiled') : 'Build failing'}</span>`) : '',
+    entry.runtimeDiagnostics?.fatal ? '<span class="badge bad">Runtime crash</span>' : '',
+    entry.rolledBack ? '<span class="badge bad">Rolled back</span>' : '',
+    review ? '<span class="badge">Reviewed by a designer</span>' : '',
+    visual.changeVerdict ? `<span class="badge ${visual.changeVerdict === 'improved' ? 'ok' : visual.changeVerdict === 'unchanged' ? '' : 'bad'}">Change: ${escapeHtml(visual.changeVerdict)}</span>` : '',
+    specs.length > 0 ? `<span class="badge ${specsFailed.length > 0 ? 'bad' : 'ok'}">Earlier specs ${specs.length - specsFailed.length}/${specs.length}</span>` : '',
+    usage ? `<span class="badge">${formatCost(usage.cost)}</span>` : '',
+    isFinal ? '<span class="badge ok">Final version</span>' : ''
+  ].join('');
+
+  const gallery = screenshots.length > 0
+    ? `<div class="gallery">${screenshots.map(shot => `<figure><img src="${shot.uri}" alt="${escapeHtml(shot.name)}" loading="lazy"><figcaption>${escapeHtml(shot.name)}</figcaption></figure>`).join('')}</div>`
+    : '<p class="muted">No screenshots saved.</p>';
+
+  return `<section class="iteration" id="iteration-${entry.iteration}${entry.variant ? `-${entry.variant}` : ''}">
+  <h2>Iteration ${entry.iteration}${entry.variant ? ` · ${escapeHtml(entry.variant)}` : ''} ${badges}</h2>
+  ${improvement?.fallbackReason ? `<p class="muted">The next version was rewritten in full: ${escapeHtml(improvement.fallbackReason)}.</p>` : ''}
+  ${entry.unscored ? `<p class="muted">Not scored and not used for the stop/continue decision: ${escapeHtml((entry.unscoredReasons || []).join('; '))}.</p>` : ''}
+  ${feedback.reasoning ? `<p>${escapeHtml(feedback.reasoning)}</p>` : ''}
+  <div class="columns">
+    ${renderList('Criteria', (rubric?.criteria || []).map(criterion => `${criterion.name}: ${formatScore(criterion.value)} (weight ${criterion.weight}${criterion.min !== undefined ? `, min ${formatScore(criterion.min)}${criterion.belowMinimum ? ', not met' : ''}` : ''})`))}
+    ${renderList('Not done yet', entry.unscored ? [] : rubric?.unmet, 'bad')}
+    ${renderList('Blocking issues', rubric?.blockingIssues, 'bad')}
+    ${renderList('Persona scores', (feedback.personas || []).map(session => `${session.name}: ${session.unscored ? 'unscored' : formatScore(session.overallScore)}`))}
+    ${renderList('Positives', feedback.positives, 'good')}
+    ${renderList('UX issues', feedback.issues, 'bad')}
+    ${renderList('UX improvements', feedback.improvements)}
+    ${renderList('Visual positives', visual.designPositives, 'good')}
+    ${renderList('Visual issues', visual.designIssues, 'bad')}
+    ${renderList('Visual improvements', visual.designImprovements)}
+    ${renderList('Designer direction', review ? [
+      ...review.findings.filter(finding => finding.status === 'accepted' && finding.priority !== 'normal').map(finding => `${finding.priority === 'high' ? 'High' : 'Low'} priority: ${finding.text}`),
+      ...review.instructions,
+      ...review.regions.map(region => `${region.name} (${region.width}x${region.height} at ${region.x}, ${region.y}): ${region.note}`)
+    ] : [])}
+    ${renderList('Rejected by the designer', (review?.findings || []).filter(finding => finding.status === 'rejected').map(finding => finding.text))}
+    ${renderList('Edits for the next version', (improvement?.edits || []).map(edit => `${edit.issue} → ${edit.file} (−${edit.removed}/+${edit.added} lines)`))}
+    ${renderList('Edits that didn\'t apply', (improvement?.conflicts || []).map(conflict => `${conflict.issue} → ${conflict.file}: ${conflict.reason}`), 'bad')}
+    ${renderList('Runtime errors', runtimeErrors, 'bad')}
+    ${renderList('Earlier specs now failing', specsFailed.map(result => `${result.name} (iteration ${result.iteration}): ${result.error}`), 'bad')}
+    ${renderList('Accessibility findings', (entry.accessibility?.findings || []).map(finding => `[${finding.impact}] ${finding.ruleId}: ${finding.message}`), 'bad')}
+    ${renderList('Design-system issues', (entry.designSystem?.findings || []).map(finding => finding.message), 'bad')}
+  </div>
+  ${gallery}
+  ${renderFidelity(entry.fidelity, comparisons)}
+  ${renderChanges(entry.visualDiff, changes)}
+  ${renderRecordings(recordings)}
+  ${previousCode === undefined ? '' : renderDiff(previousCode, code)}
+</section>`;
+}
+
+const STYLES = `
+body { font-family: system-ui, -apple-system, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #111827; }
+h1 { margin-bottom: 4px; }
+.muted { color: #6b7280; }
+.chart { width: 100%; max-width: 640px; }
+.chart text { font-size: 11px; fill: #6b7280; }
+.chart .grid { stroke: #e5e7eb; }
+.legend { margin-right: 16px; font-size: 13px; }
+.swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+.iteration { border-top: 1px solid #e5e7eb; padding-top: 16px; margin-top: 24px; }
+.badge { font-size: 12px; font-weight: normal; background: #f3f4f6; border-radius: 999px; padding: 2px 8px; margin-left: 6px; vertical-align: middle; }
+.badge.ok { background: #dcfce7; }
+.badge.bad { background: #fee2e2; }
+.columns { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 12px; }
+.list h4 { margin: 8px 0 4px; }
+.list ul { margin: 0; padding-left: 18px; }
+.list.good h4 { color: #15803d; }
+.list.bad h4 { color: #b91c1c; }
+.gallery { display: flex; gap: 12px; overflow-x: auto; padding: 12px 0; }
+.gallery figure { margin: 0; flex: 0 0 auto; }
+.gallery img { height: 200px; border: 1px solid #e5e7eb; border-radius: 4px; }
+.gallery figcaption { font-size: 12px; color: #6b7280; }
+.variants { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 12px; }
+.variant { margin: 0; }
+.variant img { width: 100%; border: 1px solid #e5e7eb; border-radius: 4px; }
+.variant figcaption { font-size: 13px; }
+.change h4 { margin: 12px 0 4px; }
+.triptych { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+.triptych.pair { grid-template-columns: repeat(2, 1fr); }
+.triptych figure { margin: 0; }
+.triptych img { width: 100%; border: 1px solid #e5e7eb; border-radius: 4px; }
+.triptych figcaption { font-size: 12px; color: #6b7280; }
+.steps { border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+.steps th, .steps td { padding: 4px 6px; text-align: left; vertical-align: top; border-bottom: 1px solid #e5e7eb; }
+.steps td.num { color: #6b7280; }
+.steps td.del { background: #fee2e2; }
+.steps pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+.steps img { height: 90px; border: 1px solid #e5e7eb; border-radius: 4px; }
+.change video { max-width: 100%; max-height: 360px; border: 1px solid #e5e7eb; border-radius: 4px; }
+.usage { border-collapse: collapse; font-size: 13px; }
+.usage th, .usage td { padding: 2px 8px; text-align: left; border-bottom: 1px solid #e5e7eb; }
+.usage td.num { text-align: right; }
+.diff { border-collapse: collapse; width: 100%; font-size: 12px; table-layout: fixed; }
+.diff td { vertical-align: top; padding: 0 4px; }
+.diff td.num { width: 36px; color: #9ca3af; text-align: right; }
+.diff pre { margin: 0; white-space: pre-wrap; word-break: break-all; }
+.diff .del { background: #fee2e2; }
+.diff .ins { background: #dcfce7; }
+.diff .empty { background: #f9fafb; }
+.diff .skip td { color: #9ca3af; text-align: center; background: #f9fafb; }
+`;
+
+/**
+ * Build the HTML report.
+ *
+ * @param {object} report contents of final-report.json
+ * @param {{ runDir?: string, outputDir?: string }} options run directory holding saved
+ *   iterations, and the directory the report is written to (for links into the run)
+ * @returns {Promise<string>}
+ */
+export async function buildHtmlReport(report, { runDir = null, outputDir = null } = {}) {
+  const assets = await loadIterationAssets(report, runDir, outputDir);
+
+  const finalVariant = report.tournament?.final?.variant;
+  const sections = assets.map((asset, index) => {
+    // Diff against the previous version of the same design
+    const previous = assets.slice(0, index).findLast(({ entry }) => entry.variant === asset.entry.variant);
+    const isFinal = asset.entry.iteration === report.finalIteration && (!finalVariant || asset.entry.variant === finalVariant);
+    // An iteration's cost covers all of its variants, so it's only shown without them
+    const usage = asset.entry.variant ? undefined : report.usage?.byIteration?.[asset.entry.iteration];
+    return renderIteration(asset, previous ? previous.code : undefined, isFinal, usage);
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Prototype run ${escapeHtml(report.runId || '')}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Prototype run report</h1>
+<p class="muted">${escapeHtml(report.runId || '')}${report.finalIteration ? ` · final version: iteration ${report.finalIteration}${finalVariant ? ` of ${escapeHtml(finalVariant)}` : ''}` : ''}</p>
+<p><strong>Design prompt:</strong> ${escapeHtml(report.designPrompt)}</p>
+${report.stoppedBy?.reason === 'designer' ? `<p class="muted">Stopped by the designer after iteration ${report.stoppedBy.afterIteration}.</p>` : ''}
+${report.stoppedBy?.reason === 'plateau' ? `<p class="muted">Stopped after iteration ${report.stoppedBy.afterIteration}: the score hadn't improved in ${report.stoppedBy.iterations} iteration(s).</p>` : ''}
+<h2>Scores</h2>
+${renderChart(report.iterations || [])}
+${renderTournament(report.tournament, assets)}
+${renderUsage(report.usage, report.stoppedBy)}
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Write report.html next to a report JSON (or to an explicit path)
+export async function writeHtmlReport(report, outputPath, options = {}) {
+  const html = await buildHtmlReport(report, { outputDir: path.dirname(path.resolve(outputPath)), ...options });
+  await fs.writeFile(outputPath, html);
+  return outputPath;
+}
@@ -0,0 +1,86 @@
+// line-diff.js
+// Minimal line-based diff (longest common subsequence). Generated components
+// are a few hundred lines at most, so the quadratic table is fine.
+
+/**
+ * @returns {{ type: 'equal' | 'add' | 'remove', oldLine?: number, newLine?: number, text: string }[]}
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', oldLine: i + 1, newLine: j + 1, text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'remove', oldLine: i + 1, text: a[i] });
+      i++;
+    } else {
+      ops.push({ type: 'add', newLine: j + 1, text: b[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    ops.push({ type: 'remove', oldLine: i + 1, text: a[i] });
+    i++;
+  }
+  while (j < m) {
+    ops.push({ type: 'add', newLine: j + 1, text: b[j] });
+    j++;
+  }
+  return ops;
+}
+
+/**
+ * Pair removed and added lines into rows for a side-by-side view.
+ * @returns {{ left: object | null, right: object | null, type: string }[]}
+ */
+export function sideBySide(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k++) {
+      rows.push({ type: 'change', left: removed[k] || null, right: added[k] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === 'remove') {
+      removed.push(op);
+    } else if (op.type === 'add') {
+      added.push(op);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: op, right: op });
+    }
+  }
+  flush();
+  return rows;
+}
+
+export function diffStats(ops) {
+  return {
+    added: ops.filter(op => op.type === 'add').length,
+    removed: ops.filter(op => op.type === 'remove').length
+  };
+}
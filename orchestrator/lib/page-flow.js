@@ -0,0 +1,257 @@
+// page-flow.js
+// Multi-page prototypes: a flow of page files under src/pages/<name>/ plus
+// shared components under src/components/<name>/. The files travel through the
+// workflow as one text bundle, so run history, diffs and reports handle them
+// exactly like a single component.
+//
+// Bundle format:
+//   // ===== FILE: src/pages/checkout/cart.tsx =====
+//   ...file contents...
+//   // ===== DELETE: src/pages/checkout/old-step.tsx =====
+//
+// src/pages/<name>/.flow.json lists the files the flow wrote and the run that
+// wrote them; only those files are ever removed again.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const ENTRY_FILE = 'src/components/GeneratedPrototype.tsx';
+
+const MARKER = /^\/\/ ===== (FILE|DELETE): (.+?) =====\s*$/;
+const SOURCE_EXTENSION = /\.(js|jsx|ts|tsx)$/;
+
+export function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'prototype';
+}
+
+export function pagesDir(name) {
+  return `src/pages/${name}`;
+}
+
+export function sharedDir(name) {
+  return `src/components/${name}`;
+}
+
+// Same conversion as the Router in prototype/src/App.tsx
+export function routeOf(file) {
+  return '/' + file
+    .replace(/^.*\/pages\//, '')
+    .replace(SOURCE_EXTENSION, '')
+    .toLowerCase();
+}
+
+function stripFences(content) {
+  return content
+    .replace(/^\s*```[a-z]*\s*\n/i, '')
+    .replace(/\n\s*```\s*$/, '')
+    .trim();
+}
+
+/**
+ * Split a bundle into files. Text before the first marker is ignored.
+ * @returns {{ files: Array<{ path: string, content: string }>, deleted: string[] }}
+ */
+export function parseBundle(text) {
+  const files = [];
+  const deleted = [];
+  let current = null;
+
+  for (const line of String(text).split('\n')) {
+    const match = line.match(MARKER);
+    if (match) {
+      const file = match[2].trim().replace(/^\.?\//, '');
+      if (match[1] === 'DELETE') {
+        deleted.push(file);
+        current = null;
+      } else {
+        current = { path: file, lines: [] };
+        files.push(current);
+      }
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return {
+    files: files.map(file => ({ path: file.path, content: stripFences(file.lines.join('\n')) })),
+    deleted
+  };
+}
+
+export function serializeBundle(files) {
+  return [...files]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(file => `// ===== FILE: ${file.path} =====\n${file.content.trim()}\n`)
+    .join('\n');
+}
+
+// Files the model may write for a flow; anything else is dropped
+export function isAllowedFile(file, name) {
+  if (file.includes('..') || !SOURCE_EXTENSION.test(file)) return false;
+  return file === ENTRY_FILE ||
+    file.startsWith(`${pagesDir(name)}/`) ||
+    file.startsWith(`${sharedDir(name)}/`);
+}
+
+/**
+ * Apply a bundle of changed (and deleted) files to the current bundle.
+ * @returns {{ code: string, changed: string[], rejected: string[] }}
+ */
+export function mergeBundle(currentCode, changesText, name) {
+  const current = new Map(parseBundle(currentCode).files.map(file => [file.path, file.content]));
+  const changes = parseBundle(changesText);
+  const changed = [];
+  const rejected = [];
+
+  for (const file of changes.files) {
+    if (!isAllowedFile(file.path, name)) {
+      rejected.push(file.path);
+      continue;
+    }
+    if (current.get(file.path) !== file.content) changed.push(file.path);
+    current.set(file.path, file.content);
+  }
+  for (const file of changes.deleted) {
+    if (file !== ENTRY_FILE && current.delete(file)) changed.push(file);
+  }
+
+  const code = serializeBundle([...current].map(([file, content]) => ({ path: file, content })));
+  return { code, changed, rejected };
+}
+
+const PLACEHOLDER_COMPONENT = `export default function GeneratedPrototype() {
+  return (
+    <div className="p-8">
+      <h1>Generated Prototype Will Appear Here</h1>
+      <p>Run the orchestrator to generate your first prototype!</p>
+    </div>
+  );
+}
+`;
+
+// The prototype's root component just sends the app to the first page of the flow
+export function entryComponent(route) {
+  return `import { Redirect } from 'wouter';
+
+export default function GeneratedPrototype() {
+  return <Redirect to="${route}" replace />;
+}`;
+}
+
+export function pageRoutes(code) {
+  return parseBundle(code).files
+    .filter(file => file.path.includes('/pages/'))
+    .map(file => ({ file: file.path, route: routeOf(file.path) }));
+}
+
+async function listSources(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true, recursive: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.isFile() && SOURCE_EXTENSION.test(entry.name))
+    .map(entry => path.join(entry.parentPath ?? entry.path, entry.name));
+}
+
+// Lists the files a flow wrote, so rewriting or removing it never touches
+// files that were in its folders before
+const MANIFEST = '.flow.json';
+
+function manifestFile(projectPath, name) {
+  return path.resolve(projectPath, pagesDir(name), MANIFEST);
+}
+
+// { runId, files } the flow was last written with, or null when it isn't a generated flow
+export async function readFlowManifest(projectPath, name) {
+  try {
+    return JSON.parse(await fs.readFile(manifestFile(projectPath, name), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Refuse a flow name whose folders already hold files the orchestrator didn't
+ * write, like src/components/ui (the design system) or src/pages/demo.
+ */
+export async function checkFlowName(projectPath, name) {
+  if (await readFlowManifest(projectPath, name)) return;
+  for (const dir of [pagesDir(name), sharedDir(name)]) {
+    const exists = await fs.stat(path.resolve(projectPath, dir)).then(stat => stat.isDirectory(), () => false);
+    if (exists) {
+      throw new Error(`Can't use "${name}" as the prototype name: ${dir}/ already exists and wasn't generated. Choose another name with --prototype-name`);
+    }
+  }
+}
+
+/**
+ * Write every file of the bundle into the project and remove the files the
+ * flow wrote before that are no longer part of it.
+ * @returns {Promise<string[]>} project-relative paths that were written
+ */
+export async function writeBundle(projectPath, code, name, { runId = null } = {}) {
+  const { files } = parseBundle(code);
+  const wanted = new Set(files.map(file => file.path));
+
+  for (const file of (await readFlowManifest(projectPath, name))?.files || []) {
+    if (!wanted.has(file)) await fs.rm(path.resolve(projectPath, file), { force: true });
+  }
+
+  for (const file of files) {
+    const target = path.resolve(projectPath, file.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+  }
+  await fs.mkdir(path.resolve(projectPath, pagesDir(name)), { recursive: true });
+  await fs.writeFile(manifestFile(projectPath, name), JSON.stringify({ runId, files: files.map(file => file.path).filter(file => file !== ENTRY_FILE) }, null, 2));
+  return files.map(file => file.path);
+}
+
+/**
+ * Remove the files the flow wrote, and its folders once they are empty. An
+ * entry component that still redirects into the flow is reset to a placeholder.
+ * @returns {Promise<string[]>} project-relative paths that were removed
+ */
+export async function removeFlow(projectPath, name) {
+  const files = (await readFlowManifest(projectPath, name))?.files || [];
+  for (const file of files) {
+    await fs.rm(path.resolve(projectPath, file), { force: true });
+  }
+  await fs.rm(manifestFile(projectPath, name), { force: true });
+  for (const dir of [pagesDir(name), sharedDir(name)]) {
+    await fs.rmdir(path.resolve(projectPath, dir)).catch(() => {});
+  }
+
+  const entry = path.resolve(projectPath, ENTRY_FILE);
+  const entryCode = await fs.readFile(entry, 'utf8').catch(() => '');
+  if (entryCode.includes(`<Redirect to="/${name}/`)) {
+    await fs.writeFile(entry, PLACEHOLDER_COMPONENT);
+  }
+  return files;
+}
+
+// Bundle of the flow as it currently exists on disk
+export async function readBundle(projectPath, name) {
+  const files = [];
+  for (const dir of [pagesDir(name), sharedDir(name)]) {
+    for (const file of await listSources(path.resolve(projectPath, dir))) {
+      files.push({
+        path: path.relative(projectPath, file).split(path.sep).join('/'),
+        content: await fs.readFile(file, 'utf8')
+      });
+    }
+  }
+  try {
+    files.push({ path: ENTRY_FILE, content: await fs.readFile(path.resolve(projectPath, ENTRY_FILE), 'utf8') });
+  } catch {
+    // No entry yet
+  }
+  return serializeBundle(files);
+}
@@ -0,0 +1,149 @@
+// personas.js
+// Tester personas for usability sessions. Each persona is a Markdown file: a
+// short front matter block with its name and browsing constraints, then its
+// background, goals and habits in plain prose. The team can add their own in
+// a personas directory next to the bundled ones.
+//
+//   ---
+//   name: Keyboard-only power user
+//   keyboardOnly: true
+//   ---
+//   Uses the app every day and never touches the mouse...
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const BUILTIN_PERSONAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'personas');
+
+// Front matter fields a persona may set, and what they must be
+const FIELDS = {
+  name: value => typeof value === 'string' && value.length > 0,
+  keyboardOnly: value => typeof value === 'boolean',
+  screenReader: value => typeof value === 'boolean',
+  zoom: value => typeof value === 'number' && value >= 1 && value <= 5
+};
+
+function parseValue(raw) {
+  const value = raw.trim().replace(/^(["'])(.*)\1$/, '$2');
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * Parse one persona file.
+ *
+ * @param {string} text file contents
+ * @param {string} id persona id (the file name without .md)
+ * @returns {{ id: string, name: string, keyboardOnly: boolean, screenReader: boolean, zoom: number, description: string }}
+ */
+export function parsePersona(text, id) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Persona "${id}" must start with a front matter block (--- name: ... ---)`);
+  }
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'))) {
+    const separator = line.indexOf(':');
+    const key = line.slice(0, separator).trim();
+    if (separator === -1 || !FIELDS[key]) {
+      throw new Error(`Persona "${id}": unknown front matter line "${line.trim()}" (known fields: ${Object.keys(FIELDS).join(', ')})`);
+    }
+    fields[key] = parseValue(line.slice(separator + 1));
+    if (!FIELDS[key](fields[key])) {
+      throw new Error(`Persona "${id}": invalid ${key} ${JSON.stringify(fields[key])}`);
+    }
+  }
+  if (!fields.name) {
+    throw new Error(`Persona "${id}" needs a name`);
+  }
+
+  const description = match[2].trim();
+  if (!description) {
+    throw new Error(`Persona "${id}" needs a description of who they are and what they want`);
+  }
+  return { id, keyboardOnly: false, screenReader: false, zoom: 1, ...fields, description };
+}
+
+async function personaIds(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(file => file.endsWith('.md')).map(file => file.slice(0, -3)).sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load personas by id. Each id is looked up in the given directories in order,
+ * so a team's own persona replaces a bundled one of the same name. "all"
+ * loads every persona found.
+ */
+export async function loadPersonas(ids, dirs) {
+  const searched = dirs.filter(Boolean);
+  const available = [...new Set((await Promise.all(searched.map(personaIds))).flat())].sort();
+  const wanted = ids.includes('all') ? available : ids;
+
+  const personas = [];
+  for (const id of wanted) {
+    let text = null;
+    for (const dir of searched) {
+      text = await fs.readFile(path.join(dir, `${id}.md`), 'utf8').catch(() => null);
+      if (text !== null) break;
+    }
+    if (text === null) {
+      throw new Error(`Persona "${id}" not found in ${searched.join(', ')} (available: ${available.join(', ') || 'none'})`);
+    }
+    personas.push(parsePersona(text, id));
+  }
+  return personas;
+}
+
+/**
+ * Browser context options for a persona: 200% zoom lays the page out in half
+ * the CSS width, at twice the pixel density.
+ */
+export function personaContextOptions(persona, viewport) {
+  if (persona.zoom === 1) return { viewport };
+  return {
+    viewport: { width: Math.round(viewport.width / persona.zoom), height: Math.round(viewport.height / persona.zoom) },
+    deviceScaleFactor: persona.zoom
+  };
+}
+
+// Who the tester is, for the scenario and feedback prompts
+export function describePersona(persona) {
+  const constraints = [
+    persona.keyboardOnly && 'Uses the keyboard only: no mouse, no clicking or hovering.',
+    persona.screenReader && 'Uses a screen reader: knows the page only through roles and accessible names, never by how it looks.',
+    persona.zoom > 1 && `Browses at ${Math.round(persona.zoom * 100)}% zoom.`
+  ].filter(Boolean);
+  return `Persona: ${persona.name}\n${persona.description}${constraints.length > 0 ? `\n\nConstraints:\n${constraints.map(line => `- ${line}`).join('\n')}` : ''}`;
+}
+
+/**
+ * Merge each persona's feedback into one, with every finding labelled by the
+ * persona that reported it. The overall score is the personas' average; if
+ * any persona's feedback is unscored, so is the whole.
+ *
+ * @param {{ persona: object, feedback: object }[]} sessions
+ */
+export function combinePersonaFeedback(sessions) {
+  const label = (persona, items) => (items || []).map(item => `[${persona.name}] ${item}`);
+  const scores = sessions.map(({ feedback }) => feedback.overallScore);
+  const unscored = sessions.some(({ feedback }) => feedback.unscored);
+  const overallScore = unscored
+    ? null
+    : Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+
+  return {
+    overallScore,
+    ...(unscored ? { unscored: true } : {}),
+    positives: sessions.flatMap(({ persona, feedback }) => label(persona, feedback.positives)),
+    issues: sessions.flatMap(({ persona, feedback }) => label(persona, feedback.issues)),
+    improvements: sessions.flatMap(({ persona, feedback }) => label(persona, feedback.improvements)),
+    reasoning: sessions.map(({ persona, feedback }) => `${persona.name}: ${feedback.reasoning}`).join('\n\n'),
+    personas: sessions.map(({ persona, feedback }) => ({ id: persona.id, name: persona.name, ...feedback }))
+  };
+}
@@ -0,0 +1,178 @@
+// providers.js
+// Pluggable LLM provider layer. Every adapter exposes the same complete()
+// call so orchestrator stages don't need to know which backend answers them.
+//
+// Messages use a provider-neutral shape:
+//   { role: 'user' | 'assistant', content: 'plain text' }
+//   { role: 'user', content: [textPart('...'), imagePart(base64)] }
+//
+// Passing jsonSchema: { name, schema } asks for JSON using the backend's
+// native structured-output mode, unless the provider sets structuredOutput: false.
+
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+
+export function textPart(text) {
+  return { type: 'text', text };
+}
+
+export function imagePart(data, mediaType = 'image/png') {
+  return { type: 'image', data, mediaType };
+}
+
+function toParts(content) {
+  return typeof content === 'string' ? [textPart(content)] : content;
+}
+
+// OpenAI chat completions (also used for Ollama and other compatible servers)
+class OpenAIProvider {
+  constructor({ type, apiKey, baseURL, structuredOutput = true }) {
+    // Local servers take no key, but the client won't start without one
+    this.client = new OpenAI({ apiKey: apiKey || 'none', baseURL });
+    this.type = type;
+    this.structuredOutput = structuredOutput;
+    this.modelsWithoutResponseFormat = new Set();
+  }
+
+  // OpenAI enforces the schema itself; compatible servers mostly only know JSON mode
+  responseFormat(jsonSchema) {
+    if (!jsonSchema || !this.structuredOutput) return {};
+    return this.type === 'openai'
+      ? { response_format: { type: 'json_schema', json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: false } } }
+      : { response_format: { type: 'json_object' } };
+  }
+
+  toMessage(message) {
+    if (typeof message.content === 'string') return message;
+
+    return {
+      role: message.role,
+      content: message.content.map(part => part.type === 'image'
+        ? { type: 'image_url', image_url: { url: `data:${part.mediaType};base64,${part.data}` } }
+        : { type: 'text', text: part.text })
+    };
+  }
+
+  async complete({ model, system, messages, temperature, maxTokens, jsonSchema }) {
+    const request = {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => this.toMessage(message))
+      ],
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {})
+    };
+    const format = this.modelsWithoutResponseFormat.has(model) ? {} : this.responseFormat(jsonSchema);
+
+    let response;
+    try {
+      response = await this.client.chat.completions.create({ ...request, ...format });
+    } catch (error) {
+      // Older models (e.g. gpt-4) reject response_format; the schema is still
+      // validated after the call, so ask again without it
+      if (!format.response_format || error.status !== 400 || !/response_format/.test(error.message)) throw error;
+      console.log(`⚠️ ${model} doesn't support response_format; asking for JSON without it`);
+      this.modelsWithoutResponseFormat.add(model);
+      response = await this.client.chat.completions.create(request);
+    }
+
+    return {
+      text: (response.choices[0].message.content || '').trim(),
+      model: response.model || model,
+      usage: {
+        inputTokens: response.usage?.prompt_tokens ?? 0,
+        outputTokens: response.usage?.completion_tokens ?? 0
+      }
+    };
+  }
+}
+
+// Anthropic Messages API
+class AnthropicProvider {
+  constructor({ apiKey, baseURL, structuredOutput = true }) {
+    this.client = new Anthropic({ apiKey, baseURL });
+    this.structuredOutput = structuredOutput;
+  }
+
+  toMessage(message) {
+    return {
+      role: message.role,
+      content: toParts(message.content).map(part => part.type === 'image'
+        ? { type: 'image', source: { type: 'base64', media_type: part.mediaType, data: part.data } }
+        : { type: 'text', text: part.text })
+    };
+  }
+
+  async complete({ model, system, messages, temperature, maxTokens, jsonSchema }) {
+    // Structured output: force a single tool call whose input is the JSON we want
+    const tool = jsonSchema && this.structuredOutput
+      ? { name: jsonSchema.name.replace(/[^a-zA-Z0-9_-]/g, '_'), description: `Return the ${jsonSchema.name} result`, input_schema: jsonSchema.schema }
+      : null;
+
+    const response = await this.client.messages.create({
+      model,
+      system,
+      messages: messages.map(message => this.toMessage(message)),
+      temperature,
+      // Anthropic requires an explicit output limit
+      max_tokens: maxTokens || 8192,
+      ...(tool ? { tools: [tool], tool_choice: { type: 'tool', name: tool.name } } : {})
+    });
+
+    const toolUse = tool && response.content.find(block => block.type === 'tool_use');
+    return {
+      text: toolUse
+        ? JSON.stringify(toolUse.input)
+        : response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('')
+          .trim(),
+      model: response.model || model,
+      usage: {
+        inputTokens: response.usage?.input_tokens ?? 0,
+        outputTokens: response.usage?.output_tokens ?? 0
+      }
+    };
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAIProvider,
+  anthropic: AnthropicProvider
+};
+
+export function createProvider(name, definition) {
+  const Provider = PROVIDER_TYPES[definition.type];
+  if (!Provider) {
+    throw new Error(`Unknown provider type "${definition.type}" for provider "${name}". Expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+  }
+  // A compatible server of your own usually needs no key; the hosted services do
+  const local = definition.type === 'openai-compatible' && definition.baseURL;
+  if (!definition.apiKey && !local) {
+    throw new Error(`Provider "${name}" has no API key configured`);
+  }
+  return new Provider(definition);
+}
+
+// Providers are created on first use so that stages pointing at a local model
+// don't require keys for the hosted services (and vice versa).
+export class ProviderRegistry {
+  constructor(definitions) {
+    this.definitions = definitions;
+    this.instances = new Map();
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      const definition = this.definitions[name];
+      if (!definition) {
+        throw new Error(`No provider named "${name}" in CONFIG.providers`);
+      }
+      this.instances.set(name, createProvider(name, definition));
+    }
+    return this.instances.get(name);
+  }
+}
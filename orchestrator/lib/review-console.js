@@ -0,0 +1,165 @@
+// review-console.js
+// A designer's review of an iteration's findings before the prototype is
+// improved. Every UX and visual issue can be accepted, rejected or given a
+// higher or lower priority; the designer can add instructions of their own and
+// point at a region of a screenshot. Only the curated set goes to the
+// improvement step, and rejected findings are kept out of later reviews.
+
+export const REVIEW_HELP = `Commands (n can be a list, e.g. 1,3 or 2-4):
+  r <n>                     reject: the finding is wrong or doesn't matter
+  a <n>                     accept again at normal priority
+  h <n>                     high priority: fix first
+  l <n>                     low priority: only if it doesn't get in the way
+  + <text>                  add an instruction of your own
+  @ <shot> <x>,<y>,<w>,<h> <note>
+                            point at a region of a screenshot (by number or name)
+  stop                      keep this version and end the run
+  Enter                     done: improve with the accepted findings`;
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+const PRIORITY_LABELS = { high: '[High priority] ', normal: '', low: '[Low priority] ' };
+
+/**
+ * The findings a designer reviews: every UX issue, then every visual issue,
+ * all accepted at normal priority to begin with.
+ */
+export function reviewItems(feedback, visualFeedback) {
+  return [
+    ...(feedback.issues || []).map(text => ({ kind: 'ux', text, status: 'accepted', priority: 'normal' })),
+    ...(visualFeedback.designIssues || []).map(text => ({ kind: 'visual', text, status: 'accepted', priority: 'normal' }))
+  ];
+}
+
+// "1,3" or "2-4" as zero-based indexes into a list of `count` items
+export function parseNumbers(text, count) {
+  const indexes = [];
+  for (const part of text.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`"${part}" is not a number or range`);
+    const [from, to] = [Number(match[1]), Number(match[2] ?? match[1])];
+    if (from < 1 || to > count || from > to) throw new Error(`${part} is out of range (1-${count})`);
+    for (let n = from; n <= to; n++) indexes.push(n - 1);
+  }
+  if (indexes.length === 0) throw new Error('Give the number of a finding');
+  return indexes;
+}
+
+function findScreenshot(ref, screenshots) {
+  const shot = /^\d+$/.test(ref) ? screenshots[Number(ref) - 1] : screenshots.find(shot => shot.name === ref || shot.name.endsWith(`-${ref}`));
+  if (!shot) throw new Error(`No screenshot "${ref}" (${screenshots.length > 0 ? `1-${screenshots.length} or a name` : 'none saved'})`);
+  return shot;
+}
+
+/**
+ * Apply one console command to a review in progress.
+ *
+ * @param {{ findings: object[], instructions: string[], regions: object[] }} review changed in place
+ * @param {string} line what the designer typed
+ * @param {{ name: string, file: string }[]} screenshots this iteration's screenshots
+ * @returns {'continue' | 'done' | 'stop'}
+ * @throws {Error} with a message for the designer when the command is invalid
+ */
+export function applyCommand(review, line, screenshots = []) {
+  const input = line.trim();
+  if (input === '' || input === 'done') return 'done';
+  if (input === 'stop') return 'stop';
+
+  const [, command, rest = ''] = input.match(/^(\S+)\s*([\s\S]*)$/);
+  switch (command) {
+    case 'r':
+    case 'a':
+    case 'h':
+    case 'l':
+      for (const index of parseNumbers(rest, review.findings.length)) {
+        const finding = review.findings[index];
+        finding.status = command === 'r' ? 'rejected' : 'accepted';
+        finding.priority = { r: finding.priority, a: 'normal', h: 'high', l: 'low' }[command];
+      }
+      return 'continue';
+    case '+':
+      if (!rest.trim()) throw new Error('Type the instruction after +');
+      review.instructions.push(rest.trim());
+      return 'continue';
+    case '@': {
+      const match = rest.match(/^(\S+)\s+(\d+),\s*(\d+),\s*(\d+),\s*(\d+)\s+([\s\S]+)$/);
+      if (!match) throw new Error('Point at a region with: @ <screenshot> <x>,<y>,<width>,<height> <note>');
+      const [, ref, x, y, width, height, note] = match;
+      if (Number(width) === 0 || Number(height) === 0) throw new Error('The region needs a width and a height');
+      const shot = findScreenshot(ref, screenshots);
+      review.regions.push({ screenshot: shot.file, name: shot.name, x: Number(x), y: Number(y), width: Number(width), height: Number(height), note: note.trim() });
+      return 'continue';
+    }
+    default:
+      throw new Error(`Unknown command "${command}"`);
+  }
+}
+
+function printFindings(findings) {
+  findings.forEach((finding, i) => {
+    const mark = finding.status === 'rejected' ? '✗' : { high: '!', normal: ' ', low: '↓' }[finding.priority];
+    console.log(`  ${String(i + 1).padStart(2)}. ${mark} [${finding.kind === 'ux' ? 'UX' : 'Visual'}] ${finding.text}`);
+  });
+}
+
+/**
+ * Run the review console. `ask` shows a prompt and resolves with the line typed.
+ *
+ * @returns {Promise<{ findings: object[], instructions: string[], regions: object[], stop: boolean }>}
+ */
+export async function runReview(ask, { feedback, visualFeedback, screenshots = [] }) {
+  const review = { findings: reviewItems(feedback, visualFeedback), instructions: [], regions: [], stop: false };
+
+  console.log('\n📝 Review the findings before the next improvement');
+  printFindings(review.findings);
+  if (screenshots.length > 0) {
+    console.log('\n🖼️ Screenshots:');
+    screenshots.forEach((shot, i) => console.log(`  ${i + 1}. ${shot.name}`));
+  }
+  console.log(`\n${REVIEW_HELP}\n`);
+
+  for (;;) {
+    const line = await ask('review> ');
+    try {
+      const outcome = applyCommand(review, line, screenshots);
+      if (outcome === 'continue') {
+        printFindings(review.findings);
+        continue;
+      }
+      review.stop = outcome === 'stop';
+      break;
+    } catch (error) {
+      console.log(`⚠️ ${error.message}`);
+    }
+  }
+
+  const rejected = review.findings.filter(finding => finding.status === 'rejected').length;
+  console.log(`✅ ${review.findings.length - rejected} finding(s) accepted, ${rejected} rejected, ${review.instructions.length + review.regions.length} instruction(s) added`);
+  return review;
+}
+
+/**
+ * Feedback with only the accepted findings, highest priority first. The
+ * suggested improvements are kept; the improvement step is told which
+ * findings were rejected so it doesn't act on them.
+ */
+export function curateFeedback(feedback, visualFeedback, review) {
+  const accepted = kind => review.findings
+    .filter(finding => finding.kind === kind && finding.status === 'accepted')
+    .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+    .map(finding => `${PRIORITY_LABELS[finding.priority]}${finding.text}`);
+  return {
+    feedback: { ...feedback, issues: accepted('ux') },
+    visualFeedback: { ...visualFeedback, designIssues: accepted('visual') }
+  };
+}
+
+export function rejectedFindings(review) {
+  return review.findings.filter(finding => finding.status === 'rejected').map(finding => finding.text);
+}
+
+// Findings minus the ones a designer rejected, compared without case and spacing differences
+export function withoutRejected(items, rejected) {
+  const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+  const dismissed = new Set(rejected.map(normalize));
+  return (items || []).filter(item => !dismissed.has(normalize(item)));
+}
@@ -0,0 +1,128 @@
+// rubric.js
+// The quality bar an iteration is held to. Its score is a weighted average of
+// criteria measured from the tests and reviews, and each criterion can have a
+// minimum of its own. Stop rules add conditions one number doesn't capture:
+// every scenario passing, nothing blocking, or no progress for a while.
+
+export const CRITERIA = ['functional', 'ux', 'visual', 'accessibility', 'runtime', 'performance', 'fidelity'];
+
+// Why a criterion has no value, as an unscored reason
+const MISSING_REASONS = {
+  functional: 'no scenario ran',
+  ux: 'no valid feedback',
+  visual: 'no valid visual review',
+  accessibility: 'no accessibility audit',
+  performance: 'page load time not measured',
+  fidelity: 'no fidelity score (needs a reference design and a valid fidelity review)'
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Page load time in ms as 0-1: 1 up to `good`, 0 from `poor`, linear in between
+export function performanceScore(loadMs, { good = 1000, poor = 4000 } = {}) {
+  if (typeof loadMs !== 'number') return null;
+  if (loadMs <= good) return 1;
+  if (loadMs >= poor) return 0;
+  return round(1 - (loadMs - good) / (poor - good));
+}
+
+/**
+ * Every criterion's value (0-1) for an iteration, null when it wasn't measured.
+ *
+ * - functional: share of scenarios that passed
+ * - ux, visual: the feedback and visual review scores
+ * - accessibility: the axe audit score
+ * - runtime: 0 when the page crashed, otherwise 1 minus 0.25 per browser error
+ * - performance: page load time against the rubric's { good, poor } milliseconds
+ * - fidelity: likeness to the reference designs
+ */
+export function measureCriteria({ testResults, feedback, visualFeedback, fidelity = null }, rubric = {}) {
+  const scenarios = testResults.testResults || [];
+  const errors = testResults.runtimeDiagnostics?.errors || [];
+  return {
+    functional: scenarios.length > 0 ? round(scenarios.filter(result => result.status === 'passed').length / scenarios.length) : null,
+    ux: feedback.unscored ? null : feedback.overallScore,
+    visual: visualFeedback.unscored ? null : visualFeedback.visualScore,
+    accessibility: testResults.accessibilityResults?.score ?? null,
+    runtime: testResults.runtimeDiagnostics?.fatal ? 0 : Math.max(0, 1 - 0.25 * errors.length),
+    performance: performanceScore(testResults.performance?.loadMs, rubric.performance),
+    fidelity: fidelity?.score ?? null
+  };
+}
+
+/**
+ * Weighted average of the rubric's criteria. A criterion with weight 0 still
+ * has to reach its minimum. The score is null when a criterion wasn't measured.
+ *
+ * @param {object} values from measureCriteria
+ * @param {Object<string, { weight?: number, min?: number }>} rubric
+ * @returns {{ score: number | null, criteria: object[], missing: string[] }}
+ */
+export function scoreRubric(values, rubric) {
+  const criteria = Object.entries(rubric).map(([name, { weight = 1, min = null }]) => {
+    const value = values[name] ?? null;
+    return {
+      name,
+      value,
+      weight,
+      ...(min !== null ? { min, belowMinimum: value !== null && value < min } : {})
+    };
+  });
+  const missing = criteria.filter(criterion => criterion.value === null).map(criterion => criterion.name);
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const score = missing.length > 0 || totalWeight === 0
+    ? null
+    : round(criteria.reduce((sum, criterion) => sum + criterion.value * criterion.weight, 0) / totalWeight);
+  return { score, criteria, missing };
+}
+
+export function missingReasons(missing) {
+  return missing.map(name => MISSING_REASONS[name] || `no ${name} measurement`);
+}
+
+// Problems that keep an iteration from passing whatever its score
+export function blockingIssues(testResults) {
+  return [
+    testResults.buildStatus?.compiled === false && 'The build is failing',
+    testResults.runtimeDiagnostics?.fatal && 'The page crashed or rendered nothing',
+    ...(testResults.specResults || []).filter(result => result.status === 'failed').map(result => `Earlier spec fails: ${result.name}`),
+    ...(testResults.accessibilityResults?.findings || []).filter(finding => finding.impact === 'critical').map(finding => `Critical accessibility finding: ${finding.ruleId}`)
+  ].filter(Boolean);
+}
+
+/**
+ * Why an iteration doesn't meet the quality bar; empty when the run may stop.
+ *
+ * @param {{ score: number | null, criteria: object[], testResults: object }} iteration
+ * @param {{ threshold: number, stopRules: { allScenariosPass?: boolean, noBlockingIssues?: boolean } }} bar
+ */
+export function unmetConditions({ score, criteria, testResults }, { threshold, stopRules = {} }) {
+  const failed = (testResults.testResults || []).filter(result => result.status !== 'passed');
+  return [
+    score === null ? 'Unscored' : score < threshold && `Score ${score} is below the threshold of ${threshold}`,
+    ...criteria.filter(criterion => criterion.belowMinimum).map(criterion => `${criterion.name} ${criterion.value} is below its minimum of ${criterion.min}`),
+    stopRules.allScenariosPass && failed.length > 0 && `${failed.length} scenario run(s) failed`,
+    ...(stopRules.noBlockingIssues ? blockingIssues(testResults) : [])
+  ].filter(Boolean);
+}
+
+/**
+ * Whether the best score of the last `iterations` iterations is no more than
+ * `delta` above the best one before them. `scores` has one score per
+ * iteration (the best variant's in a tournament), null when unscored.
+ */
+export function plateaued(scores, { plateau: iterations, plateauDelta: delta = 0.02 }) {
+  if (!iterations || scores.length <= iterations) return false;
+  const best = list => Math.max(...list.filter(score => typeof score === 'number'));
+  const before = best(scores.slice(0, -iterations));
+  return before !== -Infinity && !(best(scores.slice(-iterations)) > before + delta);
+}
+
+// "functional 1, ux 0.8 ×2 (min 0.7)" for the console
+export function formatCriteria(criteria) {
+  return criteria.map(criterion => [
+    `${criterion.name} ${criterion.value ?? 'n/a'}`,
+    criterion.weight !== 1 ? ` ×${criterion.weight}` : '',
+    criterion.min !== undefined ? ` (min ${criterion.min}${criterion.belowMinimum ? ', not met' : ''})` : ''
+  ].join('')).join(', ');
+}
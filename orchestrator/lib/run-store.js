@@ -0,0 +1,215 @@
+// run-store.js
+// Keeps every version of the prototype a run produces, so a regression in a
+// later iteration never loses a better earlier one.
+//
+// runs/<runId>/
+//   run.json                        manifest: prompt, status, versions and their scores
+//   usage.json                      tokens, latency and cost of every model call
+//   references/<viewport>.png       the reference designs the run follows
+//   iteration-<N>/stages/*.json     output of each completed workflow stage, for resume
+//   iteration-<N>/GeneratedPrototype.tsx  or prototype.bundle.txt for multi-page runs
+//   iteration-<N>/scores.json
+//   iteration-<N>/screenshots/*.png
+//   iteration-<N>/diffs/*.png       highlighted changes since the version it was improved from
+//   iteration-<N>/recordings/<NN>-<scenario>/  video, trace and action log of a scenario's session
+//   iteration-<N>/variant-<k>/...   the same, per design variant of a tournament run
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_SOURCE_FILE = 'GeneratedPrototype.tsx';
+export const BUNDLE_SOURCE_FILE = 'prototype.bundle.txt';
+
+function newRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `run-${stamp}`;
+}
+
+export class RunStore {
+  constructor(baseDir, runId, manifest) {
+    this.baseDir = baseDir;
+    this.runId = runId;
+    this.dir = path.join(baseDir, runId);
+    this.manifest = manifest;
+  }
+
+  static async create(baseDir, meta = {}) {
+    const runId = newRunId();
+    const store = new RunStore(baseDir, runId, {
+      runId,
+      startedAt: new Date().toISOString(),
+      ...meta,
+      versions: []
+    });
+    await fs.mkdir(store.dir, { recursive: true });
+    await store.saveManifest();
+    return store;
+  }
+
+  static async open(baseDir, runId) {
+    const dir = path.join(baseDir, runId);
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(dir, 'run.json'), 'utf8'));
+    } catch (error) {
+      throw new Error(`Run "${runId}" not found in ${baseDir} (${error.message})`);
+    }
+    return new RunStore(baseDir, runId, manifest);
+  }
+
+  // Manifests of every run in baseDir, newest first
+  static async list(baseDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(baseDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const manifests = [];
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      try {
+        manifests.push(JSON.parse(await fs.readFile(path.join(baseDir, entry.name, 'run.json'), 'utf8')));
+      } catch {
+        // Not a run directory
+      }
+    }
+    return manifests.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+  }
+
+  async saveManifest() {
+    await fs.writeFile(path.join(this.dir, 'run.json'), JSON.stringify(this.manifest, null, 2));
+  }
+
+  get sourceFile() {
+    return this.manifest.sourceFile || DEFAULT_SOURCE_FILE;
+  }
+
+  iterationDir(iteration, variant = null) {
+    const dir = path.join(this.dir, `iteration-${iteration}`);
+    return variant ? path.join(dir, variant) : dir;
+  }
+
+  diffDir(iteration, variant = null) {
+    return path.join(this.iterationDir(iteration, variant), 'diffs');
+  }
+
+  recordingDir(iteration, variant = null) {
+    return path.join(this.iterationDir(iteration, variant), 'recordings');
+  }
+
+  findVersion(iteration, variant = null) {
+    return this.manifest.versions.find(version => version.iteration === iteration && (version.variant ?? null) === variant);
+  }
+
+  /**
+   * Save the source and results of one iteration. Screenshots are copied so
+   * later iterations can't overwrite them.
+   */
+  async saveVersion(iteration, code, { variant = null, score, visualScore, screenshots = [], ...details } = {}) {
+    const dir = this.iterationDir(iteration, variant);
+    await fs.mkdir(path.join(dir, 'screenshots'), { recursive: true });
+    await fs.writeFile(path.join(dir, this.sourceFile), code);
+
+    const savedScreenshots = [];
+    for (const screenshot of screenshots) {
+      const target = path.join(dir, 'screenshots', path.basename(screenshot));
+      try {
+        await fs.copyFile(screenshot, target);
+        savedScreenshots.push(path.relative(this.dir, target));
+      } catch {
+        // Scenario failed before its screenshot was taken
+      }
+    }
+
+    const version = { iteration, ...(variant ? { variant } : {}), score, visualScore, screenshots: savedScreenshots, ...details };
+    await fs.writeFile(path.join(dir, 'scores.json'), JSON.stringify(version, null, 2));
+
+    this.manifest.versions = this.manifest.versions
+      .filter(existing => existing !== this.findVersion(iteration, variant))
+      .concat(version)
+      .sort((a, b) => a.iteration - b.iteration || String(a.variant ?? '').localeCompare(String(b.variant ?? '')));
+    await this.saveManifest();
+    return version;
+  }
+
+  /**
+   * Copy the reference designs into the run, so its report and a resume
+   * don't depend on the originals. Returns them with run-relative files.
+   */
+  async saveReferences(references) {
+    const saved = [];
+    for (const { file, ...reference } of references) {
+      const target = path.join(this.dir, 'references', `${reference.viewport}.png`);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(file, target);
+      saved.push({ ...reference, file: path.relative(this.dir, target) });
+    }
+    this.manifest.references = saved;
+    await this.saveManifest();
+    return saved;
+  }
+
+  // Full feedback history, so a run can be reported on later
+  async saveHistory(history) {
+    await fs.writeFile(path.join(this.dir, 'history.json'), JSON.stringify(history, null, 2));
+  }
+
+  // Every model call of the run with its tokens and cost, so spend survives a resume
+  async saveUsage(usage) {
+    const file = path.join(this.dir, 'usage.json');
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(usage, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async readUsage() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, 'usage.json'), 'utf8'));
+    } catch {
+      return { calls: [] };
+    }
+  }
+
+  async updateStatus(fields) {
+    Object.assign(this.manifest, fields, { updatedAt: new Date().toISOString() });
+    await this.saveManifest();
+  }
+
+  stagePath(iteration, stage, variant = null) {
+    return path.join(this.iterationDir(iteration, variant), 'stages', `${stage}.json`);
+  }
+
+  // Output of one workflow stage, or undefined if it hasn't completed yet
+  async readStage(iteration, stage, variant = null) {
+    try {
+      return JSON.parse(await fs.readFile(this.stagePath(iteration, stage, variant), 'utf8'));
+    } catch {
+      return undefined;
+    }
+  }
+
+  async saveStage(iteration, stage, value, variant = null) {
+    const file = this.stagePath(iteration, stage, variant);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so an interrupted write never leaves a truncated file behind
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(value ?? null, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  // Highest-scoring version before the given iteration, optionally among some
+  // versions only; ties go to the earlier one
+  bestVersion(beforeIteration = Infinity, include = () => true) {
+    return this.manifest.versions.reduce((best, version) => {
+      if (typeof version.score !== 'number' || version.iteration >= beforeIteration || !include(version)) return best;
+      return !best || version.score > best.score ? version : best;
+    }, null);
+  }
+
+  async readVersion(iteration, variant = null) {
+    try {
+      return await fs.readFile(path.join(this.iterationDir(iteration, variant), this.sourceFile), 'utf8');
+    } catch {
+      throw new Error(`Run "${this.runId}" has no saved version for iteration ${iteration}${variant ? ` of ${variant}` : ''}`);
+    }
+  }
+}
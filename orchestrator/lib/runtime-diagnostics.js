@@ -0,0 +1,123 @@
+// runtime-diagnostics.js
+// Collects what the browser itself reports while a prototype is being tested:
+// console output, uncaught exceptions, React error-boundary messages, failed
+// requests and Vite's error overlay. A page that crashes at render should fail
+// loudly instead of being scored from a screenshot of the error.
+
+const MESSAGE_LIMIT = 500;
+
+// React logs these when a render throws (React 18 and 19 wording)
+const REACT_ERROR_PATTERNS = [
+  /The above error occurred in/i,
+  /An error occurred in the <\w+> component/i,
+  /error boundary/i,
+  /Minified React error/i
+];
+
+function truncate(text) {
+  return text.length > MESSAGE_LIMIT ? `${text.slice(0, MESSAGE_LIMIT)}...` : text;
+}
+
+function emptyScope(name) {
+  return {
+    scope: name,
+    consoleErrors: [],
+    consoleWarnings: [],
+    pageErrors: [],
+    reactErrors: [],
+    failedRequests: [],
+    overlay: null,
+    blankRender: false
+  };
+}
+
+export class RuntimeDiagnostics {
+  constructor(page) {
+    this.page = page;
+    this.current = emptyScope('initial');
+
+    page.on('console', message => {
+      const text = truncate(message.text());
+      if (message.type() === 'error') {
+        if (REACT_ERROR_PATTERNS.some(pattern => pattern.test(text))) {
+          this.current.reactErrors.push(text);
+        } else {
+          this.current.consoleErrors.push(text);
+        }
+      } else if (message.type() === 'warning') {
+        this.current.consoleWarnings.push(text);
+      }
+    });
+
+    page.on('pageerror', error => {
+      this.current.pageErrors.push(truncate(error.stack || error.message));
+    });
+
+    page.on('requestfailed', request => {
+      this.current.failedRequests.push(`${request.method()} ${request.url()}: ${request.failure()?.errorText || 'failed'}`);
+    });
+
+    page.on('response', response => {
+      if (response.status() >= 400) {
+        this.current.failedRequests.push(`${response.request().method()} ${response.url()}: HTTP ${response.status()}`);
+      }
+    });
+  }
+
+  // Everything recorded from now on belongs to this scenario
+  startScope(name) {
+    this.current = emptyScope(name);
+  }
+
+  async readOverlay() {
+    return this.page.evaluate(() => {
+      const overlay = document.querySelector('vite-error-overlay');
+      if (!overlay) return null;
+      const root = overlay.shadowRoot || overlay;
+      const message = root.querySelector('.message')?.textContent || root.textContent || '';
+      const file = root.querySelector('.file')?.textContent || '';
+      return `${message.trim()}${file ? ` (${file.trim()})` : ''}`;
+    }).catch(() => null);
+  }
+
+  async isBlankRender() {
+    return this.page.evaluate(() => {
+      const root = document.getElementById('root');
+      return !!root && root.children.length === 0;
+    }).catch(() => false);
+  }
+
+  /**
+   * Close the current scope: check the overlay and root element, then return
+   * everything collected since startScope() along with a fatal flag.
+   */
+  async finishScope() {
+    const scope = this.current;
+    scope.overlay = await this.readOverlay();
+    if (scope.overlay) {
+      scope.overlay = truncate(scope.overlay);
+    }
+    scope.blankRender = await this.isBlankRender();
+    scope.fatal = Boolean(scope.overlay) || scope.blankRender ||
+      scope.pageErrors.length > 0 || scope.reactErrors.length > 0;
+
+    this.current = emptyScope('unscoped');
+    return scope;
+  }
+}
+
+// Flat list of human-readable problems, for prompts and console output
+export function summarizeDiagnostics(scopes) {
+  const problems = [];
+  for (const scope of scopes) {
+    const prefix = `[${scope.scope}]`;
+    if (scope.overlay) problems.push(`${prefix} Vite error overlay: ${scope.overlay}`);
+    if (scope.blankRender) problems.push(`${prefix} Nothing rendered into #root (component likely crashed)`);
+    scope.pageErrors.forEach(error => problems.push(`${prefix} Uncaught exception: ${error}`));
+    scope.reactErrors.forEach(error => problems.push(`${prefix} React render error: ${error}`));
+    scope.consoleErrors.forEach(error => problems.push(`${prefix} Console error: ${error}`));
+    scope.failedRequests.forEach(request => problems.push(`${prefix} Failed request: ${request}`));
+    scope.consoleWarnings.forEach(warning => problems.push(`${prefix} Console warning: ${warning}`));
+  }
+  return problems;
+}
@@ -0,0 +1,174 @@
+// session-recording.js
+// Records what the automated tester did in a scenario, so a designer can
+// replay it: a video of the scenario's browser context, a Playwright trace
+// (open it with `npx playwright show-trace trace.zip`) and a timestamped
+// action log with a screenshot before and after every step. Video and traces
+// are recorded per browser context, so each scenario gets a context of its
+// own; the action log works on any page.
+//
+// <dir>/video.webm
+// <dir>/trace.zip
+// <dir>/actions.json
+// <dir>/steps/<NN>-before.png, <NN>-after.png
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// --capture names of the recording options
+export const CAPTURE_KINDS = { video: 'video', trace: 'trace', actions: 'actionLog' };
+
+export function isRecording(recording) {
+  return Boolean(recording?.video || recording?.trace || recording?.actionLog);
+}
+
+// Whether scenarios need a browser context of their own
+export function needsOwnContext(recording) {
+  return Boolean(recording?.video || recording?.trace);
+}
+
+/**
+ * Open a browser context for one scenario, recording its video and trace as
+ * configured.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {object} contextOptions options of the context the scenario would otherwise run in
+ * @param {{ video?: boolean, trace?: boolean }} recording
+ * @param {string} dir where the recordings are saved
+ * @param {string} title names the trace
+ */
+export async function startSession(browser, contextOptions, recording, dir, title) {
+  await fs.mkdir(dir, { recursive: true });
+  const context = await browser.newContext({
+    ...contextOptions,
+    ...(recording.video ? { recordVideo: { dir, ...(contextOptions.viewport ? { size: contextOptions.viewport } : {}) } } : {})
+  });
+  if (recording.trace) {
+    await context.tracing.start({ title, screenshots: true, snapshots: true });
+  }
+  return { context, page: await context.newPage(), dir, tracing: Boolean(recording.trace) };
+}
+
+/**
+ * Stop recording and close the session's context. A recording that can't be
+ * saved is left out with a warning rather than failing the scenario.
+ *
+ * @returns {Promise<{ video?: string, trace?: string }>} the saved files
+ */
+export async function finishSession({ context, page, dir, tracing }, recording) {
+  const files = {};
+  // Only a trace this session started can be stopped and saved
+  if (recording.trace && tracing) {
+    const trace = path.join(dir, 'trace.zip');
+    try {
+      await context.tracing.stop({ path: trace });
+      files.trace = trace;
+    } catch (error) {
+      console.log(`⚠️ Trace not saved: ${error.message}`);
+    }
+  }
+
+  // The video is only complete once its context is closed
+  const video = recording.video ? page.video() : null;
+  await context.close();
+  if (video) {
+    const file = path.join(dir, 'video.webm');
+    try {
+      await video.saveAs(file);
+      await video.delete();
+      files.video = file;
+    } catch (error) {
+      console.log(`⚠️ Video not saved: ${error.message}`);
+    }
+  }
+  return files;
+}
+
+/**
+ * An action log for the step executor to append to. Screenshots are saved
+ * under `dir` and logged relative to it, so the folder can be shared as is.
+ */
+export function createActionLog(page, dir) {
+  const started = Date.now();
+  const entries = [];
+
+  const screenshot = async name => {
+    const file = path.join('steps', `${name}.png`);
+    try {
+      await fs.mkdir(path.join(dir, 'steps'), { recursive: true });
+      await page.screenshot({ path: path.join(dir, file) });
+      return file;
+    } catch {
+      // The page crashed or closed; the step is still logged
+      return null;
+    }
+  };
+
+  return {
+    startedAt: new Date(started).toISOString(),
+    entries,
+
+    // A turn that did nothing on the page: the verdict, or a response that couldn't be used
+    note({ step, ...record }) {
+      entries.push({ step: entries.length + 1, at: new Date().toISOString(), elapsedMs: Date.now() - started, ...record });
+    },
+
+    // Run a step, timing it and screenshotting the page before and after. The
+    // log numbers steps itself; the model's own numbering stays in its actions.
+    async step(record, run) {
+      const number = String(entries.length + 1).padStart(2, '0');
+      const at = new Date();
+      const before = await screenshot(`${number}-before`);
+      const stepStarted = Date.now();
+      await run();
+      const durationMs = Date.now() - stepStarted;
+      const { step, ...fields } = record;
+      entries.push({
+        step: entries.length + 1,
+        at: at.toISOString(),
+        elapsedMs: at.getTime() - started,
+        durationMs,
+        ...fields,
+        before,
+        after: await screenshot(`${number}-after`)
+      });
+    }
+  };
+}
+
+export async function writeActionLog(actionLog, dir, details = {}) {
+  const file = path.join(dir, 'actions.json');
+  await fs.writeFile(file, JSON.stringify({ ...details, startedAt: actionLog.startedAt, entries: actionLog.entries }, null, 2));
+  return file;
+}
+
+export function describeStep(entry) {
+  return `${entry.tool} ${JSON.stringify(entry.args || {})} -> ${entry.ok ? 'OK' : 'FAILED'}: ${entry.result}`;
+}
+
+/**
+ * The screenshots of an action log that tell what happened in a failed
+ * scenario: where it ended, the result of every failed step (latest first)
+ * and where it started, in step order.
+ *
+ * @returns {{ step: number, when: 'before' | 'after', description: string, screenshot: string }[]}
+ */
+export function keyFrames(entries, count) {
+  const steps = entries.filter(entry => entry.before || entry.after);
+  if (count <= 0 || steps.length === 0) return [];
+
+  const frame = (entry, when) => entry[when] && { step: entry.step, when, description: describeStep(entry), screenshot: entry[when] };
+  const last = steps.at(-1);
+  const candidates = [
+    frame(last, 'after') || frame(last, 'before'),
+    ...steps.filter(entry => entry.ok === false).reverse().map(entry => frame(entry, 'after')),
+    frame(steps[0], 'before')
+  ].filter(Boolean);
+
+  const frames = [];
+  for (const candidate of candidates) {
+    if (frames.length < count && !frames.some(existing => existing.screenshot === candidate.screenshot)) {
+      frames.push(candidate);
+    }
+  }
+  return frames.sort((a, b) => a.step - b.step || (a.when === 'before' ? -1 : 1));
+}
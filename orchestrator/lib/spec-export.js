@@ -0,0 +1,160 @@
+// spec-export.js
+// Turns usability scenarios that passed into regression specs. A spec is the
+// scenario's successful actions plus the evidence the tester pointed at, so
+// it replays without a model: inside the loop, to check that later
+// iterations still pass it, and as a @playwright/test file written next to
+// the prototype for when it goes to production.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { runTool, resolveLocator } from './step-executor.js';
+
+// Tools that only read the page; their result becomes an assertion
+const CHECK_TOOLS = ['assert_text'];
+
+// Locator kinds that survive markup changes
+const STABLE_KEYS = ['role', 'label', 'placeholder', 'testId', 'text'];
+
+/**
+ * Regression spec from a passed scenario run.
+ *
+ * @param {{ name: string, expectedOutcome: string }} scenario
+ * @param {{ actions: object[], evidence?: object[] }} execution
+ * @param {{ startRoute: string, iteration: number, persona?: object }} options
+ */
+export function specFromExecution(scenario, execution, { startRoute, iteration, persona = null }) {
+  return {
+    name: persona ? `${scenario.name} (${persona.name})` : scenario.name,
+    expectedOutcome: scenario.expectedOutcome,
+    startRoute,
+    iteration,
+    // Failed attempts were the tester finding its way; only what worked is replayed
+    steps: execution.actions
+      .filter(action => action.ok)
+      .map(action => ({ tool: action.tool, args: action.args || {} })),
+    evidence: execution.evidence || []
+  };
+}
+
+/**
+ * Replay a spec on a page: every step has to work again and every piece of
+ * evidence has to be visible at the end.
+ */
+export async function replaySpec(page, spec, baseUrl) {
+  try {
+    await page.goto(new URL(spec.startRoute, baseUrl).href);
+    await page.waitForLoadState('networkidle');
+    for (const [index, step] of spec.steps.entries()) {
+      try {
+        await runTool(page, step.tool, step.args);
+      } catch (error) {
+        return { name: spec.name, iteration: spec.iteration, status: 'failed', error: `Step ${index + 1} (${step.tool}) failed: ${error.message.split('\n')[0]}` };
+      }
+    }
+    for (const target of spec.evidence) {
+      if (!await resolveLocator(page, target).isVisible()) {
+        return { name: spec.name, iteration: spec.iteration, status: 'failed', error: `Expected ${JSON.stringify(target)} to be visible` };
+      }
+    }
+    return { name: spec.name, iteration: spec.iteration, status: 'passed' };
+  } catch (error) {
+    return { name: spec.name, iteration: spec.iteration, status: 'failed', error: error.message.split('\n')[0] };
+  }
+}
+
+// Same lookup as resolveLocator(), as code
+function locatorCode(target) {
+  const quote = value => JSON.stringify(String(value));
+  let locator;
+  if (target.role) {
+    locator = `page.getByRole(${quote(target.role)}${target.name ? `, { name: ${quote(target.name)} }` : ''})`;
+  } else if (target.label) {
+    locator = `page.getByLabel(${quote(target.label)})`;
+  } else if (target.placeholder) {
+    locator = `page.getByPlaceholder(${quote(target.placeholder)})`;
+  } else if (target.testId) {
+    locator = `page.getByTestId(${quote(target.testId)})`;
+  } else if (target.text) {
+    locator = `page.getByText(${quote(target.text)})`;
+  } else {
+    locator = `page.locator(${quote(target.selector)})`;
+  }
+  return `${locator}.first()`;
+}
+
+function stepCode({ tool, args }) {
+  const quote = value => JSON.stringify(String(value ?? ''));
+  // CSS selectors break with the markup; flag them for whoever adopts the spec
+  const unstable = args.target && !STABLE_KEYS.some(key => args.target[key])
+    ? ' // Unstable CSS locator: replace with a role, label or test id'
+    : '';
+  switch (tool) {
+    case 'click':
+      return `await ${locatorCode(args.target)}.click();${unstable}`;
+    case 'fill':
+      return args.target
+        ? `await ${locatorCode(args.target)}.fill(${quote(args.value)});${unstable}`
+        : `await page.keyboard.type(${quote(args.value)});`;
+    case 'select':
+      return `await ${locatorCode(args.target)}.selectOption(${quote(args.value)});${unstable}`;
+    case 'press':
+      return args.target
+        ? `await ${locatorCode(args.target)}.press(${quote(args.key)});${unstable}`
+        : `await page.keyboard.press(${quote(args.key)});`;
+    case 'hover':
+      return `await ${locatorCode(args.target)}.hover();${unstable}`;
+    case 'scroll': {
+      const amount = Number(args.amount) || 500;
+      return `await page.mouse.wheel(0, ${args.direction === 'up' ? -amount : amount});`;
+    }
+    case 'navigate':
+      return `await page.goto(new URL(${quote(args.path || '/')}, BASE_URL).href);`;
+    case 'assert_text':
+      return args.present === false
+        ? `await expect(page.getByText(${quote(args.text)}).first()).not.toBeVisible();`
+        : `await expect(page.getByText(${quote(args.text)}).first()).toBeVisible();`;
+    default:
+      return `// Skipped unknown step: ${tool}`;
+  }
+}
+
+function specCode(spec) {
+  const checked = spec.steps.some(step => CHECK_TOOLS.includes(step.tool)) || spec.evidence.length > 0;
+  const lines = [
+    `// Expected outcome: ${spec.expectedOutcome.replace(/\s+/g, ' ')}`,
+    `await page.goto(new URL(${JSON.stringify(spec.startRoute)}, BASE_URL).href);`,
+    ...spec.steps.map(stepCode),
+    ...spec.evidence.map(target => `await expect(${locatorCode(target)}).toBeVisible();`),
+    ...(checked ? [] : ['// The tester judged this outcome from the page without naming an element; add an assertion'])
+  ];
+  return `  test(${JSON.stringify(spec.name)}, async ({ page }) => {
+${lines.map(line => `    ${line}`).join('\n')}
+  });`;
+}
+
+/**
+ * @playwright/test source for a list of specs.
+ *
+ * @param {object[]} specs
+ * @param {{ title: string, file: string }} options describe() title and the file's project-relative path
+ */
+export function renderSpecFile(specs, { title, file }) {
+  return `// Regression specs exported by the prototype orchestrator from usability
+// scenarios that passed. Run them against the dev server with:
+//   PROTOTYPE_URL=http://localhost:5173 npx playwright test ${file}
+import { test, expect } from '@playwright/test';
+
+const BASE_URL = process.env.PROTOTYPE_URL ?? 'http://localhost:5173';
+
+test.describe(${JSON.stringify(title)}, () => {
+${specs.map(specCode).join('\n\n')}
+});
+`;
+}
+
+export async function writeSpecFile(projectDir, file, specs, title) {
+  const target = path.resolve(projectDir, file);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, renderSpecFile(specs, { title, file }));
+  return target;
+}
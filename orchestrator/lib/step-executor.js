@@ -0,0 +1,275 @@
+// step-executor.js
+// Lets the testing model drive Playwright one action at a time. Each turn the
+// model sees the scenario, what it has done so far and the page's current
+// accessibility tree, then picks a single tool call. When it's done it returns
+// a pass/fail verdict against the scenario's expectedOutcome. A tester persona
+// can narrow what the model may do, e.g. keyboard only. Given an action log,
+// every step is timed and screenshotted before and after.
+
+import { describePersona } from './personas.js';
+import { completeStructured, StructuredOutputError, STEP_ACTION_SCHEMA } from './structured-output.js';
+
+const SNAPSHOT_LIMIT = 12000;
+const ACTION_TIMEOUT = 5000;
+
+const SYSTEM_PROMPT = `You are a usability tester operating a web page through Playwright. You carry out a test scenario one action at a time and then judge whether the expected outcome was met.
+
+Each turn you receive the scenario, the actions taken so far (with their results) and the page's current accessibility tree (ARIA snapshot).
+
+Choose ONE next action. Target elements with a locator object, preferring roles and accessible names from the snapshot:
+  { "role": "button", "name": "Add task" }
+  { "label": "Email address" }
+  { "placeholder": "Search..." }
+  { "text": "Welcome back" }
+  { "selector": "css selector" }   (last resort)
+
+Available tools:
+- click        { "target": <locator> }
+- fill         { "target": <locator>, "value": "text to type" }   (without a target, types into the focused element)
+- select       { "target": <locator>, "value": "option label or value" }
+- press        { "key": "Enter", "target": <locator, optional> }
+- hover        { "target": <locator> }
+- scroll       { "direction": "down" | "up", "amount": 500 }
+- navigate     { "path": "/checkout/cart" }   (go straight to a route of this prototype, like typing the URL)
+- assert_text  { "text": "text that should (or should not) be visible", "present": true }
+- finish       { "verdict": "pass" | "fail", "reason": "why the expected outcome was or wasn't met", "evidence": [<locator>, ...] }
+               (on pass, evidence lists the elements now on the page that show the expected outcome, e.g. { "text": "Buy milk" })
+
+Rules:
+- Follow the scenario steps in order. If a step is impossible on this page, finish with "fail" and explain which step and why.
+- Use assert_text to check visible results before finishing when the expected outcome mentions visible feedback.
+- Don't repeat an action that already failed with the same arguments.
+- Move between pages the way a user would (links and buttons). Only use navigate when a step says to open a page directly; a flow that can't be completed without it fails.
+
+CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
+
+Return a JSON object with this exact structure:
+{
+  "step": 1,
+  "thought": "Short reasoning for this action",
+  "tool": "click",
+  "args": { "target": { "role": "button", "name": "Add task" } }
+}`;
+
+export function resolveLocator(page, target) {
+  if (!target || typeof target !== 'object') {
+    throw new Error('Missing target locator');
+  }
+
+  let locator;
+  if (target.role) {
+    locator = page.getByRole(target.role, target.name ? { name: target.name } : {});
+  } else if (target.label) {
+    locator = page.getByLabel(target.label);
+  } else if (target.placeholder) {
+    locator = page.getByPlaceholder(target.placeholder);
+  } else if (target.testId) {
+    locator = page.getByTestId(target.testId);
+  } else if (target.text) {
+    locator = page.getByText(target.text);
+  } else if (target.selector) {
+    locator = page.locator(target.selector);
+  } else {
+    throw new Error(`Unsupported target locator: ${JSON.stringify(target)}`);
+  }
+
+  return locator.first();
+}
+
+// Tools that need a pointing device
+const POINTER_TOOLS = ['click', 'hover', 'select', 'scroll'];
+
+// Why a persona can't take this action, or null if it can
+function personaRestriction(persona, tool, args = {}) {
+  if (!persona) return null;
+  if (persona.keyboardOnly && POINTER_TOOLS.includes(tool)) {
+    return `${persona.name} can't use ${tool}; use the keyboard (press Tab, Enter, Space, arrow keys)`;
+  }
+  if (persona.keyboardOnly && (tool === 'press' || tool === 'fill') && args.target) {
+    return `${persona.name} can't jump to an element; move focus with Tab and ${tool} without a target`;
+  }
+  if (persona.screenReader && args.target && (args.target.selector || args.target.testId)) {
+    return `${persona.name} can only find elements by role, label or text`;
+  }
+  return null;
+}
+
+// What has keyboard focus, so a keyboard-only tester knows where it is
+async function focusedElement(page) {
+  try {
+    return await page.evaluate(() => {
+      const element = document.activeElement;
+      if (!element || element === document.body) return '(nothing focused)';
+      const name = element.getAttribute('aria-label') || element.labels?.[0]?.textContent || element.textContent || element.getAttribute('placeholder') || '';
+      return `${element.getAttribute('role') || element.tagName.toLowerCase()} "${name.trim().slice(0, 60)}"`;
+    });
+  } catch (error) {
+    return `(unknown: ${error.message})`;
+  }
+}
+
+export async function runTool(page, tool, args = {}) {
+  switch (tool) {
+    case 'click':
+      await resolveLocator(page, args.target).click({ timeout: ACTION_TIMEOUT });
+      return 'clicked';
+    case 'fill':
+      // Without a target, type into whatever has focus
+      if (!args.target) {
+        await page.keyboard.type(String(args.value ?? ''));
+        return `typed "${args.value}"`;
+      }
+      await resolveLocator(page, args.target).fill(String(args.value ?? ''), { timeout: ACTION_TIMEOUT });
+      return `filled with "${args.value}"`;
+    case 'select': {
+      const locator = resolveLocator(page, args.target);
+      // Native <select> first, then fall back to clicking a custom listbox option
+      try {
+        await locator.selectOption(String(args.value), { timeout: ACTION_TIMEOUT });
+      } catch {
+        await locator.click({ timeout: ACTION_TIMEOUT });
+        await page.getByRole('option', { name: String(args.value) }).first().click({ timeout: ACTION_TIMEOUT });
+      }
+      return `selected "${args.value}"`;
+    }
+    case 'press':
+      if (args.target) {
+        await resolveLocator(page, args.target).press(args.key, { timeout: ACTION_TIMEOUT });
+      } else {
+        await page.keyboard.press(args.key);
+      }
+      return `pressed ${args.key}`;
+    case 'hover':
+      await resolveLocator(page, args.target).hover({ timeout: ACTION_TIMEOUT });
+      return 'hovered';
+    case 'scroll': {
+      const amount = Number(args.amount) || 500;
+      await page.mouse.wheel(0, args.direction === 'up' ? -amount : amount);
+      return `scrolled ${args.direction || 'down'} ${amount}px`;
+    }
+    case 'navigate': {
+      // Only routes of the app under test, never another site
+      const target = new URL(String(args.path || '/'), page.url());
+      if (target.origin !== new URL(page.url()).origin) {
+        throw new Error(`Can only navigate within ${new URL(page.url()).origin}`);
+      }
+      await page.goto(target.href);
+      await page.waitForLoadState('networkidle');
+      return `navigated to ${target.pathname}`;
+    }
+    case 'assert_text': {
+      const expectPresent = args.present !== false;
+      const visible = await page.getByText(String(args.text)).first().isVisible();
+      if (visible !== expectPresent) {
+        throw new Error(`Expected "${args.text}" to be ${expectPresent ? 'visible' : 'absent'}`);
+      }
+      return `"${args.text}" is ${expectPresent ? 'visible' : 'absent'}`;
+    }
+    default:
+      throw new Error(`Unknown tool "${tool}"`);
+  }
+}
+
+async function pageSnapshot(page) {
+  try {
+    const snapshot = await page.locator('body').ariaSnapshot({ timeout: ACTION_TIMEOUT });
+    return snapshot.length > SNAPSHOT_LIMIT
+      ? `${snapshot.slice(0, SNAPSHOT_LIMIT)}\n... (truncated)`
+      : snapshot;
+  } catch (error) {
+    return `(accessibility snapshot unavailable: ${error.message})`;
+  }
+}
+
+function describeActions(actions) {
+  if (actions.length === 0) return '(none yet)';
+  return actions
+    .map((action, i) => `${i + 1}. [step ${action.step ?? '?'}] ${action.tool} ${JSON.stringify(action.args || {})} -> ${action.ok ? 'OK' : 'FAILED'}: ${action.result}`)
+    .join('\n');
+}
+
+/**
+ * Execute one test scenario under model control.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{ name: string, description?: string, steps: string[], expectedOutcome: string }} scenario
+ * @param {{ callModel: Function, stage?: string, maxSteps?: number, maxRetries?: number, routes?: string[], persona?: object, actionLog?: object }} options
+ *   maxRetries: times an invalid action is sent back to the model within one turn
+ *   actionLog: from createActionLog in session-recording.js
+ * @returns {Promise<{ verdict: 'pass' | 'fail', reason: string, actions: object[], evidence?: object[] }>}
+ */
+export async function executeScenario(page, scenario, { callModel, stage = 'testExecution', maxSteps = 15, maxRetries = 2, routes = [], persona = null, actionLog = null }) {
+  const actions = [];
+  const scenarioText = [
+    `Scenario: ${scenario.name}`,
+    scenario.description ? `Description: ${scenario.description}` : null,
+    `Steps:\n${(scenario.steps || []).map((step, i) => `  ${i + 1}. ${step}`).join('\n')}`,
+    `Expected outcome: ${scenario.expectedOutcome}`,
+    // Multi-page prototypes: let the tester know where it can go
+    routes.length > 0 ? `Routes in this prototype: ${routes.join(', ')}` : null
+  ].filter(Boolean).join('\n');
+  // Act as the persona would, within its constraints
+  const system = persona
+    ? `${SYSTEM_PROMPT}\n\nYou are testing as this person. Act the way they would, and judge the outcome from their point of view:\n${describePersona(persona)}`
+    : SYSTEM_PROMPT;
+
+  for (let turn = 0; turn < maxSteps; turn++) {
+    const snapshot = await pageSnapshot(page);
+    const focus = persona?.keyboardOnly ? `\n\nKeyboard focus: ${await focusedElement(page)}` : '';
+
+    let action;
+    try {
+      ({ value: action } = await completeStructured(request => callModel(stage, request), {
+        name: 'step_action',
+        schema: STEP_ACTION_SCHEMA,
+        system,
+        messages: [
+          {
+            role: 'user',
+            content: `${scenarioText}\n\nActions so far:\n${describeActions(actions)}\n\nCurrent page (URL ${page.url()}):\n${snapshot}${focus}`
+          }
+        ],
+        maxRetries
+      }));
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) throw error;
+      const record = { tool: 'invalid', args: {}, ok: false, result: `Response was not a valid action: ${error.errors.join('; ')}` };
+      actions.push(record);
+      actionLog?.note(record);
+      continue;
+    }
+
+    if (action.tool === 'finish') {
+      const verdict = action.args?.verdict === 'pass' ? 'pass' : 'fail';
+      console.log(`    ${verdict === 'pass' ? '✅' : '❌'} ${action.args?.reason || verdict}`);
+      actionLog?.note({ thought: action.thought, tool: 'finish', args: action.args, ok: true, result: verdict });
+      const evidence = (Array.isArray(action.args?.evidence) ? action.args.evidence : [])
+        .filter(target => target && typeof target === 'object');
+      return { verdict, reason: action.args?.reason || '', actions, evidence };
+    }
+
+    const record = { step: action.step, thought: action.thought, tool: action.tool, args: action.args };
+    const run = async () => {
+      try {
+        const restriction = personaRestriction(persona, action.tool, action.args);
+        if (restriction) throw new Error(restriction);
+        record.result = await runTool(page, action.tool, action.args);
+        record.ok = true;
+        // Give animations and state updates a moment to settle
+        await page.waitForTimeout(300);
+      } catch (error) {
+        record.result = error.message.split('\n')[0];
+        record.ok = false;
+      }
+    };
+    await (actionLog ? actionLog.step(record, run) : run());
+    console.log(`    ${record.ok ? '▶️' : '⚠️'} ${action.tool} ${JSON.stringify(action.args || {})}: ${record.result}`);
+    actions.push(record);
+  }
+
+  return {
+    verdict: 'fail',
+    reason: `Scenario did not finish within ${maxSteps} actions`,
+    actions
+  };
+}
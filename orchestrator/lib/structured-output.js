@@ -0,0 +1,274 @@
+// structured-output.js
+// JSON schemas for every model response the workflow parses, a validator for
+// them, and a retry loop that sends validation errors back to the model
+// instead of silently substituting made-up values.
+//
+// Schemas are plain JSON Schema so providers with a native structured-output
+// mode (OpenAI json_schema, Anthropic tool input) can enforce them directly.
+
+const score = { type: 'number', minimum: 0, maximum: 1 };
+const strings = { type: 'array', items: { type: 'string' } };
+
+export const TEST_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    testScenarios: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          steps: { ...strings, minItems: 1 },
+          expectedOutcome: { type: 'string', minLength: 1 },
+          startRoute: { type: 'string' }
+        },
+        required: ['name', 'steps', 'expectedOutcome']
+      }
+    },
+    usabilityChecks: strings,
+    accessibilityChecks: strings
+  },
+  required: ['testScenarios', 'usabilityChecks', 'accessibilityChecks']
+};
+
+export const VISUAL_FEEDBACK_SCHEMA = {
+  type: 'object',
+  properties: {
+    visualScore: score,
+    designPositives: strings,
+    designIssues: strings,
+    designImprovements: strings,
+    visualReasoning: { type: 'string' },
+    captureScores: { type: 'object', additionalProperties: score },
+    // Only asked for when the reviewer is shown what changed since the last version
+    changeVerdict: { type: 'string', enum: ['improved', 'regressed', 'mixed', 'unchanged'] },
+    unexpectedChanges: strings
+  },
+  required: ['visualScore', 'designPositives', 'designIssues', 'designImprovements', 'visualReasoning']
+};
+
+export const FEEDBACK_SCHEMA = {
+  type: 'object',
+  properties: {
+    overallScore: score,
+    positives: strings,
+    issues: strings,
+    improvements: strings,
+    reasoning: { type: 'string' }
+  },
+  required: ['overallScore', 'positives', 'issues', 'improvements', 'reasoning']
+};
+
+export const FIDELITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    fidelityScore: score,
+    matches: strings,
+    deviations: strings,
+    reasoning: { type: 'string' }
+  },
+  required: ['fidelityScore', 'matches', 'deviations', 'reasoning']
+};
+
+export const PAGE_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    pages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string', minLength: 1 },
+          title: { type: 'string' },
+          purpose: { type: 'string' },
+          linksTo: strings
+        },
+        required: ['file', 'title', 'purpose']
+      }
+    },
+    sharedComponents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string', minLength: 1 },
+          purpose: { type: 'string' }
+        },
+        required: ['file']
+      }
+    },
+    flows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          pages: { ...strings, minItems: 1 },
+          description: { type: 'string' }
+        },
+        required: ['name', 'pages']
+      }
+    }
+  },
+  required: ['name', 'pages', 'sharedComponents', 'flows']
+};
+
+export const EDITS_SCHEMA = {
+  type: 'object',
+  properties: {
+    edits: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string' },
+          issue: { type: 'string', minLength: 1 },
+          search: { type: 'string' },
+          replace: { type: 'string' }
+        },
+        required: ['issue', 'search', 'replace']
+      }
+    }
+  },
+  required: ['edits']
+};
+
+// One tool call of the model driving a test scenario (step-executor.js)
+export const STEP_ACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    step: { type: 'integer' },
+    thought: { type: 'string' },
+    tool: { type: 'string', enum: ['click', 'fill', 'select', 'press', 'hover', 'scroll', 'navigate', 'assert_text', 'finish'] },
+    args: {
+      type: 'object',
+      properties: {
+        target: { type: 'object' },
+        key: { type: 'string', minLength: 1 },
+        direction: { type: 'string', enum: ['down', 'up'] },
+        amount: { type: 'number' },
+        path: { type: 'string' },
+        text: { type: 'string', minLength: 1 },
+        present: { type: 'boolean' },
+        verdict: { type: 'string', enum: ['pass', 'fail'] },
+        reason: { type: 'string' },
+        evidence: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  },
+  required: ['tool', 'args']
+};
+
+export class StructuredOutputError extends Error {
+  constructor(message, { errors = [], raw = '' } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a parsed value against the JSON Schema subset used above.
+ * @returns {string[]} problems, empty when the value is valid
+ */
+export function validateSchema(value, schema, where = 'response', errors = []) {
+  const actual = typeOf(value);
+  const matchesType = schema.type === actual ||
+    (schema.type === 'number' && actual === 'integer');
+
+  if (schema.type && !matchesType) {
+    errors.push(`${where} must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type} (got ${actual})`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (!Number.isFinite(value)) errors.push(`${where} must be a finite number`);
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum} (got ${value})`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum} (got ${value})`);
+      break;
+    case 'string':
+      if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${where} must not be empty`);
+      break;
+    case 'array':
+      if (schema.minItems && value.length < schema.minItems) errors.push(`${where} needs at least ${schema.minItems} item(s)`);
+      value.forEach((item, i) => validateSchema(item, schema.items || {}, `${where}[${i}]`, errors));
+      break;
+    case 'object':
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${where}.${key} is required`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const property = schema.properties?.[key] ?? schema.additionalProperties;
+        if (property && typeof property === 'object') validateSchema(item, property, `${where}.${key}`, errors);
+      }
+      break;
+  }
+  return errors;
+}
+
+// The JSON object in a response, tolerating code fences and text around it
+export function extractJson(text) {
+  const trimmed = String(text).trim().replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const match = trimmed.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('no JSON object found in the response');
+    return JSON.parse(match[0]);
+  }
+}
+
+/**
+ * Ask for JSON matching `schema`, feeding parse and validation errors back to
+ * the model until it answers correctly or the retries run out.
+ *
+ * @param {(request: object) => Promise<string>} complete sends one request, returns the response text
+ * @returns {Promise<{ value: object, attempts: number }>}
+ * @throws {StructuredOutputError} when no attempt produced a valid response
+ */
+export async function completeStructured(complete, { name, schema, system, messages, maxRetries = 2 }) {
+  const conversation = [...messages];
+  let errors = [];
+  let raw = '';
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    raw = await complete({ system, messages: conversation, jsonSchema: { name, schema } });
+
+    let value;
+    try {
+      value = extractJson(raw);
+      errors = validateSchema(value, schema);
+    } catch (error) {
+      errors = [`Response is not valid JSON: ${error.message}`];
+    }
+    if (errors.length === 0) {
+      return { value, attempts: attempt };
+    }
+
+    console.log(`⚠️ ${name} response failed validation (attempt ${attempt}/${maxRetries + 1}): ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+    conversation.push(
+      { role: 'assistant', content: raw || '(empty response)' },
+      { role: 'user', content: `Your response does not match the required JSON structure:\n${errors.map(error => `- ${error}`).join('\n')}\n\nReturn the complete corrected JSON object only.` }
+    );
+  }
+
+  throw new StructuredOutputError(`${name} response was still invalid after ${maxRetries + 1} attempt(s)`, { errors, raw });
+}
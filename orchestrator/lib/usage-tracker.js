@@ -0,0 +1,105 @@
+// usage-tracker.js
+// Records tokens, latency and cost of every model call, and adds them up per
+// stage and per iteration so a run's spend is visible and can be capped.
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0, unpricedCalls: 0 };
+}
+
+function add(totals, call) {
+  totals.calls++;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.latencyMs += call.latencyMs;
+  if (call.cost === null) totals.unpricedCalls++;
+  else totals.cost += call.cost;
+  return totals;
+}
+
+export function formatCost(cost) {
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+export function formatTotals(totals) {
+  const tokens = totals.inputTokens + totals.outputTokens;
+  return `${formatCost(totals.cost)} · ${tokens.toLocaleString('en-US')} tokens · ${totals.calls} call(s) · ${(totals.latencyMs / 1000).toFixed(1)}s${totals.unpricedCalls > 0 ? ` · ${totals.unpricedCalls} unpriced` : ''}`;
+}
+
+export class UsageTracker {
+  constructor(prices = {}, calls = []) {
+    this.prices = prices;
+    this.calls = calls;
+  }
+
+  // Price keys match a model name or its prefix; the longest match wins, so
+  // "gpt-4o-mini" is priced as itself rather than as "gpt-4o" or "gpt-4"
+  priceFor(model) {
+    const key = Object.keys(this.prices)
+      .filter(candidate => model === candidate || model.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? this.prices[key] : null;
+  }
+
+  /**
+   * Record one model call. Calls to models missing from the price table are
+   * counted with a null cost rather than guessed.
+   */
+  record({ stage, iteration, provider, model, inputTokens = 0, outputTokens = 0, latencyMs = 0 }) {
+    const price = this.priceFor(model);
+    const cost = price
+      ? (inputTokens * price.input + outputTokens * price.output) / 1e6
+      : null;
+    const call = { stage, iteration, provider, model, inputTokens, outputTokens, latencyMs, cost, at: new Date().toISOString() };
+    this.calls.push(call);
+    return call;
+  }
+
+  totals(calls = this.calls) {
+    return calls.reduce(add, emptyTotals());
+  }
+
+  byStage() {
+    const stages = {};
+    for (const call of this.calls) {
+      add(stages[call.stage] ??= emptyTotals(), call);
+    }
+    return stages;
+  }
+
+  // Iteration 0 holds the calls made before the first iteration (planning, generation)
+  byIteration() {
+    const iterations = {};
+    for (const call of this.calls) {
+      add(iterations[call.iteration] ??= emptyTotals(), call);
+    }
+    return iterations;
+  }
+
+  iterationTotals(iteration) {
+    return this.totals(this.calls.filter(call => call.iteration === iteration));
+  }
+
+  /**
+   * Spend after one more iteration, estimated from the average cost of the
+   * iterations completed so far.
+   */
+  projectedCost(completedIterations) {
+    const spent = this.totals().cost;
+    if (completedIterations.length === 0) return spent;
+    const average = completedIterations
+      .reduce((sum, iteration) => sum + this.iterationTotals(iteration).cost, 0) / completedIterations.length;
+    return spent + average;
+  }
+
+  summary() {
+    return {
+      totals: this.totals(),
+      byStage: this.byStage(),
+      byIteration: this.byIteration()
+    };
+  }
+
+  toJSON() {
+    return { calls: this.calls };
+  }
+}
@@ -0,0 +1,112 @@
+// viewport-matrix.js
+// Captures the prototype at every configured viewport / color scheme /
+// motion combination and checks each one for obvious layout breakage.
+
+/**
+ * Expand the CONFIG lists into one entry per combination.
+ * @returns {{ name: string, viewport: { width: number, height: number }, colorScheme: string, reducedMotion: string }[]}
+ */
+export function buildMatrix({ viewports, colorSchemes = ['light'], reducedMotion = false }) {
+  const motions = reducedMotion ? ['no-preference', 'reduce'] : ['no-preference'];
+  const matrix = [];
+  for (const viewport of viewports) {
+    for (const colorScheme of colorSchemes) {
+      for (const motion of motions) {
+        matrix.push({
+          name: [viewport.name, colorScheme, motion === 'reduce' ? 'reduced-motion' : null].filter(Boolean).join('-'),
+          viewport: { width: viewport.width, height: viewport.height },
+          colorScheme,
+          reducedMotion: motion
+        });
+      }
+    }
+  }
+  return matrix;
+}
+
+// Runs in the page: horizontal overflow and elements pushed off screen
+function detectLayoutIssues() {
+  const viewportWidth = window.innerWidth;
+  const issues = [];
+
+  const docWidth = document.documentElement.scrollWidth;
+  if (docWidth > viewportWidth + 1) {
+    issues.push(`Page scrolls horizontally (${docWidth}px of content in a ${viewportWidth}px viewport)`);
+  }
+
+  // Elements inside their own scroll/clip container are allowed to overflow
+  const clipped = el => {
+    for (let parent = el.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+      const overflowX = getComputedStyle(parent).overflowX;
+      if (overflowX !== 'visible') return true;
+    }
+    return false;
+  };
+
+  const describe = el => {
+    const id = el.id ? `#${el.id}` : '';
+    const text = (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+    return `<${el.tagName.toLowerCase()}${id}>${text ? ` "${text}"` : ''}`;
+  };
+
+  const offenders = [];
+  for (const el of document.body.querySelectorAll('*')) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+    if ((rect.right > viewportWidth + 1 || rect.left < -1) && !clipped(el)) {
+      // Report the outermost offender only
+      if (!offenders.some(parent => parent.contains(el))) {
+        offenders.push(el);
+      }
+    }
+    if (offenders.length >= 5) break;
+  }
+  offenders.forEach(el => {
+    const rect = el.getBoundingClientRect();
+    issues.push(`${describe(el)} extends outside the viewport (${Math.round(rect.left)}px to ${Math.round(rect.right)}px)`);
+  });
+
+  return issues;
+}
+
+/**
+ * Screenshot the page once per matrix entry, each in its own browser context.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {string} url
+ * @param {ReturnType<typeof buildMatrix>} matrix
+ * @param {string} screenshotPrefix e.g. "screenshots/iteration-2"
+ */
+export async function captureMatrix(browser, url, matrix, screenshotPrefix) {
+  const captures = [];
+
+  for (const entry of matrix) {
+    const context = await browser.newContext({
+      viewport: entry.viewport,
+      colorScheme: entry.colorScheme,
+      reducedMotion: entry.reducedMotion
+    });
+    const page = await context.newPage();
+    const screenshot = `${screenshotPrefix}-${entry.name}.png`;
+
+    try {
+      await page.goto(url);
+      await page.waitForLoadState('networkidle');
+      await page.screenshot({ path: screenshot, fullPage: true });
+      const layoutIssues = await page.evaluate(detectLayoutIssues);
+      captures.push({ ...entry, screenshot, layoutIssues });
+    } catch (error) {
+      captures.push({ ...entry, screenshot: null, layoutIssues: [], error: error.message });
+    } finally {
+      await context.close();
+    }
+  }
+
+  return captures;
+}
+
+// Layout problems phrased as issues that name the breakpoint they occur at
+export function layoutIssuesOf(captures) {
+  return captures.flatMap(capture => capture.layoutIssues.map(issue =>
+    `[${capture.name}, ${capture.viewport.width}px] ${issue}`));
+}
@@ -0,0 +1,353 @@
+// visual-diff.js
+// Compares the screenshots of two iterations of the prototype, so the visual
+// reviewer can see what an improvement actually changed. Each pair gets a
+// pixel diff (how many pixels changed color noticeably), a perceptual diff
+// (how many 8x8 blocks lost structural similarity, which ignores
+// anti-aliasing and subpixel noise) and a highlighted diff image.
+//
+// Screenshots are matched across iterations by name: iteration-2-matrix-mobile-light.png
+// is compared with iteration-1-matrix-mobile-light.png.
+//
+// The PNG codec is also used to crop the screenshot regions a designer points at.
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+// Side of the blocks the perceptual diff and the changed regions are measured in
+const BLOCK = 8;
+
+// Largest possible YIQ color distance, for normalizing the pixel threshold
+const MAX_YIQ_DELTA = 35215;
+
+// A block whose structural similarity falls below this counts as changed
+const SSIM_CHANGED = 0.9;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel of each PNG color type we read
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG (what browsers take screenshots as and
+ * design tools export) into RGBA pixels.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      chunks.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || header.depth !== 8 || header.interlace !== 0 || !CHANNELS[header.colorType]) {
+    throw new Error(`Unsupported PNG (bit depth ${header?.depth}, color type ${header?.colorType}, interlace ${header?.interlace})`);
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('PNG has no palette');
+  }
+
+  const { width, height, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  const pixels = new Uint8Array(stride * height);
+
+  // Undo the per-row filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = y * (stride + 1) + 1;
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y > 0 ? pixels[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[out + x] = (raw[row + x] + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    if (colorType === 3) {
+      const index = pixels[i];
+      data.set(palette.subarray(index * 3, index * 3 + 3), i * 4);
+      data[i * 4 + 3] = transparency?.[index] ?? 255;
+      continue;
+    }
+    const source = pixels.subarray(i * channels, i * channels + channels);
+    const gray = colorType === 0 || colorType === 4;
+    data[i * 4] = source[0];
+    data[i * 4 + 1] = gray ? source[0] : source[1];
+    data[i * 4 + 2] = gray ? source[0] : source[2];
+    data[i * 4 + 3] = colorType === 6 ? source[3] : colorType === 4 ? source[1] : 255;
+  }
+  return { width, height, data };
+}
+
+// Encode RGBA pixels as a PNG
+export function encodePng({ width, height, data }) {
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+  }
+
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), body])));
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), body, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  return Buffer.concat([PNG_SIGNATURE, chunk('IHDR', header), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+// A region of a PNG, clamped to the image, as a PNG
+export function cropPng(buffer, { x, y, width, height }) {
+  const image = decodePng(buffer);
+  const left = Math.min(Math.max(x, 0), image.width - 1);
+  const top = Math.min(Math.max(y, 0), image.height - 1);
+  const right = Math.max(Math.min(x + width, image.width), left + 1);
+  const bottom = Math.max(Math.min(y + height, image.height), top + 1);
+
+  const data = new Uint8Array((right - left) * (bottom - top) * 4);
+  for (let row = top; row < bottom; row++) {
+    data.set(image.data.subarray((row * image.width + left) * 4, (row * image.width + right) * 4), (row - top) * (right - left) * 4);
+  }
+  return encodePng({ width: right - left, height: bottom - top, data });
+}
+
+// Pixel (x, y) of an image blended onto white, as [r, g, b]; null past the edge
+function rgbAt(image, x, y) {
+  if (x >= image.width || y >= image.height) return null;
+  const i = (y * image.width + x) * 4;
+  const alpha = image.data[i + 3] / 255;
+  return [0, 1, 2].map(channel => 255 + (image.data[i + channel] - 255) * alpha);
+}
+
+function luma([r, g, b]) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+// Perceived color distance, as in pixelmatch
+function yiqDelta(a, b) {
+  const y = luma(a) - luma(b);
+  const i = (a[0] * 0.59597799 - a[1] * 0.2741761 - a[2] * 0.32180189) - (b[0] * 0.59597799 - b[1] * 0.2741761 - b[2] * 0.32180189);
+  const q = (a[0] * 0.21147017 - a[1] * 0.52261711 + a[2] * 0.31114694) - (b[0] * 0.21147017 - b[1] * 0.52261711 + b[2] * 0.31114694);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+// Structural similarity of two blocks of luma values
+function ssim(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+  let varA = 0;
+  let varB = 0;
+  let cov = 0;
+  for (let k = 0; k < n; k++) {
+    varA += (a[k] - meanA) ** 2;
+    varB += (b[k] - meanB) ** 2;
+    cov += (a[k] - meanA) * (b[k] - meanB);
+  }
+  varA /= n;
+  varB /= n;
+  cov /= n;
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  return ((2 * meanA * meanB + c1) * (2 * cov + c2)) / ((meanA ** 2 + meanB ** 2 + c1) * (varA + varB + c2));
+}
+
+// Bounding boxes of connected changed blocks, largest first
+function changedRegions(changed, columns, rows, width, height) {
+  const seen = new Uint8Array(changed.length);
+  const regions = [];
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+    let [minX, minY, maxX, maxY] = [Infinity, Infinity, -1, -1];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const block = stack.pop();
+      const bx = block % columns;
+      const by = Math.floor(block / columns);
+      [minX, minY, maxX, maxY] = [Math.min(minX, bx), Math.min(minY, by), Math.max(maxX, bx), Math.max(maxY, by)];
+      for (const [nx, ny] of [[bx - 1, by], [bx + 1, by], [bx, by - 1], [bx, by + 1]]) {
+        const next = ny * columns + nx;
+        if (nx >= 0 && ny >= 0 && nx < columns && ny < rows && changed[next] && !seen[next]) {
+          seen[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+    const x = minX * BLOCK;
+    const y = minY * BLOCK;
+    regions.push({ x, y, width: Math.min((maxX + 1) * BLOCK, width) - x, height: Math.min((maxY + 1) * BLOCK, height) - y });
+  }
+  return regions.sort((a, b) => b.width * b.height - a.width * a.height);
+}
+
+/**
+ * Compare two screenshots. Images of different sizes (a full-page screenshot
+ * that grew) are compared over the larger size, the missing part counting as
+ * changed.
+ *
+ * @param {{ width: number, height: number, data: Uint8Array }} before
+ * @param {{ width: number, height: number, data: Uint8Array }} after
+ * @param {{ threshold?: number }} options pixel color distance that counts as a change, 0-1
+ * @returns {{ pixelChange: number, perceptualChange: number, similarity: number, sizeChanged: boolean, regions: object[], diff: object }}
+ *   changes as the fraction of pixels/blocks changed, similarity as mean SSIM
+ */
+export function diffImages(before, after, { threshold = 0.1 } = {}) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const columns = Math.ceil(width / BLOCK);
+  const rows = Math.ceil(height / BLOCK);
+
+  const diff = new Uint8Array(width * height * 4);
+  // Luma of both images for the block pass; NaN past an image's edge
+  const lumaBefore = new Float32Array(width * height);
+  const lumaAfter = new Float32Array(width * height);
+  const changedPixels = new Uint8Array(columns * rows);
+  let pixelsChanged = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const a = rgbAt(before, x, y);
+      const b = rgbAt(after, x, y);
+      const i = (y * width + x) * 4;
+      lumaBefore[y * width + x] = a ? luma(a) : NaN;
+      lumaAfter[y * width + x] = b ? luma(b) : NaN;
+      if (!a || !b || yiqDelta(a, b) > maxDelta) {
+        pixelsChanged++;
+        changedPixels[Math.floor(y / BLOCK) * columns + Math.floor(x / BLOCK)] = 1;
+        diff.set([255, 0, 0, 255], i);
+      } else {
+        // The new screenshot faded out, so the changes stand out
+        const gray = 255 + (luma(b) - 255) * 0.1;
+        diff.set([gray, gray, gray, 255], i);
+      }
+    }
+  }
+
+  const changed = new Uint8Array(columns * rows);
+  let similarity = 0;
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < columns; bx++) {
+      const a = [];
+      const b = [];
+      let outside = false;
+      for (let y = by * BLOCK; y < Math.min((by + 1) * BLOCK, height); y++) {
+        for (let x = bx * BLOCK; x < Math.min((bx + 1) * BLOCK, width); x++) {
+          const lumaA = lumaBefore[y * width + x];
+          const lumaB = lumaAfter[y * width + x];
+          outside ||= Number.isNaN(lumaA) || Number.isNaN(lumaB);
+          a.push(lumaA);
+          b.push(lumaB);
+        }
+      }
+      const block = by * columns + bx;
+      const score = outside ? 0 : ssim(a, b);
+      similarity += score;
+      // A block only counts as changed when its pixels changed too, so noise-level SSIM dips are ignored
+      changed[block] = outside || (score < SSIM_CHANGED && changedPixels[block]) ? 1 : 0;
+    }
+  }
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    pixelChange: round(pixelsChanged / (width * height)),
+    perceptualChange: round(changed.reduce((sum, value) => sum + value, 0) / (columns * rows)),
+    similarity: round(similarity / (columns * rows)),
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    regions: changedRegions(changed, columns, rows, width, height),
+    diff: { width, height, data: diff }
+  };
+}
+
+// Name of a screenshot without its iteration (and variant) prefix
+export function screenshotKey(file) {
+  return path.basename(file, '.png').replace(/^iteration-\d+(-variant-\d+)?-/, '');
+}
+
+// Screenshots of two iterations that show the same thing
+export function pairScreenshots(beforeFiles, afterFiles) {
+  const before = new Map(beforeFiles.map(file => [screenshotKey(file), file]));
+  return afterFiles
+    .filter(file => before.has(screenshotKey(file)))
+    .map(file => ({ key: screenshotKey(file), before: before.get(screenshotKey(file)), after: file }));
+}
+
+/**
+ * Diff each pair of screenshots and write the highlighted diff images to
+ * outputDir. Pairs whose files can't be read are skipped.
+ *
+ * @returns {Promise<object[]>} { key, before, after, diff, pixelChange, perceptualChange, similarity, sizeChanged, regions }
+ */
+export async function diffScreenshotPairs(pairs, outputDir, options = {}) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const results = [];
+  for (const pair of pairs) {
+    let before;
+    let after;
+    try {
+      [before, after] = await Promise.all([pair.before, pair.after].map(async file => decodePng(await fs.readFile(file))));
+    } catch {
+      // Scenario failed before its screenshot was taken
+      continue;
+    }
+    const { diff, regions, ...stats } = diffImages(before, after, options);
+    const diffFile = path.join(outputDir, `${pair.key}.png`);
+    await fs.writeFile(diffFile, encodePng(diff));
+    results.push({ ...pair, diff: diffFile, ...stats, regions: regions.slice(0, 5) });
+  }
+  return results;
+}
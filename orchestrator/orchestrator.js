@@ -2,42 +2,259 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import OpenAI from 'openai';
 import { chromium } from 'playwright';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { ProviderRegistry, textPart, imagePart } from './lib/providers.js';
+import { executeScenario } from './lib/step-executor.js';
+import { checkPrototype, formatDiagnostics } from './lib/build-gate.js';
+import { RuntimeDiagnostics, summarizeDiagnostics } from './lib/runtime-diagnostics.js';
+import { RunStore, DEFAULT_SOURCE_FILE, BUNDLE_SOURCE_FILE } from './lib/run-store.js';
+import { writeHtmlReport } from './lib/html-report.js';
+import { buildMatrix, captureMatrix, layoutIssuesOf } from './lib/viewport-matrix.js';
+import { auditAccessibility, formatFinding } from './lib/accessibility-audit.js';
+import { DevServer, waitForModuleUpdate, waitForPageUpdate } from './lib/dev-server.js';
+import { loadConfigFile, mergeConfig, validateConfig } from './lib/config.js';
+import { parseCommandLine, readPrompt, USAGE } from './lib/cli.js';
+import { completeStructured, StructuredOutputError, TEST_PLAN_SCHEMA, VISUAL_FEEDBACK_SCHEMA, FEEDBACK_SCHEMA, PAGE_PLAN_SCHEMA, EDITS_SCHEMA, FIDELITY_SCHEMA } from './lib/structured-output.js';
+import { readInventory, formatInventory, checkConformance } from './lib/design-system.js';
+import { UsageTracker, formatCost, formatTotals } from './lib/usage-tracker.js';
+import { Cassette, CassetteMissError } from './lib/cassette.js';
+import { specFromExecution, replaySpec, writeSpecFile } from './lib/spec-export.js';
+import { pairScreenshots, diffScreenshotPairs, cropPng, decodePng } from './lib/visual-diff.js';
+import { runReview, curateFeedback, rejectedFindings, withoutRejected } from './lib/review-console.js';
+import { applyEdits } from './lib/code-edits.js';
+import { loadReferences, compareWithReference } from './lib/fidelity.js';
+import { isRecording, needsOwnContext, startSession, finishSession, createActionLog, writeActionLog, keyFrames } from './lib/session-recording.js';
+import { measureCriteria, scoreRubric, missingReasons, blockingIssues, unmetConditions, plateaued, formatCriteria } from './lib/rubric.js';
+import { BUILTIN_PERSONAS_DIR, loadPersonas, personaContextOptions, describePersona, combinePersonaFeedback } from './lib/personas.js';
+import { ENTRY_FILE, slugify, pagesDir, sharedDir, routeOf, parseBundle, serializeBundle, isAllowedFile, mergeBundle, entryComponent, pageRoutes, checkFlowName, writeBundle, readBundle, readFlowManifest, removeFlow } from './lib/page-flow.js';
 
 // Load environment variables
 dotenv.config();
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const execAsync = promisify(exec);
 
-// Configuration
+// Default configuration. Override it with prototype-agent.config.json / .js
+// in the directory you run from, or with command line options (see --help).
 const CONFIG = {
   viteProjectPath: '../prototype', // Adjust to your Vite project path
   viteUrl: 'http://localhost:5173',
-  openaiApiKey: process.env.OPENAI_API_KEY,
+  startDevServer: false, // Start Vite in viteProjectPath on a free port (updates viteUrl) and stop it on exit
+  headless: false, // Set to true to test without a browser window
   maxIterations: 5,
-  feedbackThreshold: 0.8, // 80% positive feedback to stop
-  allowHumanInput: true // Allow human to continue past threshold
+  feedbackThreshold: 0.8, // Score (see rubric) needed to stop
+  allowHumanInput: true, // Allow human to continue past threshold
+  reviewEachIteration: false, // Let a designer accept, reject and reprioritize the findings and add direction before every improvement
+  maxStepsPerScenario: 15, // Actions the testing model may take per scenario
+  maxRepairAttempts: 3, // Tries to fix type/lint errors before testing anyway
+  runtimeErrorScoreCap: 0.4, // Max score when the page crashes, shows the Vite overlay or renders nothing
+  runsDir: 'runs', // Every iteration's source, scores and screenshots are kept here
+  keepBestVersion: true, // Restore the highest-scoring iteration at the end of a run
+  rollbackOnRegression: false, // Discard an improvement whose score drops and retry from the best version
+  editMode: 'patch', // 'patch': improve with search/replace edits tied to the findings, rewriting only when one doesn't apply; 'rewrite': regenerate the code
+  multiPage: false, // Generate a flow of routed pages under src/pages/<prototypeName>/ instead of one component
+  prototypeName: null, // Folder and route prefix for multi-page flows (default: chosen by the planner)
+  designSystem: false, // Build from the project's shadcn/ui components and flag raw controls that bypass them
+  maxSchemaRetries: 2, // Times an invalid JSON response is sent back to the model with its validation errors
+  budget: null, // Max spend in USD; the loop stops before an iteration that would exceed it
+  variants: 1, // Designs generated from the prompt; more than one runs a tournament between them
+  keepVariants: 1, // Variants still iterated on after the first round of a tournament
+  personas: [], // Tester personas (files in personas/, or 'all') that each run the scenarios and score the prototype
+  personasDir: null, // Your own persona files, searched before the bundled orchestrator/personas/
+  specsDir: 'e2e', // Passed scenarios become Playwright specs here (in the Vite project) and are re-run on later iterations; null to turn off
+  visualDiff: true, // Diff every screenshot against the version it was improved from and show the reviewer both
+  visualDiffThreshold: 0.1, // Color distance (0-1) at which a pixel counts as changed
+  largeChangeThreshold: 0.25, // Share of a screenshot that changing makes the reviewer check it was intended
+  references: [], // Reference designs to follow, [{ viewport, file }] PNGs such as Figma exports; a missing viewport is taken from the image width
+  cassette: null, // { mode: 'record' | 'replay', file, strict }: save every model call, or answer them from the file offline
+
+  // Every combination is screenshotted and reviewed separately
+  viewports: [
+    { name: 'mobile', width: 375, height: 812 },
+    { name: 'tablet', width: 768, height: 1024 },
+    { name: 'desktop', width: 1280, height: 800 }
+  ],
+  colorSchemes: ['light', 'dark'],
+  reducedMotion: false, // Also capture with prefers-reduced-motion: reduce
+
+  // What each scenario's session leaves behind, in runs/<runId>/iteration-N/recordings/
+  recording: {
+    video: false, // Video of the scenario's browser context
+    trace: false, // Playwright trace (npx playwright show-trace trace.zip)
+    actionLog: false, // Timestamped log of every step with a screenshot before and after
+    keyFrames: 0 // Action log screenshots of each failed scenario shown to the feedback model; needs a feedback model with image input
+  },
+
+  // What the score compared with feedbackThreshold is made of: a weighted average of
+  // functional, ux, visual, accessibility, runtime, performance and fidelity (0-1 each, see README).
+  // A criterion's min has to be reached as well before the run stops
+  rubric: {
+    ux: { weight: 1 }
+  },
+  stopRules: {
+    allScenariosPass: false, // Only stop at the threshold once every scenario passes
+    noBlockingIssues: false, // ... and nothing blocks: failing build, crash, broken earlier spec, critical accessibility finding
+    plateau: null, // Stop after this many iterations without the score improving by more than plateauDelta
+    plateauDelta: 0.02
+  },
+
+  // LLM backends available to the workflow stages
+  providers: {
+    openai: {
+      type: 'openai',
+      apiKey: process.env.OPENAI_API_KEY
+    },
+    anthropic: {
+      type: 'anthropic',
+      apiKey: process.env.ANTHROPIC_API_KEY
+    },
+    ollama: {
+      type: 'openai-compatible', // Any server speaking the OpenAI chat API
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1'
+    }
+  },
+
+  // Provider and model used by each stage of the workflow
+  stages: {
+    generate: { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7 },
+    testPlan: { provider: 'openai', model: 'gpt-4o', temperature: 0.1 },
+    visualReview: { provider: 'openai', model: 'gpt-4o', temperature: 0.1 }, // Needs image input
+    testExecution: { provider: 'openai', model: 'gpt-4o-mini', temperature: 0 }, // Drives Playwright step by step
+    feedback: { provider: 'openai', model: 'gpt-4o', temperature: 0.1 },
+    improve: { provider: 'openai', model: 'gpt-4o', temperature: 0.3 },
+    repair: { provider: 'openai', model: 'gpt-4o', temperature: 0.1 }, // Fixes compiler/linter errors
+    fidelityReview: { provider: 'openai', model: 'gpt-4o', temperature: 0.1 } // Compares screenshots with the reference designs; needs image input
+  },
+
+  // USD per million tokens, matched by model name or prefix. Unlisted models
+  // (e.g. local ones) are tracked but counted as unpriced
+  prices: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 }
+  }
 };
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: CONFIG.openaiApiKey
-});
+// Where generated code lives, relative to the Vite project
+const COMPONENT_FILE = 'src/components/GeneratedPrototype.tsx';
+
+function projectPath() {
+  return path.resolve(__dirname, CONFIG.viteProjectPath);
+}
+
+// Settings of the machine running the orchestrator rather than of a run: a
+// resumed run uses the resuming process's own. Providers hold API keys.
+const PROCESS_SETTINGS = ['viteProjectPath', 'viteUrl', 'startDevServer', 'headless', 'allowHumanInput', 'runsDir', 'cassette', 'providers', 'prices'];
+
+// The configuration a run was started with, saved in its manifest
+function runSettings() {
+  return structuredClone(Object.fromEntries(Object.entries(CONFIG).filter(([key]) => !PROCESS_SETTINGS.includes(key))));
+}
+
+// Runs saved before the whole configuration was kept only recorded a few settings
+function savedSettings(manifest) {
+  if (manifest.config) return manifest.config;
+  const { multiPage = false, designSystem = false, budget = null, variants = 1, keepVariants = 1, personas = [], personasDir = null, reviewEachIteration = false, rubric, stopRules } = manifest;
+  return { multiPage, designSystem, budget, variants, keepVariants, personas, personasDir, reviewEachIteration, ...(rubric ? { rubric } : {}), ...(stopRules ? { stopRules } : {}) };
+}
+
+// Earlier specs that fail on this version, for the improve prompt
+function failedSpecs(specResults = []) {
+  return specResults
+    .filter(result => result.status === 'failed')
+    .map(result => `${result.name} (passed in iteration ${result.iteration}): ${result.error}`);
+}
+
+// Screenshot changes shown to the visual reviewer, most changed first
+const MAX_REVIEWED_DIFFS = 3;
+
+function describeChange(change) {
+  const percent = value => `${Math.round(value * 1000) / 10}%`;
+  const regions = change.regions.map(region => `${region.width}x${region.height} at (${region.x}, ${region.y})`);
+  return `${percent(change.pixelChange)} of pixels and ${percent(change.perceptualChange)} of the layout changed` +
+    `${change.sizeChanged ? ', page size changed' : ''}${change.large ? ' (large change)' : ''}` +
+    `${regions.length > 0 ? `; changed regions: ${regions.join(', ')}` : ''}`;
+}
+
+// Best score first; unscored versions last
+function rankedResults(results) {
+  return [...results].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+}
+
+// Tournament variants are routed pages of their own, so all of them can be served at once
+const VARIANTS_DIR = 'src/pages/variants';
+
+function variantOf(number) {
+  const id = `variant-${number}`;
+  return { id, file: `${VARIANTS_DIR}/${id}.tsx`, route: routeOf(`${VARIANTS_DIR}/${id}.tsx`) };
+}
+
+// Output format for multi-page code, shared by the generate, improve and repair prompts
+function bundleInstructions(name, { changedOnly }) {
+  return `- Return ONLY files in this exact format, no markdown code blocks and no explanations:
+// ===== FILE: ${pagesDir(name)}/example-page.tsx =====
+<complete contents of the file>
+// ===== FILE: ${sharedDir(name)}/ExampleComponent.tsx =====
+<complete contents of the file>${changedOnly ? `
+- Only include the files you change, each with its complete new contents; leave unchanged files out
+- To remove a file, add a line: // ===== DELETE: <path> =====` : ''}
+- Pages live in ${pagesDir(name)}/ and are routed by file path: ${pagesDir(name)}/example-page.tsx is served at /${name}/example-page. Each page default-exports its component
+- Shared components live in ${sharedDir(name)}/ and are imported with the @/ alias, e.g. @/components/${name}/ExampleComponent
+- Navigate between pages with wouter (import { Link, useLocation } from 'wouter'); never use plain <a href> reloads for in-app links
+- Each page mounts separately, so state that must survive navigation (cart contents, form answers) belongs in a shared module in ${sharedDir(name)}/, e.g. a small store or sessionStorage
+- Only import modules that exist in the project (react, wouter, lucide-react, @/components/ui/*, @/lib/utils) or files of this prototype`;
+}
+
+// Strip markdown fences and explanatory text around generated component code.
+// Everything after the default export is kept: helpers often follow it.
+function cleanComponentCode(code) {
+  const fenced = code.match(/```[\w]*\n([\s\S]*?)\n```/);
+  const cleaned = fenced ? fenced[1] : code.replace(/^```[\w]*\n/, '');
+
+  const start = cleaned.search(/^import\b/m);
+  return start > 0 ? cleaned.slice(start) : cleaned;
+}
 
 class PrototypeOrchestrator {
   constructor() {
     this.currentIteration = 0;
     this.feedbackHistory = [];
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+    this.providers = new ProviderRegistry(CONFIG.providers);
+    this.usage = new UsageTracker(CONFIG.prices);
+    this.stoppedBy = null;
+    this.cassette = null;
+    // Design variant being worked on in a tournament run
+    this.variant = null;
+    this.tournament = null;
+    this.personas = [];
+    // Reference designs saved with the run: { viewport, file, width, height }
+    this.references = [];
+    // Regression specs of each line of design, keyed by variant id (null without variants)
+    this.specSuites = new Map();
+    // Findings a designer rejected in the review console; reviewers don't raise them again
+    this.rejectedFindings = [];
+    this.rl = null;
+  }
+
+  // Created on first use so commands that never ask anything don't hold stdin open
+  get input() {
+    if (!this.rl) {
+      this.rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+      });
+      // Let Ctrl-C at a prompt reach the interrupt handler instead of just pausing input
+      this.rl.on('SIGINT', () => process.emit('SIGINT'));
+    }
+    return this.rl;
   }
 
   async askHumanInput(feedback, visualFeedback) {
@@ -68,7 +285,7 @@ class PrototypeOrchestrator {
     console.log('\n');
     
     return new Promise((resolve) => {
-      this.rl.question('Would you like to run another iteration to address these issues? (y/N): ', (answer) => {
+      this.input.question('Would you like to run another iteration to address these issues? (y/N): ', (answer) => {
         const shouldContinue = answer.toLowerCase().startsWith('y');
         if (!shouldContinue) {
           console.log('✅ Proceeding with current prototype.');
@@ -80,11 +297,133 @@ class PrototypeOrchestrator {
     });
   }
 
+  // At the threshold in a tournament: let a designer pick the winning variant before deciding whether to go on
+  async askVariantChoice(results) {
+    if (!CONFIG.allowHumanInput) return { continue: false, winner: null };
+    
+    console.log('\n🏁 Design variants still in the running:');
+    results.forEach((result, i) => {
+      console.log(`  ${i + 1}. ${result.line.variant.id} (${result.line.variant.route}): score ${result.score ?? 'unscored'}, visual ${result.visualFeedback.visualScore ?? 'unscored'}`);
+    });
+    
+    const answer = await new Promise(resolve => {
+      this.input.question('Pick a winning variant by number, or press Enter to keep them all: ', resolve);
+    });
+    const chosen = results[Number.parseInt(answer, 10) - 1];
+    if (chosen) {
+      console.log(`🏆 ${chosen.line.variant.id} chosen as the winner`);
+    }
+    
+    const lead = chosen || results[0];
+    const shouldContinue = await this.askHumanInput(lead.feedback, lead.visualFeedback);
+    return { continue: shouldContinue, winner: chosen ? chosen.line.variant.id : null };
+  }
+
+  // Let a designer curate an iteration's findings before the next improvement
+  async reviewFindings(entry) {
+    const screenshots = (entry.screenshots || []).map(file => ({ name: path.basename(file, '.png'), file }));
+    return runReview(question => new Promise(resolve => this.input.question(question, resolve)), {
+      feedback: entry.feedback,
+      visualFeedback: entry.visualFeedback,
+      screenshots
+    });
+  }
+
+  // Keep the review with its iteration and remember what was rejected
+  async recordReview(entry, review) {
+    entry.review = review;
+    this.rejectedFindings = [...new Set([...this.rejectedFindings, ...rejectedFindings(review)])];
+    await this.runStore.saveHistory(this.feedbackHistory);
+  }
+
+  /**
+   * Run the improve stage and keep how the next version was made (the edits
+   * and the findings they address, or why the code was rewritten) with the
+   * iteration it was made from. Returns the new code.
+   */
+  async improveStage(iteration, entry, improve) {
+    const { code, ...improvement } = await this.runStage(iteration, 'improve', improve, {
+      onReuse: saved => this.writePrototype(saved.code)
+    });
+    entry.improvement = improvement;
+    await this.runStore.saveHistory(this.feedbackHistory);
+    return code;
+  }
+
   closeInput() {
-    this.rl.close();
+    this.rl?.close();
+    this.rl = null;
+  }
+
+  async callModel(stage, { system, messages, jsonSchema }) {
+    const stageConfig = CONFIG.stages[stage];
+    if (!stageConfig) {
+      throw new Error(`No model configured for stage "${stage}" in CONFIG.stages`);
+    }
+
+    const request = {
+      model: stageConfig.model,
+      temperature: stageConfig.temperature,
+      maxTokens: stageConfig.maxTokens,
+      system,
+      messages,
+      jsonSchema
+    };
+    // Looked up inside send() so a replayed run never needs API keys
+    const send = () => this.providers.get(stageConfig.provider).complete(request);
+    const startedAt = Date.now();
+    const response = this.cassette
+      ? await this.cassette.complete(stage, request, send, { provider: stageConfig.provider, baseUrl: CONFIG.viteUrl })
+      : await send();
+
+    this.usage.record({
+      stage,
+      iteration: this.currentIteration,
+      provider: stageConfig.provider,
+      model: stageConfig.model,
+      inputTokens: response.usage?.inputTokens,
+      outputTokens: response.usage?.outputTokens,
+      latencyMs: Date.now() - startedAt
+    });
+    await this.runStore?.saveUsage(this.usage.toJSON());
+
+    return response.text;
+  }
+
+  async useCassette({ mode, file, strict = false }) {
+    this.cassette = await Cassette.open(file, mode, { strict });
+    console.log(mode === 'record'
+      ? `📼 Recording model calls to ${file}`
+      : `📼 Replaying ${this.cassette.entries.length} recorded model call(s) from ${file}`);
+  }
+
+  /**
+   * Call a stage for JSON matching `schema`, retrying with the validation
+   * errors. Returns null when the model never produced a valid response, so
+   * callers can fall back to something clearly marked as unscored.
+   */
+  async callModelJson(stage, { name, schema, system, messages }) {
+    try {
+      const { value } = await completeStructured(request => this.callModel(stage, request), {
+        name,
+        schema,
+        system,
+        messages,
+        maxRetries: CONFIG.maxSchemaRetries
+      });
+      return value;
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) throw error;
+      console.log(`❌ ${error.message}: ${error.errors.join('; ')}`);
+      return null;
+    }
   }
 
-  async generatePrototype(designPrompt) {
+  async generatePrototype(designPrompt, { variant = null } = {}) {
+    if (CONFIG.multiPage) {
+      return this.generatePageFlow(designPrompt);
+    }
+    
     console.log('🎨 Generating prototype from prompt...');
     
     const systemPrompt = `You are a React TypeScript component generator. Create a complete, functional React TypeScript component based on the user's design prompt. 
@@ -99,7 +438,7 @@ CRITICAL INSTRUCTIONS:
 - Make it interactive and engaging
 - Export as default
 - Component should be self-contained
-- Use semantic HTML elements
+- Use semantic HTML elements${this.referenceInstructions()}${this.designSystemInstructions()}
 
 Example of correct format:
 import React, { useState } from 'react';
@@ -117,38 +456,249 @@ const ComponentName: React.FC<Props> = () => {
 
 export default ComponentName;`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: designPrompt }
-      ],
-      temperature: 0.7
+    // Variants of a tournament are asked to differ, so the comparison is worth making
+    const variantNote = variant ? `\n\nThis is design variant ${variant} of ${CONFIG.variants} generated for the same brief. Take a distinct design direction (layout, visual style, interaction pattern) rather than the most obvious one, while meeting every requirement.` : '';
+    const response = await this.callModel('generate', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: await this.withReferences(`${designPrompt}${variantNote}`) }]
     });
+    const componentCode = cleanComponentCode(response);
+    
+    // Write to Vite project (.tsx file)
+    await this.writePrototype(componentCode);
+    
+    console.log('✅ Prototype generated and saved as .tsx');
+    return componentCode;
+  }
 
-    let componentCode = response.choices[0].message.content.trim();
+  // Split the prompt into the pages of a flow before writing any code
+  async planPages(designPrompt) {
+    console.log('🗺️ Planning pages and flows...');
     
-    // Strip markdown code blocks if they exist
-    componentCode = componentCode.replace(/^```[\w]*\n/, '').replace(/\n```$/, '');
+    const systemPrompt = `You are a product designer planning a multi-screen prototype. Split the user's design prompt into the pages a user moves through, the components those pages share, and the end-to-end flows that connect them (e.g. onboarding, checkout).
+
+CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
+
+Return a JSON object with this exact structure:
+{
+  "name": "checkout",
+  "pages": [
+    { "file": "cart.tsx", "title": "Cart", "purpose": "What the user does on this page", "linksTo": ["shipping.tsx"] }
+  ],
+  "sharedComponents": [
+    { "file": "StepIndicator.tsx", "purpose": "What it is used for" }
+  ],
+  "flows": [
+    { "name": "Complete a purchase", "pages": ["cart.tsx", "shipping.tsx", "payment.tsx", "confirmation.tsx"], "description": "What the user achieves" }
+  ]
+}
+
+name is a short kebab-case name for the prototype. The first page is where the prototype starts. Use kebab-case page file names and PascalCase component file names.`;
+
+    let plan = await this.callModelJson('generate', {
+      name: 'page_plan',
+      schema: PAGE_PLAN_SCHEMA,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: designPrompt }]
+    });
     
-    // Remove any leading/trailing explanatory text
-    const importMatch = componentCode.match(/(import[\s\S]*export default [^;]+;?)/);
-    if (importMatch) {
-      componentCode = importMatch[1];
+    if (!plan) {
+      console.log('❌ No valid page plan, using a single page');
+      plan = { pages: [{ file: 'index.tsx', title: 'Home', purpose: designPrompt }], sharedComponents: [], flows: [] };
     }
     
-    // Write to Vite project (.tsx file)
-    const componentPath = path.join(__dirname, CONFIG.viteProjectPath, 'src/components/GeneratedPrototype.tsx');
-    await fs.writeFile(componentPath, componentCode);
+    const normalized = this.normalizePagePlan(plan);
+    await checkFlowName(projectPath(), normalized.name);
+    console.log(`✅ Planned ${normalized.pages.length} page(s) under /${normalized.name}: ${normalized.pages.map(page => page.route).join(', ')}`);
+    return normalized;
+  }
+
+  // Pin plan file names to the prototype's folders and resolve their routes
+  normalizePagePlan(plan) {
+    const name = slugify(CONFIG.prototypeName || plan.name);
+    const pageFile = file => `${pagesDir(name)}/${path.basename(String(file)).replace(/\.(jsx?|tsx?)$/, '')}.tsx`;
+    const pages = (plan.pages || []).filter(page => page?.file).map(page => ({
+      ...page,
+      file: pageFile(page.file),
+      route: routeOf(pageFile(page.file)),
+      linksTo: (page.linksTo || []).map(target => routeOf(pageFile(target)))
+    }));
+    if (pages.length === 0) {
+      pages.push({ file: pageFile('index'), route: routeOf(pageFile('index')), title: 'Home', purpose: '', linksTo: [] });
+    }
     
-    console.log('✅ Prototype generated and saved as .tsx');
-    return componentCode;
+    return {
+      name,
+      pages,
+      sharedComponents: (plan.sharedComponents || []).filter(component => component?.file).map(component => ({
+        ...component,
+        file: `${sharedDir(name)}/${path.basename(String(component.file))}`
+      })),
+      flows: (plan.flows || []).map(flow => ({
+        ...flow,
+        routes: (flow.pages || []).map(file => routeOf(pageFile(file)))
+      }))
+    };
+  }
+
+  // Plan for test-only runs, rebuilt from the flow's files on disk
+  async pagePlanFromDisk() {
+    if (!CONFIG.prototypeName) {
+      throw new Error('Testing an existing multi-page prototype needs prototypeName (--prototype-name)');
+    }
+    const code = await readBundle(projectPath(), slugify(CONFIG.prototypeName));
+    const pages = pageRoutes(code);
+    if (pages.length === 0) {
+      throw new Error(`No pages found in ${pagesDir(slugify(CONFIG.prototypeName))}`);
+    }
+    return this.normalizePagePlan({
+      name: CONFIG.prototypeName,
+      pages: pages.map(page => ({ file: page.file, title: path.basename(page.file, '.tsx') })),
+      sharedComponents: [],
+      flows: []
+    });
+  }
+
+  async generatePageFlow(designPrompt) {
+    const plan = this.pagePlan;
+    console.log(`🎨 Generating ${plan.pages.length} page(s) and ${plan.sharedComponents.length} shared component(s)...`);
+    
+    const systemPrompt = `You are a React TypeScript developer building a multi-page prototype from a page plan. Write every page and shared component in the plan.
+
+CRITICAL INSTRUCTIONS:
+${bundleInstructions(plan.name, { changedOnly: false })}
+- Use TypeScript with proper type annotations
+- Use modern React with hooks
+- Include Tailwind CSS classes for styling
+- Make every page interactive and make the flows in the plan completable from start to finish
+- Use semantic HTML elements${this.referenceInstructions()}${this.designSystemInstructions()}`;
+
+    const response = await this.callModel('generate', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: await this.withReferences(`Design prompt: ${designPrompt}\n\nPage plan:\n${JSON.stringify(plan, null, 2)}`) }]
+    });
+    
+    const { files } = parseBundle(response);
+    const rejected = files.filter(file => !isAllowedFile(file.path, plan.name));
+    rejected.forEach(file => console.log(`⚠️ Ignoring ${file.path}: outside ${pagesDir(plan.name)}/ and ${sharedDir(plan.name)}/`));
+    
+    const kept = files.filter(file => isAllowedFile(file.path, plan.name) && file.path !== ENTRY_FILE);
+    if (!kept.some(file => file.path.startsWith(`${pagesDir(plan.name)}/`))) {
+      throw new Error('Page generation returned no page files');
+    }
+    const code = serializeBundle([...kept, { path: ENTRY_FILE, content: entryComponent(plan.pages[0].route) }]);
+    
+    await this.writePrototype(code);
+    console.log(`✅ Generated ${kept.length} file(s) under ${pagesDir(plan.name)}/ and ${sharedDir(plan.name)}/`);
+    return code;
+  }
+
+  // Prompt section listing the design-system components, when that mode is on
+  designSystemInstructions() {
+    if (!this.designInventory) return '';
+    return `
+- Build the UI from the project's shadcn/ui design system below instead of raw HTML controls and hand-written Tailwind widgets: never render a raw <button>, <input>, <textarea>, <select>, <label> or <table> when a component exists for it, and never re-create a listed component
+- Import components from their module, e.g. import { Button } from "@/components/ui/button", and choose their look through variant and size props; use Tailwind classes for layout and spacing
+
+Design system components (module: Export<element>(variant=options; other props)):
+${formatInventory(this.designInventory)}`;
+  }
+
+  referenceInstructions() {
+    if (this.references.length === 0) return '';
+    return `
+- Follow the reference designs attached to the prompt: reproduce their layout, visual hierarchy, spacing, colors and typography at the viewports they are for (${this.references.map(reference => reference.viewport).join(', ')}), and keep the other viewports consistent with them`;
+  }
+
+  // A prompt with the reference designs attached as images
+  async withReferences(text) {
+    if (this.references.length === 0) return text;
+    const content = [textPart(text)];
+    for (const reference of this.references) {
+      const image = await fs.readFile(path.join(this.runStore.dir, reference.file));
+      content.push(textPart(`Reference design for the ${reference.viewport} viewport (${reference.width}x${reference.height}):`), imagePart(image.toString('base64')));
+    }
+    return content;
+  }
+
+  checkDesignSystem(code) {
+    const files = CONFIG.multiPage ? parseBundle(code).files : [{ path: this.sourceFile(), content: code }];
+    const result = checkConformance(files, this.designInventory);
+    console.log(result.conformant
+      ? `🧩 Design system: conformant (uses ${result.used.join(', ') || 'no components'})`
+      : `🧩 Design system: ${result.findings.length} conformance issue(s)`);
+    return result;
+  }
+
+  // Project-relative file of the single-component prototype or the current variant
+  sourceFile() {
+    return this.variant ? this.variant.file : COMPONENT_FILE;
+  }
+
+  // Page the browser tests open
+  pageUrl() {
+    return this.variant ? new URL(this.variant.route, CONFIG.viteUrl).href : CONFIG.viteUrl;
+  }
+
+  screenshotPrefix() {
+    return `screenshots/iteration-${this.currentIteration}${this.variant ? `-${this.variant.id}` : ''}`;
+  }
+
+  async writePrototype(code, runStore = this.runStore) {
+    if (CONFIG.multiPage) {
+      await writeBundle(projectPath(), code, this.pagePlan.name, { runId: runStore?.runId ?? null });
+    } else {
+      const file = path.resolve(projectPath(), this.sourceFile());
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, code);
+    }
+  }
+
+  async readPrototype() {
+    return CONFIG.multiPage
+      ? readBundle(projectPath(), this.pagePlan.name)
+      : fs.readFile(path.resolve(projectPath(), this.sourceFile()), 'utf8');
+  }
+
+  // Routes of the current pages, in the order the plan visits them
+  flowRoutes(code) {
+    const order = this.pagePlan.pages.map(page => page.route);
+    const rank = route => (order.includes(route) ? order.indexOf(route) : order.length);
+    return pageRoutes(code).sort((a, b) => rank(a.route) - rank(b.route));
+  }
+
+  // Project-relative files a version of the prototype consists of
+  generatedFiles(code) {
+    return CONFIG.multiPage ? parseBundle(code).files.map(file => file.path) : [this.sourceFile()];
+  }
+
+  // The same files with their contents
+  sourceFiles(code) {
+    return CONFIG.multiPage
+      ? parseBundle(code).files
+      : [{ path: this.sourceFile(), content: code }];
+  }
+
+  // Turn an improve/repair response into the next version of the code
+  applyCodeChanges(currentCode, response) {
+    if (!CONFIG.multiPage) {
+      return cleanComponentCode(response);
+    }
+    
+    const { code, changed, rejected } = mergeBundle(currentCode, response, this.pagePlan.name);
+    rejected.forEach(file => console.log(`⚠️ Ignoring ${file}: outside ${pagesDir(this.pagePlan.name)}/ and ${sharedDir(this.pagePlan.name)}/`));
+    console.log(changed.length > 0 ? `  Changed: ${changed.join(', ')}` : '  No files changed');
+    return code;
   }
 
   async generateTestPlan(componentCode) {
     console.log('📋 Generating usability test plan...');
     
-    const systemPrompt = `You are a UX testing expert. Create a comprehensive usability test plan for the React component provided.
+    const flowInstructions = CONFIG.multiPage ? `
+
+This prototype has several pages (routes: ${this.flowRoutes(componentCode).map(page => page.route).join(', ')}). Include a scenario for every cross-page flow in the page plan that walks through it from the first page to the last, and give each scenario a "startRoute" (the route it starts on; usually the first page of the flow).` : '';
+    
+    const systemPrompt = `You are a UX testing expert. Create a comprehensive usability test plan for the React ${CONFIG.multiPage ? 'prototype' : 'component'} provided.${flowInstructions}
 
 CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
 
@@ -172,107 +722,134 @@ Return a JSON object with this exact structure:
   ]
 }`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Component code:\n${componentCode}` }
-      ],
-      temperature: 0.1
+    const testPlan = await this.callModelJson('testPlan', {
+      name: 'test_plan',
+      schema: TEST_PLAN_SCHEMA,
+      system: systemPrompt,
+      messages: [{
+        role: 'user',
+        content: CONFIG.multiPage
+          ? `Page plan:\n${JSON.stringify(this.pagePlan, null, 2)}\n\nPrototype files:\n${componentCode}`
+          : `Component code:\n${componentCode}`
+      }]
     });
-
-    let content = response.choices[0].message.content.trim();
-    
-    // Try to extract JSON if the response includes extra text
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      content = jsonMatch[0];
-    }
     
-    try {
-      const testPlan = JSON.parse(content);
+    if (testPlan) {
       console.log('✅ Test plan generated');
       return testPlan;
-    } catch (error) {
-      console.log('❌ Failed to parse test plan JSON, using fallback');
-      console.log('Raw response:', content);
-      
-      // Fallback test plan
-      return {
-        testScenarios: [
-          {
-            name: "Basic interaction test",
-            description: "Test basic UI interactions",
-            steps: ["Click available buttons", "Fill any input fields", "Check for responses"],
-            expectedOutcome: "UI should respond to user interactions"
-          }
-        ],
-        usabilityChecks: [
-          "Check if buttons are clickable",
-          "Check if text is readable"
-        ],
-        accessibilityChecks: [
-          "Check for alt text on images",
-          "Check for proper heading structure"
-        ]
-      };
     }
+    
+    console.log('❌ No valid test plan, using generic scenarios (this iteration will be unscored)');
+    
+    // Generic scenarios still exercise the page, but scores judged against them mean little
+    return {
+      fallback: true,
+      testScenarios: [
+        {
+          name: "Basic interaction test",
+          description: "Test basic UI interactions",
+          steps: ["Click available buttons", "Fill any input fields", "Check for responses"],
+          expectedOutcome: "UI should respond to user interactions"
+        }
+      ],
+      usabilityChecks: [
+        "Check if buttons are clickable",
+        "Check if text is readable"
+      ],
+      accessibilityChecks: [
+        "Check for alt text on images",
+        "Check for proper heading structure"
+      ]
+    };
   }
 
-  async runPlaywrightTests(testPlan) {
+  async runPlaywrightTests(testPlan, { routes = [], specs = [], code = null } = {}) {
     console.log('🧪 Running Playwright tests...');
     
-    const browser = await chromium.launch({ headless: false }); // Set to true for headless
+    const browser = await chromium.launch({ headless: CONFIG.headless });
     const context = await browser.newContext();
     const page = await context.newPage();
+    const diagnostics = new RuntimeDiagnostics(page);
+    const runtimeScopes = [];
     
     try {
-      await page.goto(CONFIG.viteUrl);
+      await page.goto(this.pageUrl());
       await page.waitForLoadState('networkidle');
+      // Give React a moment to mount; a page that never renders is caught by the diagnostics
+      await page.waitForFunction(() => document.getElementById('root')?.children.length > 0, null, { timeout: 5000 }).catch(() => {});
+      // Vite serving the new code doesn't mean the page rendered it
+      if (code !== null) {
+        console.log(await waitForPageUpdate(page, this.sourceFiles(code))
+          ? '✅ The page renders the latest component'
+          : '⚠️ Could not confirm the page renders the latest component');
+      }
       
       const testResults = [];
       
+      // How long the first load took, for the rubric's performance criterion
+      const timing = await page.evaluate(() => {
+        const [navigation] = window.performance.getEntriesByType('navigation');
+        return navigation ? { loadMs: Math.round(navigation.loadEventEnd), domContentLoadedMs: Math.round(navigation.domContentLoadedEventEnd) } : null;
+      }).catch(() => null);
+      
       // Take initial screenshot
-      await page.screenshot({ path: `screenshots/iteration-${this.currentIteration}-initial.png` });
+      await page.screenshot({ path: `${this.screenshotPrefix()}-initial.png` });
+      runtimeScopes.push(await diagnostics.finishScope());
       
-      // Run each test scenario
-      for (const scenario of testPlan.testScenarios) {
-        console.log(`  Running: ${scenario.name}`);
-        
+      // Run each test scenario, once per tester persona when there are any
+      if (this.personas.length === 0) {
+        testResults.push(...await this.runScenarios(page, diagnostics, runtimeScopes, testPlan, routes, { contextOptions: { viewport: page.viewportSize() } }));
+      }
+      for (const persona of this.personas) {
+        console.log(`  👤 Testing as ${persona.name}`);
+        const contextOptions = personaContextOptions(persona, page.viewportSize());
+        const personaContext = await browser.newContext(contextOptions);
+        const personaPage = await personaContext.newPage();
+        const personaDiagnostics = new RuntimeDiagnostics(personaPage);
         try {
-          // Basic interaction testing
-          const interactions = await this.performInteractions(page, scenario);
-          
-          // Take screenshot after each test
-          await page.screenshot({ 
-            path: `screenshots/iteration-${this.currentIteration}-${scenario.name.replace(/\s+/g, '-')}.png` 
-          });
-          
-          testResults.push({
-            scenario: scenario.name,
-            status: 'passed',
-            interactions,
-            screenshot: `screenshots/iteration-${this.currentIteration}-${scenario.name.replace(/\s+/g, '-')}.png`
-          });
-          
-        } catch (error) {
-          testResults.push({
-            scenario: scenario.name,
-            status: 'failed',
-            error: error.message
-          });
+          testResults.push(...await this.runScenarios(personaPage, personaDiagnostics, runtimeScopes, testPlan, routes, { persona, contextOptions }));
+        } finally {
+          await personaContext.close();
         }
       }
       
+      // Every page of a multi-page flow on its own
+      const routeChecks = routes.length > 0 ? await this.checkPageRoutes(page, diagnostics, runtimeScopes, routes) : [];
+      
+      // What passed before has to keep passing
+      const specResults = specs.length > 0 ? await this.replaySpecs(page, diagnostics, runtimeScopes, specs) : [];
+      
       // Accessibility checks
       const accessibilityResults = await this.checkAccessibility(page);
       
+      // Responsive / theme screenshots
+      console.log('  Capturing viewport and theme matrix...');
+      const matrix = await captureMatrix(browser, this.pageUrl(), buildMatrix(CONFIG), `${this.screenshotPrefix()}-matrix`);
+      const layoutIssues = layoutIssuesOf(matrix);
+      if (layoutIssues.length > 0) {
+        console.log(`⚠️ ${layoutIssues.length} layout problem(s) across viewports`);
+      }
+      
       await browser.close();
       
+      const runtimeErrors = summarizeDiagnostics(runtimeScopes);
+      if (runtimeErrors.length > 0) {
+        console.log(`⚠️ ${runtimeErrors.length} runtime problem(s) reported by the browser`);
+      }
+      
       return {
         testResults,
         accessibilityResults,
-        screenshot: `screenshots/iteration-${this.currentIteration}-initial.png`
+        runtimeDiagnostics: {
+          fatal: runtimeScopes.some(scope => scope.fatal),
+          errors: runtimeErrors
+        },
+        matrix,
+        layoutIssues,
+        routeChecks,
+        specResults,
+        ...(timing ? { performance: timing } : {}),
+        screenshot: `${this.screenshotPrefix()}-initial.png`
       };
       
     } catch (error) {
@@ -281,66 +858,235 @@ Return a JSON object with this exact structure:
     }
   }
 
-  async performInteractions(page, scenario) {
-    const interactions = [];
-    
-    // Try to find and interact with common elements
-    const buttons = await page.locator('button').count();
-    const inputs = await page.locator('input').count();
-    const links = await page.locator('a').count();
+  // Run the test plan's scenarios on a page, each from a fresh load. To be
+  // recorded on video or traced, a scenario gets a browser context of its own,
+  // opened with the options of the page's context.
+  async runScenarios(page, diagnostics, runtimeScopes, testPlan, routes, { persona = null, contextOptions = {} } = {}) {
+    const testResults = [];
+    const recording = CONFIG.recording;
     
-    interactions.push(`Found ${buttons} buttons, ${inputs} inputs, ${links} links`);
-    
-    // Try clicking buttons
-    if (buttons > 0) {
+    for (const [index, scenario] of testPlan.testScenarios.entries()) {
+      console.log(`  Running: ${scenario.name}`);
+      
+      const title = persona ? `${scenario.name} (${persona.name})` : scenario.name;
+      const recordingDir = isRecording(recording)
+        ? path.join(this.runStore.recordingDir(this.currentIteration, this.variant?.id ?? null), `${String(index + 1).padStart(2, '0')}-${slugify(scenario.name)}${persona ? `-${persona.id}` : ''}`)
+        : null;
+      const session = needsOwnContext(recording)
+        ? await startSession(page.context().browser(), contextOptions, recording, recordingDir, title)
+        : null;
+      const scenarioPage = session ? session.page : page;
+      const scenarioDiagnostics = session ? new RuntimeDiagnostics(scenarioPage) : diagnostics;
+      const actionLog = recording.actionLog ? createActionLog(scenarioPage, recordingDir) : null;
+      
+      scenarioDiagnostics.startScope(title);
+      
+      let result;
       try {
-        await page.locator('button').first().click();
-        interactions.push('Successfully clicked first button');
-        await page.waitForTimeout(1000); // Wait for any animations
+        // Start every scenario from a fresh page
+        await scenarioPage.goto(scenario.startRoute ? new URL(scenario.startRoute, CONFIG.viteUrl).href : this.pageUrl());
+        await scenarioPage.waitForLoadState('networkidle');
+
+        const execution = await executeScenario(scenarioPage, scenario, {
+          callModel: (stage, request) => this.callModel(stage, request),
+          maxSteps: CONFIG.maxStepsPerScenario,
+          maxRetries: CONFIG.maxSchemaRetries,
+          routes: routes.map(route => route.route),
+          persona,
+          actionLog
+        });
+        
+        // Take screenshot after each test
+        const screenshot = `${this.screenshotPrefix()}${persona ? `-${persona.id}` : ''}-${scenario.name.replace(/\s+/g, '-')}.png`;
+        await scenarioPage.screenshot({ path: screenshot });
+        const runtime = await scenarioDiagnostics.finishScope();
+        runtimeScopes.push(runtime);
+        
+        result = {
+          scenario: scenario.name,
+          ...(persona ? { persona: persona.id } : {}),
+          // A scenario can't pass if the page crashed while running it
+          status: execution.verdict === 'pass' && !runtime.fatal ? 'passed' : 'failed',
+          expectedOutcome: scenario.expectedOutcome,
+          verdictReason: execution.reason,
+          interactions: execution.actions,
+          runtime,
+          screenshot
+        };
+        if (execution.verdict === 'pass' && !runtime.fatal) {
+          const startRoute = scenario.startRoute || (this.variant ? this.variant.route : '/');
+          result.spec = specFromExecution(scenario, execution, { startRoute, iteration: this.currentIteration, persona });
+        }
+        
       } catch (error) {
-        interactions.push(`Button click failed: ${error.message}`);
+        // A replay that ran off the cassette must not pass for a failing scenario
+        if (error instanceof CassetteMissError) {
+          // Close the scenario's recording context, keeping what it recorded so far
+          if (session) await finishSession(session, recording);
+          throw error;
+        }
+        const runtime = await scenarioDiagnostics.finishScope();
+        runtimeScopes.push(runtime);
+        result = {
+          scenario: scenario.name,
+          ...(persona ? { persona: persona.id } : {}),
+          status: 'failed',
+          error: error.message,
+          runtime
+        };
+      }
+      
+      if (recordingDir) {
+        result.recording = await this.saveRecording(result, recordingDir, { session, actionLog });
       }
+      testResults.push(result);
     }
+    return testResults;
+  }
+
+  // Finish a scenario's recordings and link them from its result, relative to the run
+  async saveRecording(result, dir, { session, actionLog }) {
+    const files = session ? await finishSession(session, CONFIG.recording) : {};
+    if (actionLog) {
+      files.actionLog = await writeActionLog(actionLog, dir, {
+        scenario: result.scenario,
+        ...(result.persona ? { persona: result.persona } : {}),
+        status: result.status,
+        reason: result.verdictReason ?? result.error
+      });
+    }
+    // What the feedback model is shown of a failed scenario
+    const frames = actionLog && result.status === 'failed' ? keyFrames(actionLog.entries, CONFIG.recording.keyFrames) : [];
+    
+    const relative = file => path.relative(this.runStore.dir, file);
+    return {
+      dir: relative(dir),
+      ...Object.fromEntries(Object.entries(files).map(([kind, file]) => [kind, relative(file)])),
+      ...(actionLog ? { steps: actionLog.entries.length } : {}),
+      ...(frames.length > 0 ? { keyFrames: frames.map(frame => ({ ...frame, screenshot: relative(path.join(dir, frame.screenshot)) })) } : {})
+    };
+  }
+
+  async replaySpecs(page, diagnostics, runtimeScopes, specs) {
+    console.log(`  🔁 Re-running ${specs.length} spec(s) from earlier iterations...`);
+    diagnostics.startScope('earlier specs');
+    const results = [];
+    for (const spec of specs) {
+      const result = await replaySpec(page, spec, CONFIG.viteUrl);
+      console.log(`    ${result.status === 'passed' ? '✅' : '❌'} ${spec.name}${result.error ? `: ${result.error}` : ''}`);
+      results.push(result);
+    }
+    runtimeScopes.push(await diagnostics.finishScope());
+    return results;
+  }
+
+  // Passed scenarios join the regression suite of the current line of design,
+  // which is kept as a Playwright spec file in the Vite project
+  async exportSpecs(testResults) {
+    if (!CONFIG.specsDir) return;
+    const key = this.variant?.id ?? null;
+    const suite = this.specSuites.get(key) || new Map();
+    for (const result of testResults.testResults.filter(result => result.spec)) {
+      suite.set(result.spec.name, result.spec);
+    }
+    this.specSuites.set(key, suite);
+    if (suite.size === 0) return;
     
-    // Try filling inputs
-    if (inputs > 0) {
+    const [name, title] = this.variant ? [this.variant.id, this.variant.id]
+      : CONFIG.multiPage ? [this.pagePlan.name, this.pagePlan.name]
+        : ['generated-prototype', 'GeneratedPrototype'];
+    const file = path.join(CONFIG.specsDir, `${name}.spec.ts`);
+    await writeSpecFile(projectPath(), file, [...suite.values()], title);
+    console.log(`🧾 ${suite.size} regression spec(s) saved to ${file}`);
+  }
+
+  // Open each route directly: does it render, and do its in-flow links point at real pages?
+  async checkPageRoutes(page, diagnostics, runtimeScopes, routes) {
+    console.log(`  Checking ${routes.length} route(s)...`);
+    const known = new Set(routes.map(route => route.route));
+    const prefix = `/${this.pagePlan.name}/`;
+    const results = [];
+    
+    for (const { route, file } of routes) {
+      diagnostics.startScope(`route ${route}`);
+      const screenshot = `screenshots/iteration-${this.currentIteration}-route${route.replace(/\//g, '-')}.png`;
       try {
-        await page.locator('input').first().fill('Test input');
-        interactions.push('Successfully filled first input');
+        await page.goto(new URL(route, CONFIG.viteUrl).href);
+        await page.waitForLoadState('networkidle');
+        await page.waitForFunction(() => document.getElementById('root')?.children.length > 0, null, { timeout: 5000 }).catch(() => {});
+        await page.screenshot({ path: screenshot });
+        
+        const notFound = await page.getByText('404 Page Not Found').first().isVisible().catch(() => false);
+        const links = await page.evaluate(() => [...document.querySelectorAll('a[href]')]
+          .map(link => new URL(link.href, location.href))
+          .filter(url => url.origin === location.origin)
+          .map(url => url.pathname.toLowerCase()));
+        const brokenLinks = [...new Set(links)].filter(link => link.startsWith(prefix) && !known.has(link.replace(/\/$/, '')));
+        const runtime = await diagnostics.finishScope();
+        runtimeScopes.push(runtime);
+        
+        const ok = !notFound && !runtime.fatal && brokenLinks.length === 0;
+        console.log(`    ${ok ? '✅' : '❌'} ${route}${notFound ? ' (not found)' : ''}${brokenLinks.length > 0 ? ` (broken links: ${brokenLinks.join(', ')})` : ''}`);
+        results.push({ route, file, renders: !notFound && !runtime.fatal, brokenLinks, runtime, screenshot });
       } catch (error) {
-        interactions.push(`Input fill failed: ${error.message}`);
+        const runtime = await diagnostics.finishScope();
+        runtimeScopes.push(runtime);
+        results.push({ route, file, renders: false, brokenLinks: [], error: error.message, runtime });
       }
     }
-    
-    return interactions;
+    return results;
   }
 
   async checkAccessibility(page) {
-    const checks = [];
-    
-    // Check for alt text on images
-    const imagesWithoutAlt = await page.locator('img:not([alt])').count();
-    checks.push(`Images without alt text: ${imagesWithoutAlt}`);
-    
-    // Check for heading structure
-    const headings = await page.locator('h1, h2, h3, h4, h5, h6').count();
-    checks.push(`Heading elements found: ${headings}`);
+    console.log('  Auditing accessibility...');
     
-    // Check for form labels
-    const unlabeledInputs = await page.locator('input:not([aria-label]):not([aria-labelledby])').count();
-    checks.push(`Unlabeled inputs: ${unlabeledInputs}`);
+    // Audit the page as first rendered, not as the last scenario left it
+    await page.goto(this.pageUrl());
+    await page.waitForLoadState('networkidle');
     
-    return checks;
+    const audit = await auditAccessibility(page);
+    audit.errors.forEach(error => console.log(`⚠️ Accessibility audit step failed: ${error}`));
+    console.log(`  ♿ Accessibility score: ${audit.score ?? 'unscored'} (${audit.findings.length} finding(s))`);
+    return audit;
   }
 
-  async getVisualDesignFeedback(screenshotPath, designPrompt) {
+  async getVisualDesignFeedback(screenshotPath, designPrompt, captures = [], layoutIssues = [], visualDiff = null) {
     console.log('🎨 Getting visual design feedback...');
     
     try {
-      const imageBuffer = await fs.readFile(screenshotPath);
-      const base64Image = imageBuffer.toString('base64');
+      // Review every viewport/theme capture when we have them, otherwise the single screenshot
+      const shots = captures.filter(capture => capture.screenshot);
+      const images = shots.length > 0
+        ? shots.map(capture => ({ label: capture.label || `${capture.name} (${capture.viewport.width}x${capture.viewport.height}, ${capture.colorScheme}${capture.reducedMotion === 'reduce' ? ', reduced motion' : ''})`, path: capture.screenshot }))
+        : [{ label: 'default', path: screenshotPath }];
+      
+      const imageContent = [];
+      for (const image of images) {
+        const imageBuffer = await fs.readFile(image.path);
+        imageContent.push(textPart(`Screenshot: ${image.label}`), imagePart(imageBuffer.toString('base64')));
+      }
+      
+      const changes = (visualDiff?.diffs || [])
+        .filter(change => change.pixelChange > 0)
+        .sort((a, b) => b.perceptualChange - a.perceptualChange)
+        .slice(0, MAX_REVIEWED_DIFFS);
+      const changeContent = [];
+      for (const change of changes) {
+        const [before, after, diff] = await Promise.all([
+          path.join(this.runStore.dir, change.before),
+          change.after,
+          path.join(this.runStore.dir, change.diff)
+        ].map(file => fs.readFile(file)));
+        changeContent.push(
+          textPart(`Change in ${change.key} since iteration ${visualDiff.baseIteration}: ${describeChange(change)}. Before, after, and the changed pixels in red:`),
+          imagePart(before.toString('base64')),
+          imagePart(after.toString('base64')),
+          imagePart(diff.toString('base64'))
+        );
+      }
+      const targeted = visualDiff?.targetedIssues || [];
       
-      const systemPrompt = `You are a UI/UX design expert analyzing a screenshot of a web interface. Provide detailed visual design feedback focusing on:
+      const systemPrompt = `You are a UI/UX design expert analyzing screenshots of a web interface. You may get several screenshots of the same page at different viewport sizes and color schemes; judge each one. Provide detailed visual design feedback focusing on:
 
 - Visual hierarchy and layout
 - Typography and readability
@@ -349,6 +1095,10 @@ Return a JSON object with this exact structure:
 - Component design and consistency
 - Overall aesthetic appeal
 - Accessibility considerations
+- Responsive layout: content that breaks, overflows, overlaps or gets cramped at a given breakpoint
+- Theme support: unreadable text, invisible borders or hard-coded light colors in dark mode
+
+When an issue only occurs in some screenshots, start it with the screenshot label in brackets, e.g. "[mobile-dark] Card text is unreadable against the background".
 
 CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
 
@@ -358,142 +1108,245 @@ Return a JSON object with this exact structure:
   "designPositives": ["Good visual aspect 1", "Good visual aspect 2"],
   "designIssues": ["Visual issue 1", "Visual issue 2"],
   "designImprovements": ["Visual suggestion 1", "Visual suggestion 2"],
-  "visualReasoning": "Detailed explanation of the visual design score"
+  "visualReasoning": "Detailed explanation of the visual design score",
+  "captureScores": { "mobile-light": 0.8, "desktop-dark": 0.9 }
 }
 
-Score should be between 0 and 1 (e.g., 0.85 for 85%).`;
+Score should be between 0 and 1 (e.g., 0.85 for 85%). visualScore is the overall score across all screenshots; captureScores has one entry per screenshot label.${changes.length > 0 ? `
+
+You also get before/after screenshots of what changed since the previous version, with the changed pixels highlighted. Judge whether the change was an improvement and add "changeVerdict": "improved", "regressed", "mixed" or "unchanged". The previous version was revised to fix the issues listed in the message; add "unexpectedChanges" with every large change none of them explains, e.g. ["[desktop-light] The navigation bar was removed"], or [] if there are none.` : ''}${this.dismissedFindings()}`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o",
+      const feedback = await this.callModelJson('visualReview', {
+        name: 'visual_feedback',
+        schema: VISUAL_FEEDBACK_SCHEMA,
+        system: systemPrompt,
         messages: [
-          { role: "system", content: systemPrompt },
-          { 
-            role: "user", 
+          {
+            role: 'user',
             content: [
-              {
-                type: "text",
-                text: `Design prompt: ${designPrompt}\n\nPlease analyze this screenshot and provide visual design feedback.`
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/png;base64,${base64Image}`
-                }
-              }
+              textPart(`Design prompt: ${designPrompt}\n\nPlease analyze ${images.length > 1 ? 'these screenshots' : 'this screenshot'} and provide visual design feedback.${layoutIssues.length > 0 ? `\n\nAutomated layout checks found:\n${layoutIssues.join('\n')}` : ''}${changes.length > 0 ? `\n\nThe previous version was revised to fix:\n${targeted.length > 0 ? targeted.map(issue => `- ${issue}`).join('\n') : '- (no specific issues)'}` : ''}`),
+              ...imageContent,
+              ...changeContent
             ]
           }
-        ],
-        temperature: 0.1
+        ]
       });
-
-      let content = response.choices[0].message.content.trim();
-      
-      // Try to extract JSON if the response includes extra text
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        content = jsonMatch[0];
-      }
       
-      try {
-        const feedback = JSON.parse(content);
+      if (feedback) {
+        // Measured layout breakage is always reported, whether or not the model noticed it;
+        // changes nobody asked for go to the next improvement to revert or justify
+        const unexpected = changes.length > 0 ? (feedback.unexpectedChanges || []) : [];
+        feedback.designIssues = [
+          ...feedback.designIssues,
+          ...layoutIssues,
+          ...unexpected.map(change => `Unexpected change since iteration ${visualDiff.baseIteration}: ${change}`)
+        ];
         console.log(`🎨 Visual design score: ${feedback.visualScore}`);
+        if (changes.length > 0 && feedback.changeVerdict) {
+          console.log(`🔍 Change since iteration ${visualDiff.baseIteration}: ${feedback.changeVerdict}${unexpected.length > 0 ? `, ${unexpected.length} unexpected` : ''}`);
+        }
         return feedback;
-      } catch (error) {
-        console.log('❌ Failed to parse visual feedback JSON, using fallback');
-        console.log('Raw response:', content);
-        
-        return {
-          visualScore: 0.5,
-          designPositives: ["Interface is visible and rendered"],
-          designIssues: ["Unable to analyze visual details"],
-          designImprovements: ["Ensure proper visual hierarchy"],
-          visualReasoning: "Fallback response due to JSON parsing error"
-        };
       }
+      
+      console.log('❌ No valid visual feedback, marking visual review as unscored');
+      return {
+        visualScore: null,
+        unscored: true,
+        designPositives: [],
+        designIssues: [...layoutIssues],
+        designImprovements: [],
+        visualReasoning: "The visual reviewer did not return valid feedback"
+      };
     } catch (error) {
+      if (error instanceof CassetteMissError) throw error;
       console.log('❌ Error analyzing screenshot:', error.message);
       return {
-        visualScore: 0.3,
+        visualScore: null,
+        unscored: true,
         designPositives: [],
-        designIssues: ["Screenshot could not be analyzed"],
-        designImprovements: ["Ensure screenshot is properly captured"],
-        visualReasoning: "Could not analyze screenshot"
+        designIssues: [...layoutIssues],
+        designImprovements: [],
+        visualReasoning: `Could not analyze screenshot: ${error.message}`
       };
     }
   }
 
-  async getLLMFeedback(testResults, testPlan, visualFeedback = null) {
-    console.log('🤖 Getting LLM feedback on test results...');
+  /**
+   * Compare each reference design with the screenshot of its viewport: a
+   * layout/structure similarity measured from the images, and a review of
+   * the deviations by a vision model. The fidelity score averages the two;
+   * it is null when the review wasn't valid.
+   */
+  async checkFidelity(testResults, designPrompt) {
+    console.log('📐 Comparing with the reference designs...');
     
-    const systemPrompt = `You are a UX testing expert analyzing test results and visual design feedback. Provide structured feedback on the prototype's usability.
+    const viewports = [];
+    const content = [textPart(`Design prompt: ${designPrompt}`)];
+    for (const reference of this.references) {
+      // The light, full-motion capture of the viewport, as designs are usually drawn
+      const captures = testResults.matrix.filter(capture => capture.screenshot &&
+        capture.name === [reference.viewport, capture.colorScheme, capture.reducedMotion === 'reduce' ? 'reduced-motion' : null].filter(Boolean).join('-'));
+      const capture = captures.find(capture => capture.colorScheme !== 'dark' && capture.reducedMotion !== 'reduce') || captures[0];
+      if (!capture) {
+        console.log(`⚠️ No ${reference.viewport} screenshot to compare with its reference design`);
+        continue;
+      }
+      
+      const [referenceImage, screenshot] = await Promise.all([path.join(this.runStore.dir, reference.file), capture.screenshot].map(file => fs.readFile(file)));
+      const similarity = compareWithReference(decodePng(referenceImage), decodePng(screenshot));
+      viewports.push({ viewport: reference.viewport, reference: reference.file, screenshot: capture.screenshot, ...similarity });
+      content.push(
+        textPart(`${reference.viewport}: the reference design, then the prototype (${capture.name}). Measured layout similarity ${similarity.layout}, structural similarity ${similarity.structure}.`),
+        imagePart(referenceImage.toString('base64')),
+        imagePart(screenshot.toString('base64'))
+      );
+    }
+    if (viewports.length === 0) return null;
+    
+    const systemPrompt = `You are a design QA reviewer comparing a rendered prototype with the reference design it should follow. For each viewport you get the reference design first, then a screenshot of the prototype at that viewport, with similarities (0-1) measured from the two images.
+
+Judge how faithfully the prototype follows the reference: layout and alignment, visual hierarchy, spacing, colors, typography, components, and content that is missing or added. Placeholder text and images that differ in wording or picture but play the same role are not deviations.
 
 CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
 
 Return a JSON object with this exact structure:
 {
-  "overallScore": 0.85,
-  "positives": ["Good thing 1", "Good thing 2"],
-  "issues": ["Issue 1", "Issue 2"],
-  "improvements": ["Suggestion 1", "Suggestion 2"],
-  "reasoning": "Detailed explanation of the score"
+  "fidelityScore": 0.7,
+  "matches": ["What follows the reference"],
+  "deviations": ["[mobile] The search field sits below the header; the reference puts it inside the header, right of the logo"],
+  "reasoning": "How the score was reached"
 }
 
-Score should be between 0 and 1 (e.g., 0.85 for 85%). Consider both functional testing results and visual design feedback if provided.`;
-
-    const userContent = `Test Plan: ${JSON.stringify(testPlan, null, 2)}\n\nTest Results: ${JSON.stringify(testResults, null, 2)}${visualFeedback ? `\n\nVisual Design Feedback: ${JSON.stringify(visualFeedback, null, 2)}` : ''}`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userContent }
-      ],
-      temperature: 0.1
-    });
-
-    let content = response.choices[0].message.content.trim();
+Start every deviation with its viewport in brackets and say what the reference shows instead, so a developer can fix it.`;
     
-    // Try to extract JSON if the response includes extra text
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      content = jsonMatch[0];
-    }
+    const review = await this.callModelJson('fidelityReview', {
+      name: 'fidelity',
+      schema: FIDELITY_SCHEMA,
+      system: systemPrompt,
+      messages: [{ role: 'user', content }]
+    });
     
-    try {
-      const feedback = JSON.parse(content);
-      console.log(`📊 Feedback score: ${feedback.overallScore}`);
-      return feedback;
-    } catch (error) {
-      console.log('❌ Failed to parse feedback JSON, using fallback');
-      console.log('Raw response:', content);
-      
-      // Fallback feedback
-      return {
-        overallScore: 0.5,
-        positives: ["Component loads successfully"],
-        issues: ["Unable to analyze detailed feedback"],
-        improvements: ["Try regenerating with clearer requirements"],
-        reasoning: "Fallback response due to JSON parsing error"
-      };
+    const similarity = Math.round(viewports.reduce((sum, viewport) => sum + viewport.similarity, 0) / viewports.length * 1000) / 1000;
+    if (!review) {
+      console.log('❌ No valid fidelity review, leaving fidelity unscored');
+      return { score: null, unscored: true, similarity, viewports, matches: [], deviations: [] };
     }
+    const score = Math.round((similarity + review.fidelityScore) / 2 * 1000) / 1000;
+    console.log(`📐 Fidelity to the reference designs: ${score}`);
+    return { score, similarity, reviewScore: review.fidelityScore, viewports, matches: review.matches, deviations: review.deviations, reasoning: review.reasoning };
   }
 
-  async improvePrototype(currentCode, feedback, visualFeedback) {
-    console.log('🔧 Improving prototype based on feedback...');
+  // Findings a designer rejected, for the reviewer prompts
+  dismissedFindings() {
+    if (this.rejectedFindings.length === 0) return '';
+    return `\n\nA designer rejected these findings from earlier iterations as wrong or unimportant. Don't report them again, in any wording:\n${this.rejectedFindings.map(finding => `- ${finding}`).join('\n')}`;
+  }
+
+  // One feedback per persona from their own scenario runs, then combined with every finding labelled by persona
+  async getPersonaFeedback(testResults, testPlan, visualFeedback) {
+    const sessions = [];
+    for (const persona of this.personas) {
+      const session = { ...testResults, testResults: testResults.testResults.filter(result => result.persona === persona.id) };
+      sessions.push({ persona, feedback: await this.getLLMFeedback(session, testPlan, visualFeedback, persona) });
+    }
+    const feedback = combinePersonaFeedback(sessions);
+    console.log(`📊 Combined persona score: ${feedback.overallScore ?? 'unscored'}`);
+    return feedback;
+  }
+
+  async getLLMFeedback(testResults, testPlan, visualFeedback = null, persona = null) {
+    console.log(persona ? `🤖 Getting feedback from the ${persona.name} session...` : '🤖 Getting LLM feedback on test results...');
     
-    const systemPrompt = `You are a React TypeScript developer improving a component based on UX and visual design feedback. 
+    const role = persona
+      ? `You are a UX researcher reporting on a usability session run by one tester persona. Judge the prototype from this person's point of view: what they managed, where they struggled and what stopped them. Score it for them, not for users in general.
 
-CRITICAL INSTRUCTIONS:
-- Return ONLY the raw TypeScript React code, no markdown formatting, no code blocks, no explanations
-- Do NOT wrap the code in \`\`\`jsx or \`\`\`tsx or any other formatting
-- The response should start directly with "import" and end with the component export
-- Keep the core functionality intact
+${describePersona(persona)}
+
+Analyze their test results and the visual design feedback. Provide structured feedback on the prototype's usability for this persona.`
+      : `You are a UX testing expert analyzing test results and visual design feedback. Provide structured feedback on the prototype's usability.`;
+    const systemPrompt = `${role}
+
+CRITICAL: Return ONLY valid JSON, no explanations or additional text. The response must start with { and end with }.
+
+Return a JSON object with this exact structure:
+{
+  "overallScore": 0.85,
+  "positives": ["Good thing 1", "Good thing 2"],
+  "issues": ["Issue 1", "Issue 2"],
+  "improvements": ["Suggestion 1", "Suggestion 2"],
+  "reasoning": "Detailed explanation of the score"
+}
+
+Score should be between 0 and 1 (e.g., 0.85 for 85%). Consider both functional testing results and visual design feedback if provided. Weigh the accessibility audit findings (axe-core violations, keyboard traversal, contrast) by their impact; critical and serious findings are real usability problems. Treat runtime diagnostics (uncaught exceptions, React render errors, the Vite error overlay, failed requests) as serious defects and list each one as an issue.${CONFIG.multiPage ? `
+
+This prototype is a multi-page flow. Judge the cross-page flows as a whole: can a user get from the first page to the last, is progress and entered data carried across pages, can they go back, and are there dead ends? Pages that don't render and broken links in the route checks are serious issues; name the page each issue belongs to.` : ''}${testResults.designSystem ? `
+
+The prototype must be built from the project's design-system components. List each design-system conformance finding (raw controls, re-implemented components) as an issue.` : ''}${testResults.specResults?.some(result => result.status === 'failed') ? `
+
+The spec results replay scenarios that passed in earlier iterations. Each failing spec is a regression, something that used to work and is broken now: list each one as a serious issue.` : ''}${this.dismissedFindings()}`;
+
+    const userContent = `${CONFIG.multiPage ? `Page Plan: ${JSON.stringify(this.pagePlan, null, 2)}\n\n` : ''}Test Plan: ${JSON.stringify(testPlan, null, 2)}\n\nTest Results: ${JSON.stringify(testResults, null, 2)}${visualFeedback ? `\n\nVisual Design Feedback: ${JSON.stringify(visualFeedback, null, 2)}` : ''}`;
+    
+    // What the tester saw at the key steps of each failed scenario
+    const frameContent = [];
+    for (const result of testResults.testResults.filter(result => result.recording?.keyFrames)) {
+      frameContent.push(textPart(`Key frames of the failed scenario "${result.scenario}"${result.persona ? ` (${result.persona})` : ''}:`));
+      for (const frame of result.recording.keyFrames) {
+        const image = await fs.readFile(path.join(this.runStore.dir, frame.screenshot)).catch(() => null);
+        if (image) {
+          frameContent.push(textPart(`Step ${frame.step}, ${frame.when}: ${frame.description}`), imagePart(image.toString('base64')));
+        }
+      }
+    }
+
+    const feedback = await this.callModelJson('feedback', {
+      name: 'feedback',
+      schema: FEEDBACK_SCHEMA,
+      system: frameContent.length > 0
+        ? `${systemPrompt}\n\nScreenshots of the page at key steps of the failed scenarios follow the results. Use them to tell a defect of the prototype from a mistake of the tester, and describe what went wrong on the page.`
+        : systemPrompt,
+      messages: [{ role: 'user', content: frameContent.length > 0 ? [textPart(userContent), ...frameContent] : userContent }]
+    });
+    
+    if (feedback) {
+      console.log(`📊 ${persona ? `${persona.name} score` : 'Feedback score'}: ${feedback.overallScore}`);
+      return feedback;
+    }
+    
+    // No made-up score: an unscored iteration never decides whether to stop
+    console.log('❌ No valid feedback, marking this iteration as unscored');
+    return {
+      overallScore: null,
+      unscored: true,
+      positives: [],
+      issues: [],
+      improvements: [],
+      reasoning: "The feedback model did not return valid feedback"
+    };
+  }
+
+  async improvePrototype(currentCode, feedback, visualFeedback, { runtimeErrors = [], accessibilityFindings = [], designSystemIssues = [], specRegressions = [], fidelityDeviations = [], review = null } = {}) {
+    console.log('🔧 Improving prototype based on feedback...');
+    
+    // A designer's review replaces the findings with the ones they accepted and adds their own direction
+    if (review) {
+      ({ feedback, visualFeedback } = curateFeedback(feedback, visualFeedback, review));
+    }
+    const rejected = review ? rejectedFindings(review) : [];
+    const direction = review ? [
+      ...review.instructions,
+      ...review.regions.map((region, i) => `In screenshot ${region.name}, the ${region.width}x${region.height} region at (${region.x}, ${region.y}) (image ${i + 1} below): ${region.note}`)
+    ] : [];
+    
+    const role = `You are a React TypeScript developer improving a ${CONFIG.multiPage ? 'multi-page prototype' : 'component'} based on UX and visual design feedback.`;
+    const brief = `- Keep the core functionality intact${this.designSystemInstructions()}
 - Address the specific issues mentioned in both UX and visual feedback
-- Implement the suggested improvements for both usability and visual design
+- Implement the suggested improvements for both usability and visual design${review ? `
+- A designer reviewed the findings: fix [High priority] ones first, and only address [Low priority] ones where it doesn't get in the way of the rest` : ''}
 - Use modern React patterns and Tailwind CSS
 - Use TypeScript with proper type annotations
 
-UX Issues to address:
+UX Issues to address${feedback.personas ? ' (each labelled with the tester persona who ran into it)' : ''}:
 ${feedback.issues.join('\n')}
 
 UX Improvements:
@@ -503,97 +1356,889 @@ Visual Design Issues to address:
 ${visualFeedback.designIssues.join('\n')}
 
 Visual Design Improvements:
-${visualFeedback.designImprovements.join('\n')}`;
+${visualFeedback.designImprovements.join('\n')}${direction.length > 0 ? `
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `Current component code:\n${currentCode}` }
-      ],
-      temperature: 0.3
+Designer direction (takes precedence over the feedback above):
+${direction.join('\n')}` : ''}${rejected.length > 0 ? `
+
+Findings the designer rejected (don't act on them, or on improvements that only serve them):
+${rejected.join('\n')}` : ''}${runtimeErrors.length > 0 ? `
+
+Runtime errors reported by the browser (fix these first):
+${runtimeErrors.join('\n')}` : ''}${specRegressions.length > 0 ? `
+
+Behavior that worked in an earlier iteration and is broken now (restore it without undoing the other improvements):
+${specRegressions.join('\n')}` : ''}${accessibilityFindings.length > 0 ? `
+
+Accessibility audit findings to fix:
+${accessibilityFindings.join('\n')}` : ''}${designSystemIssues.length > 0 ? `
+
+Design-system conformance issues to fix:
+${designSystemIssues.join('\n')}` : ''}${fidelityDeviations.length > 0 ? `
+
+Deviations from the reference design to fix:
+${fidelityDeviations.join('\n')}` : ''}`;
+
+    // Regions the designer pointed at are cropped out of the saved screenshots
+    const regionImages = [];
+    for (const [i, region] of (review?.regions || []).entries()) {
+      try {
+        const crop = cropPng(await fs.readFile(path.join(this.runStore.dir, region.screenshot)), region);
+        regionImages.push(textPart(`Image ${i + 1}: ${region.note}`), imagePart(crop.toString('base64')));
+      } catch (error) {
+        console.log(`⚠️ Could not crop ${region.name}: ${error.message}`);
+      }
+    }
+    const codeMessage = `Current ${CONFIG.multiPage ? 'prototype files' : 'component code'}:\n${currentCode}`;
+    const content = regionImages.length > 0 ? [textPart(codeMessage), ...regionImages] : codeMessage;
+    
+    // Targeted edits first; a full rewrite only when they don't apply cleanly
+    let fallback = null;
+    if (CONFIG.editMode === 'patch') {
+      const patch = await this.patchPrototype(currentCode, role, brief, content);
+      if (patch.code) {
+        await this.writePrototype(patch.code);
+        console.log(`✅ Prototype improved with ${patch.edits.length} edit(s) and saved`);
+        return { code: patch.code, mode: 'patch', edits: patch.edits };
+      }
+      console.log(`⚠️ ${patch.reason}, rewriting the ${CONFIG.multiPage ? 'changed files' : 'whole component'} instead`);
+      fallback = { fallbackReason: patch.reason, conflicts: patch.conflicts || [] };
+    }
+    
+    const outputInstructions = CONFIG.multiPage
+      ? bundleInstructions(this.pagePlan.name, { changedOnly: true })
+      : `- Return ONLY the raw TypeScript React code, no markdown formatting, no code blocks, no explanations
+- Do NOT wrap the code in \`\`\`jsx or \`\`\`tsx or any other formatting
+- The response should start directly with "import" and end with the component export`;
+    
+    const response = await this.callModel('improve', {
+      system: `${role}\n\nCRITICAL INSTRUCTIONS:\n${outputInstructions}\n${brief}`,
+      messages: [{ role: 'user', content }]
     });
+    const improvedCode = this.applyCodeChanges(currentCode, response);
+    
+    // Write improved version to Vite project
+    await this.writePrototype(improvedCode);
+    
+    console.log('✅ Prototype improved and saved');
+    return { code: improvedCode, mode: 'rewrite', ...fallback };
+  }
+
+  /**
+   * Ask for search/replace edits tied to the findings and apply them to the
+   * current code. Returns { code, edits }, or { reason, conflicts } when the
+   * model gave no valid edits or one of them doesn't apply.
+   */
+  async patchPrototype(currentCode, role, brief, content) {
+    const name = this.pagePlan?.name;
+    const fileInstructions = CONFIG.multiPage ? `
+- "file" is the path of the file to change, as in the FILE headers. To add a file, give its new path, an empty "search" and its complete contents as "replace"; only files in ${pagesDir(name)}/ and ${sharedDir(name)}/ can be added` : '';
+    
+    const systemPrompt = `${role} Change only what the findings need: return edits to the current code, not whole files.
 
-    let improvedCode = response.choices[0].message.content.trim();
+CRITICAL INSTRUCTIONS:
+- Return ONLY valid JSON, no explanations or additional text: {"edits": [{${CONFIG.multiPage ? '"file": "...", ' : ''}"issue": "...", "search": "...", "replace": "..."}]}
+- "search" is an exact excerpt of the current code: whole lines with their indentation, long enough to occur only once${CONFIG.multiPage ? ' in its file' : ''}
+- "replace" is what those lines become; an empty string deletes them. Keep each edit as small as its fix allows
+- "issue" is the finding the edit addresses, copied from the lists below
+- Edits are applied in order, so an edit touching code an earlier edit changed searches the changed code${fileInstructions}
+${brief}`;
     
-    // Strip markdown code blocks if they exist
-    improvedCode = improvedCode.replace(/^```[\w]*\n/, '').replace(/\n```$/, '');
+    const response = await this.callModelJson('improve', {
+      name: 'edits',
+      schema: EDITS_SCHEMA,
+      system: systemPrompt,
+      messages: [{ role: 'user', content }]
+    });
+    if (!response) return { reason: 'No valid edits returned' };
     
-    // Remove any leading/trailing explanatory text
-    const importMatch = improvedCode.match(/(import[\s\S]*export default [^;]+;?)/);
-    if (importMatch) {
-      improvedCode = importMatch[1];
+    const files = CONFIG.multiPage
+      ? new Map(parseBundle(currentCode).files.map(file => [file.path, file.content]))
+      : new Map([[this.sourceFile(), currentCode]]);
+    // A single component has one file, whatever the edit calls it
+    const edits = response.edits.map(edit => ({
+      ...edit,
+      file: CONFIG.multiPage ? (edit.file || '').trim().replace(/^\.?\//, '') : this.sourceFile()
+    }));
+    const { files: edited, applied, conflicts } = applyEdits(files, edits, {
+      canCreate: file => CONFIG.multiPage && isAllowedFile(file, name)
+    });
+    
+    if (conflicts.length > 0) {
+      conflicts.forEach(conflict => console.log(`  ⚠️ Edit ${conflict.edit} (${conflict.file}): ${conflict.reason}`));
+      return { reason: `${conflicts.length} of ${edits.length} edit(s) didn't apply`, conflicts };
     }
+    applied.forEach(edit => console.log(`  ✏️ ${edit.file} (-${edit.removed}/+${edit.added} lines): ${edit.issue}`));
+    const code = CONFIG.multiPage
+      ? serializeBundle([...edited].map(([file, fileContent]) => ({ path: file, content: fileContent })))
+      : edited.get(this.sourceFile());
+    return { code, edits: applied };
+  }
+
+  async repairPrototype(currentCode, diagnostics) {
+    const outputInstructions = CONFIG.multiPage
+      ? bundleInstructions(this.pagePlan.name, { changedOnly: true })
+      : `- Return ONLY the raw TypeScript React code, no markdown formatting, no code blocks, no explanations
+- Do NOT wrap the code in \`\`\`jsx or \`\`\`tsx or any other formatting
+- The response should start directly with "import" and end with the component export`;
     
-    // Write improved version to Vite project (.tsx file)
-    const componentPath = path.join(__dirname, CONFIG.viteProjectPath, 'src/components/GeneratedPrototype.tsx');
-    await fs.writeFile(componentPath, improvedCode);
+    const systemPrompt = `You are a React TypeScript developer fixing compiler and linter errors in a ${CONFIG.multiPage ? 'multi-page prototype' : 'component'}.
+
+CRITICAL INSTRUCTIONS:
+${outputInstructions}
+- Fix every error listed below without changing the component's behavior or design
+- Only import modules that exist in the project (react, lucide-react, @/components/ui/*, @/lib/utils)
+- Don't silence errors with @ts-ignore or eslint-disable comments
+
+Errors to fix:
+${formatDiagnostics(diagnostics)}`;
+
+    const response = await this.callModel('repair', {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: `Current ${CONFIG.multiPage ? 'prototype files' : 'component code'}:\n${currentCode}` }]
+    });
+    const repairedCode = this.applyCodeChanges(currentCode, response);
+
+    await this.writePrototype(repairedCode);
+    return repairedCode;
+  }
+
+  async verifyBuild(currentCode) {
+    console.log('🛠️ Type-checking and linting prototype...');
+
+    let code = currentCode;
+    let check = await checkPrototype(projectPath(), this.generatedFiles(code));
+    let attempts = 0;
+
+    check.skipped.forEach(reason => console.log(`⚠️ Skipped ${reason}`));
+
+    while (check.ok === false && attempts < CONFIG.maxRepairAttempts) {
+      attempts++;
+      console.log(`🔧 ${check.errors.length} error(s) found, repair attempt ${attempts}/${CONFIG.maxRepairAttempts}...`);
+      code = await this.repairPrototype(code, check.errors);
+      check = await checkPrototype(projectPath(), this.generatedFiles(code));
+    }
+
+    const buildStatus = {
+      compiled: check.ok,
+      repaired: check.ok === true && attempts > 0,
+      repairAttempts: attempts,
+      errors: check.errors,
+      warnings: check.warnings,
+      skipped: check.skipped
+    };
+
+    if (check.ok === null) {
+      console.log('⚠️ Build not checked: neither tsc nor eslint could run');
+    } else if (!check.ok) {
+      console.log(`❌ Still ${check.errors.length} error(s) after ${attempts} repair attempt(s), testing anyway`);
+    } else if (attempts > 0) {
+      console.log(`✅ Repaired after ${attempts} attempt(s)`);
+    } else {
+      console.log('✅ Compiled cleanly');
+    }
+
+    return { code, buildStatus };
+  }
+
+  async restoreVersion(iteration, runStore = this.runStore, variant = null) {
+    const code = await runStore.readVersion(iteration, variant);
+    await this.writePrototype(code, runStore);
+    return code;
+  }
+
+  async restoreFromRun(runId, iteration = null) {
+    const runStore = await RunStore.open(CONFIG.runsDir, runId);
+    // Of a tournament iteration, its best variant
+    const version = iteration === null
+      ? runStore.bestVersion()
+      : rankedResults(runStore.manifest.versions.filter(v => v.iteration === iteration))[0];
+    
+    if (!version) {
+      throw new Error(iteration === null
+        ? `Run "${runId}" has no scored versions`
+        : `Run "${runId}" has no iteration ${iteration}`);
+    }
+    
+    // Restore a run in the mode it was made in
+    CONFIG.multiPage = Boolean(savedSettings(runStore.manifest).multiPage);
+    if (CONFIG.multiPage) {
+      this.pagePlan = await runStore.readStage(1, 'pagePlan');
+    }
+    
+    await this.restoreVersion(version.iteration, runStore, version.variant ?? null);
+    console.log(`✅ Restored iteration ${version.iteration}${version.variant ? ` (${version.variant})` : ''} of ${runId} (score ${version.score}) to ${CONFIG.multiPage ? `${pagesDir(this.pagePlan.name)}/` : COMPONENT_FILE}`);
+    return version;
+  }
+
+  async startDevServer() {
+    const preferredPort = Number(new URL(CONFIG.viteUrl).port) || 5173;
+    this.devServer = new DevServer({
+      projectPath: path.resolve(__dirname, CONFIG.viteProjectPath),
+      port: preferredPort
+    });
+    
+    console.log('🌐 Starting Vite dev server...');
+    CONFIG.viteUrl = await this.devServer.start();
+    console.log(`✅ Vite dev server running at ${CONFIG.viteUrl}`);
+    
+    // Don't leave an orphaned server behind if the workflow dies or is interrupted
+    process.once('exit', () => this.devServer?.killNow());
+  }
+
+  async stopDevServer() {
+    if (!this.devServer) return;
+    await this.devServer.stop();
+    this.devServer = null;
+    console.log('🛑 Vite dev server stopped');
+  }
+
+  // Run a browser step; if our dev server died during it, restart and try once more
+  async withDevServer(step) {
+    await this.devServer?.ensureRunning();
+    try {
+      return await step();
+    } catch (error) {
+      if (!this.devServer || this.devServer.running) throw error;
+      console.log(`⚠️ Vite dev server went down during testing (${error.message.split('\n')[0]})`);
+      await this.devServer.ensureRunning();
+      CONFIG.viteUrl = this.devServer.url;
+      console.log('🔄 Retrying tests...');
+      return await step();
+    }
+  }
+
+  // Wait until Vite serves the code we just wrote instead of sleeping blindly
+  async waitForReload(code) {
+    await this.devServer?.ensureRunning();
+    let updated = true;
+    for (const file of this.sourceFiles(code)) {
+      updated = updated && await waitForModuleUpdate(CONFIG.viteUrl, file.path, file.content);
+    }
+    if (updated) {
+      console.log('✅ Vite is serving the latest component');
+    } else {
+      console.log('⚠️ Could not confirm Vite picked up the new component, waiting 2s');
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  }
+
+  screenshotsOf(testResults) {
+    return [
+      testResults.screenshot,
+      ...testResults.testResults.map(result => result.screenshot).filter(Boolean),
+      ...testResults.matrix.map(capture => capture.screenshot).filter(Boolean),
+      ...(testResults.routeChecks || []).map(check => check.screenshot).filter(Boolean)
+    ];
+  }
+
+  // Version the current iteration was improved from: the previous one, or
+  // the best before it when the previous one was rolled back
+  baseVersion(iteration) {
+    const previous = this.runStore.findVersion(iteration - 1, this.variant?.id ?? null);
+    return previous?.rolledBack ? this.runStore.bestVersion(iteration) : previous ?? null;
+  }
+
+  // Pixel and perceptual diffs of every screenshot against the version this one was improved from
+  async diffScreenshots(iteration, testResults) {
+    const base = this.baseVersion(iteration);
+    if (!base) return null;
+    
+    const variant = this.variant?.id ?? null;
+    const pairs = pairScreenshots(base.screenshots.map(file => path.join(this.runStore.dir, file)), this.screenshotsOf(testResults));
+    const diffs = await diffScreenshotPairs(pairs, this.runStore.diffDir(iteration, variant), { threshold: CONFIG.visualDiffThreshold });
+    const baseEntry = this.feedbackHistory.find(entry => entry.iteration === base.iteration && (entry.variant ?? null) === variant);
     
-    console.log('✅ Prototype improved and saved as .tsx');
-    return improvedCode;
+    const changed = diffs.filter(change => change.pixelChange > 0);
+    const large = diffs.filter(change => change.perceptualChange >= CONFIG.largeChangeThreshold);
+    console.log(`🔍 ${changed.length} of ${diffs.length} screenshot(s) changed since iteration ${base.iteration}${large.length > 0 ? `, large changes in ${large.map(change => change.key).join(', ')}` : ''}`);
+    return {
+      baseIteration: base.iteration,
+      // What the improvement was asked to fix; large changes elsewhere are unexpected
+      targetedIssues: baseEntry ? [...baseEntry.feedback.issues, ...baseEntry.visualFeedback.designIssues] : [],
+      diffs: diffs.map(change => ({
+        ...change,
+        before: path.relative(this.runStore.dir, change.before),
+        diff: path.relative(this.runStore.dir, change.diff),
+        large: change.perceptualChange >= CONFIG.largeChangeThreshold
+      }))
+    };
+  }
+
+  async listRuns() {
+    const runs = await RunStore.list(CONFIG.runsDir);
+    if (runs.length === 0) {
+      console.log(`No runs found in ${CONFIG.runsDir}`);
+      return runs;
+    }
+    
+    console.log(`Runs in ${CONFIG.runsDir}:\n`);
+    for (const run of runs) {
+      const best = run.versions.reduce((top, version) =>
+        typeof version.score === 'number' && (!top || version.score > top.score) ? version : top, null);
+      const prompt = (run.designPrompt || '').replace(/\s+/g, ' ');
+      console.log(`${run.runId}  ${run.startedAt}${run.status ? `  [${run.status}]` : ''}`);
+      console.log(`  ${run.versions.length} iteration(s), best: ${best ? `${best.score} (iteration ${best.iteration})` : 'n/a'}`);
+      console.log(`  ${prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt}`);
+    }
+    return runs;
   }
 
-  async runWorkflow(designPrompt, skipGeneration = false) {
+  async resumeRun(runId) {
+    const runStore = await RunStore.open(CONFIG.runsDir, runId);
+    const { manifest } = runStore;
+    
+    if (manifest.status === 'completed') {
+      console.log(`✅ ${runId} already completed; see ${path.join(runStore.dir, 'report.html')}`);
+      return;
+    }
+    
+    // Carry on with the settings the run started with, not the ones loaded now,
+    // except that --budget and --review given to resume still apply
+    const { budget, reviewEachIteration } = CONFIG;
+    Object.assign(CONFIG, structuredClone(savedSettings(manifest)));
+    CONFIG.budget = budget ?? CONFIG.budget;
+    CONFIG.reviewEachIteration ||= reviewEachIteration;
+    console.log(`⏯️ Resuming ${runId} (${manifest.status || 'unknown status'}${manifest.stage ? ` at iteration ${manifest.iteration}, stage "${manifest.stage}"` : ''})`);
+    await this.runWorkflow(manifest.designPrompt, manifest.skipGeneration, { runStore });
+  }
+
+  /**
+   * Run one workflow stage, or reuse its saved output if this run already got
+   * that far. Outputs are saved as soon as each stage finishes, so a crash or
+   * Ctrl-C never costs more than the stage in progress.
+   */
+  async runStage(iteration, stage, step, { onReuse } = {}) {
+    // Each variant of a tournament has stages of its own
+    const variant = this.variant?.id ?? null;
+    const saved = await this.runStore.readStage(iteration, stage, variant);
+    if (saved !== undefined) {
+      console.log(`⏩ Reusing saved ${stage} output (iteration ${iteration}${variant ? `, ${variant}` : ''})`);
+      await onReuse?.(saved);
+      return saved;
+    }
+    
+    await this.runStore.updateStatus({ status: 'running', iteration, variant, stage });
+    const result = await step();
+    await this.runStore.saveStage(iteration, stage, result, variant);
+    return result;
+  }
+
+  async saveReport({ designPrompt, finalIteration, finalCode, status }) {
+    const report = {
+      runId: this.runStore.runId,
+      status,
+      ...(this.stoppedBy ? { stoppedBy: this.stoppedBy } : {}),
+      designPrompt,
+      iterations: this.feedbackHistory,
+      ...(this.tournament ? { tournament: this.tournament } : {}),
+      finalIteration,
+      finalCode,
+      usage: { ...this.usage.summary(), budget: CONFIG.budget }
+    };
+    
+    await fs.writeFile('final-report.json', JSON.stringify(report, null, 2));
+    await fs.writeFile(path.join(this.runStore.dir, 'final-report.json'), JSON.stringify(report, null, 2));
+    console.log('📄 Final report saved to final-report.json');
+    
+    await writeHtmlReport(report, 'final-report.html', { runDir: this.runStore.dir });
+    await writeHtmlReport(report, path.join(this.runStore.dir, 'report.html'), { runDir: this.runStore.dir });
+    console.log('🖼️ HTML report saved to final-report.html');
+    return report;
+  }
+
+  // Record why a run stopped early and keep what it produced so far
+  async abortRun(status, error = null) {
+    if (!this.runStore || this.runStore.manifest.status === 'completed') return;
+    
+    await this.runStore.updateStatus({ status, error: error ? error.message : null });
+    let finalCode = null;
+    try {
+      finalCode = await this.readPrototype();
+    } catch {
+      // Nothing generated yet
+    }
+    await this.saveReport({
+      designPrompt: this.runStore.manifest.designPrompt,
+      finalIteration: this.feedbackHistory.at(-1)?.iteration ?? null,
+      finalCode,
+      status
+    });
+    console.log(`💾 Partial run saved. Continue it with: node orchestrator.js resume ${this.runStore.runId}`);
+  }
+
+  /**
+   * Whether another iteration would likely take the run over its budget,
+   * going by what the iterations so far cost on average.
+   */
+  budgetExceeded() {
+    if (CONFIG.budget === null || CONFIG.budget === undefined) return false;
+    
+    // Variants of one iteration count as one iteration
+    const completed = [...new Set(this.feedbackHistory.map(entry => entry.iteration))];
+    const projected = this.usage.projectedCost(completed);
+    if (projected <= CONFIG.budget) return false;
+    
+    console.log(`\n💸 Stopping: another iteration would bring spend to about ${formatCost(projected)}, over the ${formatCost(CONFIG.budget)} budget (spent ${formatCost(this.usage.totals().cost)})`);
+    this.stoppedBy = {
+      reason: 'budget',
+      budget: CONFIG.budget,
+      spent: this.usage.totals().cost,
+      projected,
+      afterIteration: this.currentIteration
+    };
+    return true;
+  }
+
+  printUsage() {
+    console.log('\n💰 Model usage by stage:');
+    for (const [stage, totals] of Object.entries(this.usage.byStage())) {
+      console.log(`  ${stage}: ${formatTotals(totals)}`);
+    }
+    console.log('💰 Model usage by iteration:');
+    for (const [iteration, totals] of Object.entries(this.usage.byIteration())) {
+      console.log(`  ${Number(iteration) === 0 ? 'setup' : `iteration ${iteration}`}: ${formatTotals(totals)}`);
+    }
+    console.log(`  Total: ${formatTotals(this.usage.totals())}${CONFIG.budget !== null ? ` (budget ${formatCost(CONFIG.budget)})` : ''}`);
+  }
+
+  handleInterrupt() {
+    const onInterrupt = async () => {
+      console.log('\n⏹️ Interrupted, saving partial report...');
+      try {
+        await this.abortRun('interrupted');
+      } catch (error) {
+        console.error('❌ Could not save partial report:', error.message);
+      }
+      await this.stopDevServer();
+      process.exit(130);
+    };
+    process.once('SIGINT', onInterrupt);
+    return () => process.removeListener('SIGINT', onInterrupt);
+  }
+
+  async generateVariants(designPrompt) {
+    console.log(`🎲 Generating ${CONFIG.variants} design variants...`);
+    const lines = [];
+    for (let number = 1; number <= CONFIG.variants; number++) {
+      this.variant = variantOf(number);
+      console.log(`\n🎲 ${this.variant.id} (${this.variant.route})`);
+      const code = await this.runStage(1, 'generate', () => this.generatePrototype(designPrompt, { variant: number }), {
+        onReuse: saved => this.writePrototype(saved)
+      });
+      lines.push({ variant: this.variant, code });
+    }
+    this.variant = null;
+    return lines;
+  }
+
+  /**
+   * Build, test, review and score one version of the prototype (the current
+   * variant's, in a tournament) and record it in the history and run store.
+   */
+  async evaluateVersion(iteration, code, designPrompt) {
+    const { variant } = this;
+    const build = await this.runStage(iteration, 'build', () => this.verifyBuild(code), {
+      onReuse: saved => this.writePrototype(saved.code)
+    });
+    code = build.code;
+    
+    await this.waitForReload(code);
+    
+    const testPlan = await this.runStage(iteration, 'testPlan', () => this.generateTestPlan(code));
+    const routes = CONFIG.multiPage ? this.flowRoutes(code) : [];
+    const specs = CONFIG.specsDir ? [...(this.specSuites.get(variant?.id ?? null)?.values() || [])] : [];
+    const testResults = await this.runStage(iteration, 'tests', () => this.withDevServer(() => this.runPlaywrightTests(testPlan, { routes, specs, code })));
+    testResults.buildStatus = build.buildStatus;
+    const designSystem = this.designInventory ? this.checkDesignSystem(code) : null;
+    if (designSystem) {
+      testResults.designSystem = designSystem;
+    }
+    // Multi-page flows get a screenshot of every page reviewed as well
+    const captures = [
+      ...testResults.matrix,
+      ...(testResults.routeChecks || []).map(check => ({ label: `page ${check.route}`, screenshot: check.screenshot }))
+    ];
+    const visualDiff = CONFIG.visualDiff
+      ? await this.runStage(iteration, 'visualDiff', () => this.diffScreenshots(iteration, testResults))
+      : null;
+    const visualFeedback = await this.runStage(iteration, 'visualFeedback', () =>
+      this.getVisualDesignFeedback(testResults.screenshot, designPrompt, captures, testResults.layoutIssues, visualDiff));
+    const fidelity = this.references.length > 0
+      ? await this.runStage(iteration, 'fidelity', () => this.checkFidelity(testResults, designPrompt))
+      : null;
+    const feedback = await this.runStage(iteration, 'feedback', () => this.personas.length > 0
+      ? this.getPersonaFeedback(testResults, testPlan, visualFeedback)
+      : this.getLLMFeedback(testResults, testPlan, visualFeedback));
+    // A reviewer can still repeat a rejected finding word for word
+    feedback.issues = withoutRejected(feedback.issues, this.rejectedFindings);
+    visualFeedback.designIssues = withoutRejected(visualFeedback.designIssues, this.rejectedFindings);
+    
+    // A crashing page can't be a good prototype, whatever the model thinks
+    if (testResults.runtimeDiagnostics.fatal && !feedback.unscored && feedback.overallScore > CONFIG.runtimeErrorScoreCap) {
+      console.log(`⛔ Fatal runtime error, capping score ${feedback.overallScore} at ${CONFIG.runtimeErrorScoreCap}`);
+      feedback.uncappedScore = feedback.overallScore;
+      feedback.overallScore = CONFIG.runtimeErrorScoreCap;
+    }
+    
+    // The score is the rubric's weighted average of what was measured and reviewed
+    const rubric = scoreRubric(measureCriteria({ testResults, feedback, visualFeedback, fidelity }, CONFIG.rubric), CONFIG.rubric);
+    
+    // Scores built on a fallback response are kept out of every decision
+    const unscoredReasons = [...new Set([
+      testPlan.fallback && 'no valid test plan, generic scenarios were used',
+      visualFeedback.unscored && 'no valid visual review',
+      feedback.unscored && 'no valid feedback',
+      ...missingReasons(rubric.missing)
+    ].filter(Boolean))];
+    const score = unscoredReasons.length === 0 ? rubric.score : null;
+    const blocking = blockingIssues(testResults);
+    const unmet = unmetConditions({ score, criteria: rubric.criteria, testResults }, { threshold: CONFIG.feedbackThreshold, stopRules: CONFIG.stopRules });
+    
+    // Variants compete with each other instead of rolling back
+    const previousBest = variant ? null : this.runStore.bestVersion(iteration);
+    const regressed = Boolean(CONFIG.rollbackOnRegression && previousBest && score !== null && score < previousBest.score);
+    
+    // Where each scenario's session can be replayed
+    const recordings = testResults.testResults.filter(result => result.recording).map(result => ({
+      scenario: result.scenario,
+      ...(result.persona ? { persona: result.persona } : {}),
+      status: result.status,
+      ...result.recording
+    }));
+    
+    const historyEntry = {
+      iteration,
+      ...(variant ? { variant: variant.id } : {}),
+      score,
+      ...(score === null ? { unscored: true, unscoredReasons } : {}),
+      rubric: {
+        criteria: rubric.criteria,
+        ...(blocking.length > 0 ? { blockingIssues: blocking } : {}),
+        unmet
+      },
+      buildStatus: build.buildStatus,
+      runtimeDiagnostics: testResults.runtimeDiagnostics,
+      accessibilityScore: testResults.accessibilityResults.score,
+      accessibility: testResults.accessibilityResults,
+      ...(designSystem ? { designSystem } : {}),
+      ...(testResults.specResults?.length > 0 ? { specResults: testResults.specResults } : {}),
+      ...(visualDiff ? { visualDiff } : {}),
+      ...(fidelity ? { fidelity } : {}),
+      ...(recordings.length > 0 ? { recordings } : {}),
+      feedback,
+      visualFeedback,
+      ...(regressed ? { rolledBack: true } : {})
+    };
+    this.feedbackHistory.push(historyEntry);
+    // Neither a discarded version nor generic fallback scenarios describe behavior worth keeping
+    if (!regressed && !testPlan.fallback) {
+      await this.exportSpecs(testResults);
+    }
+    
+    // A replayed iteration keeps the screenshots it saved the first time;
+    // the shared screenshots folder has been overwritten since
+    const version = this.runStore.findVersion(iteration, variant?.id) ||
+      await this.runStore.saveVersion(iteration, code, {
+        ...(variant ? { variant: variant.id } : {}),
+        score,
+        visualScore: visualFeedback.visualScore,
+        accessibilityScore: testResults.accessibilityResults.score,
+        screenshots: this.screenshotsOf(testResults),
+        ...(recordings.length > 0 ? { recordings } : {}),
+        ...(regressed ? { rolledBack: true } : {})
+      });
+    historyEntry.screenshots = version.screenshots;
+    await this.runStore.saveHistory(this.feedbackHistory);
+    
+    console.log(`\n📊 Iteration ${iteration}${variant ? ` ${variant.id}` : ''} Results:`);
+    console.log(`Overall Score: ${score ?? `unscored (${unscoredReasons.join('; ')})`}`);
+    console.log(`Criteria: ${formatCriteria(rubric.criteria)}`);
+    if (score !== null && unmet.length > 0) {
+      console.log(`Quality Bar: not met (${unmet.join('; ')})`);
+    }
+    if (feedback.personas) {
+      console.log(`Persona Scores: ${feedback.personas.map(session => `${session.name} ${session.overallScore ?? 'unscored'}`).join(', ')}`);
+    }
+    console.log(`Visual Score: ${visualFeedback.visualScore ?? 'unscored'}`);
+    if (visualDiff?.diffs.length > 0) {
+      const largest = Math.max(...visualDiff.diffs.map(change => change.perceptualChange));
+      console.log(`Visual Change: ${Math.round(largest * 100)}% of the most changed screenshot since iteration ${visualDiff.baseIteration}${visualFeedback.changeVerdict ? ` (${visualFeedback.changeVerdict})` : ''}`);
+    }
+    if (fidelity) {
+      console.log(`Fidelity: ${fidelity.score ?? 'unscored'} (measured similarity ${fidelity.similarity}${fidelity.unscored ? '' : `, reviewer ${fidelity.reviewScore}`})`);
+    }
+    console.log(`Accessibility Score: ${testResults.accessibilityResults.score ?? 'unscored'}`);
+    if (recordings.length > 0) {
+      console.log(`Recordings: ${recordings.length} scenario session(s) in ${this.runStore.recordingDir(iteration, variant?.id ?? null)}`);
+    }
+    if (testResults.specResults?.length > 0) {
+      console.log(`Earlier Specs: ${testResults.specResults.filter(result => result.status === 'passed').length}/${testResults.specResults.length} passing`);
+    }
+    console.log(`Cost: ${formatTotals(this.usage.iterationTotals(iteration))}`);
+    console.log(`Build: ${build.buildStatus.compiled === null ? 'not checked' : build.buildStatus.compiled ? (build.buildStatus.repaired ? `repaired in ${build.buildStatus.repairAttempts} attempt(s)` : 'compiled cleanly') : 'failing'}`);
+    console.log(`Positives: ${feedback.positives.join(', ')}`);
+    console.log(`Issues: ${feedback.issues.join(', ')}`);
+    console.log(`Visual Issues: ${visualFeedback.designIssues.join(', ')}`);
+    
+    return { code, score, unmet, feedback, visualFeedback, fidelity, testResults, designSystem, regressed, previousBest, entry: historyEntry };
+  }
+
+  // The best score of every iteration so far, null for unscored ones
+  iterationScores() {
+    const scores = [];
+    for (const { iteration, score } of this.feedbackHistory) {
+      const best = scores[iteration - 1] ?? null;
+      scores[iteration - 1] = typeof score === 'number' && (best === null || score > best) ? score : best;
+    }
+    return Array.from(scores, score => score ?? null);
+  }
+
+  // Record a tournament round; after the first, only the best `keepVariants` go on
+  rankVariants(iteration, results, lines) {
+    const ranked = rankedResults(results);
+    const survivors = iteration === 1 ? ranked.slice(0, CONFIG.keepVariants) : ranked;
+    this.tournament.rounds.push({
+      iteration,
+      results: ranked.map(result => ({
+        variant: result.line.variant.id,
+        route: result.line.variant.route,
+        score: result.score,
+        visualScore: result.visualFeedback.visualScore,
+        kept: survivors.includes(result)
+      }))
+    });
+    
+    const eliminated = ranked.filter(result => !survivors.includes(result));
+    if (eliminated.length > 0) {
+      console.log(`\n🏁 Keeping ${survivors.map(result => `${result.line.variant.id} (${result.score ?? 'unscored'})`).join(', ')}; eliminated ${eliminated.map(result => result.line.variant.id).join(', ')}`);
+    }
+    return lines.filter(line => survivors.some(result => result.line === line));
+  }
+
+  // End of a tournament: the best version of the surviving (or chosen) variants becomes the prototype
+  async promoteWinner(lines) {
+    const contenders = this.tournament.winner ? [this.tournament.winner] : lines.map(line => line.variant.id);
+    const ofContenders = version => contenders.includes(version.variant);
+    const latest = this.runStore.manifest.versions.filter(version => version.iteration === this.currentIteration && ofContenders(version));
+    const best = CONFIG.keepBestVersion
+      ? this.runStore.bestVersion(Infinity, ofContenders)
+      : rankedResults(latest)[0];
+    const version = best || latest[0];
+    
+    this.tournament.winner = version.variant;
+    this.tournament.chosenBy ??= 'score';
+    this.tournament.final = { variant: version.variant, iteration: version.iteration, score: version.score };
+    console.log(`🏆 ${version.variant} wins with iteration ${version.iteration} (score ${version.score ?? 'unscored'}), saving it as ${COMPONENT_FILE}`);
+    
+    const code = await this.restoreVersion(version.iteration, this.runStore, version.variant);
+    const removed = await this.removeVariantPages(this.runStore);
+    if (removed.length > 0) {
+      console.log(`🧹 Removed ${removed.length} variant page(s) from ${VARIANTS_DIR}/`);
+    }
+    return { finalIteration: version.iteration, code };
+  }
+
+  // Variant pages that still hold a version from the run; the run store keeps every one of them
+  async removeVariantPages(runStore) {
+    const removed = [];
+    const variants = [...new Set(runStore.manifest.versions.map(version => version.variant).filter(Boolean))];
+    for (const variant of variants) {
+      const file = `${VARIANTS_DIR}/${variant}.tsx`;
+      const current = await fs.readFile(path.resolve(projectPath(), file), 'utf8').catch(() => null);
+      if (current === null) continue;
+      
+      const versions = runStore.manifest.versions.filter(version => version.variant === variant);
+      const codes = await Promise.all(versions.map(version => runStore.readVersion(version.iteration, variant).catch(() => null)));
+      if (codes.includes(current)) {
+        await fs.rm(path.resolve(projectPath(), file));
+        removed.push(file);
+      }
+    }
+    await fs.rmdir(path.resolve(projectPath(), VARIANTS_DIR)).catch(() => {});
+    return removed;
+  }
+
+  // Delete a run along with the pages it left in the Vite project
+  async discardRun(runId) {
+    const runStore = await RunStore.open(CONFIG.runsDir, runId);
+    const removed = [];
+    
+    if (savedSettings(runStore.manifest).multiPage) {
+      const plan = await runStore.readStage(1, 'pagePlan');
+      const flow = plan ? await readFlowManifest(projectPath(), plan.name) : null;
+      if (flow?.runId === runId) {
+        removed.push(...await removeFlow(projectPath(), plan.name));
+      } else if (flow) {
+        console.log(`⚠️ Keeping ${pagesDir(plan.name)}/: it was last written by ${flow.runId ?? 'another run'}`);
+      }
+    }
+    removed.push(...await this.removeVariantPages(runStore));
+    
+    await fs.rm(runStore.dir, { recursive: true, force: true });
+    console.log(`🗑️ Discarded ${runId}${removed.length > 0 ? ` and removed ${removed.length} file(s) it wrote to the Vite project` : ''}`);
+    return removed;
+  }
+
+  async runWorkflow(designPrompt, skipGeneration = false, { runStore = null } = {}) {
     console.log('🚀 Starting agentic prototyping workflow...');
     console.log(`Design prompt: ${designPrompt}\n`);
     
+    // A misspelt persona should fail before anything is generated
+    this.personas = CONFIG.personas.length > 0 ? await loadPersonas(CONFIG.personas, [CONFIG.personasDir, BUILTIN_PERSONAS_DIR]) : [];
+    if (this.personas.length > 0) {
+      console.log(`👥 Testing as ${this.personas.map(persona => persona.name).join(', ')}`);
+    }
+    // So is a reference design that can't be read; a resumed run has its own copies
+    const references = !runStore && CONFIG.references.length > 0 ? await loadReferences(CONFIG.references, CONFIG.viewports) : [];
+    const reviewing = CONFIG.reviewEachIteration && CONFIG.allowHumanInput;
+    if (CONFIG.reviewEachIteration && !reviewing) {
+      console.log('⚠️ Human input is off, improving without the review console');
+    }
+    
     // Create screenshots directory
     await fs.mkdir('screenshots', { recursive: true });
+    this.runStore = runStore || await RunStore.create(CONFIG.runsDir, {
+      designPrompt,
+      skipGeneration,
+      config: runSettings(),
+      sourceFile: CONFIG.multiPage ? BUNDLE_SOURCE_FILE : DEFAULT_SOURCE_FILE
+    });
+    this.references = runStore ? (this.runStore.manifest.references || []) : await this.runStore.saveReferences(references);
+    if (this.references.length > 0) {
+      console.log(`📐 Following reference designs for ${this.references.map(reference => reference.viewport).join(', ')}`);
+    }
+    this.feedbackHistory = [];
+    this.specSuites = new Map();
+    this.rejectedFindings = [];
+    // Calls made before an interruption still count towards the budget
+    this.usage = new UsageTracker(CONFIG.prices, (await this.runStore.readUsage()).calls);
+    this.stoppedBy = null;
+    console.log(`🗂️ Saving iterations to ${this.runStore.dir}`);
+    const removeInterruptHandler = this.handleInterrupt();
     
-    let currentCode;
-    if (skipGeneration) {
-      console.log('⏭️ Skipping prototype generation, using existing component...');
-      // Read existing component
-      const componentPath = path.join(__dirname, CONFIG.viteProjectPath, 'src/components/GeneratedPrototype.tsx');
-      try {
-        currentCode = await fs.readFile(componentPath, 'utf8');
-        console.log('✅ Using existing prototype component');
-      } catch (error) {
-        console.log('❌ No existing component found, generating new one...');
-        currentCode = await this.generatePrototype(designPrompt);
+    if (CONFIG.startDevServer && !this.devServer) {
+      await this.startDevServer();
+    }
+    
+    this.designInventory = null;
+    if (CONFIG.designSystem) {
+      const inventory = await readInventory(projectPath());
+      if (inventory.modules.length > 0) {
+        this.designInventory = inventory;
+        console.log(`🧩 Design system: ${inventory.modules.length} component module(s) in ${inventory.alias}`);
+      } else {
+        console.log(`⚠️ No design-system components found in ${inventory.alias}, generating without them`);
       }
+    }
+    
+    if (CONFIG.multiPage) {
+      this.pagePlan = await this.runStage(1, 'pagePlan', () => skipGeneration ? this.pagePlanFromDisk() : this.planPages(designPrompt));
+    }
+    
+    // A tournament develops several designs side by side; otherwise there is a single line
+    this.tournament = null;
+    let lines;
+    if (CONFIG.variants > 1 && !skipGeneration) {
+      this.tournament = { variants: CONFIG.variants, keep: CONFIG.keepVariants, rounds: [], winner: null, chosenBy: null };
+      lines = await this.generateVariants(designPrompt);
     } else {
-      currentCode = await this.generatePrototype(designPrompt);
+      if (CONFIG.variants > 1) {
+        console.log('⚠️ Variants need generation, testing the existing component only');
+      }
+      const code = await this.runStage(1, 'generate', async () => {
+        if (skipGeneration) {
+          console.log('⏭️ Skipping prototype generation, using existing component...');
+          // Read existing component
+          try {
+            const existingCode = await this.readPrototype();
+            console.log('✅ Using existing prototype component');
+            return existingCode;
+          } catch (error) {
+            console.log('❌ No existing component found, generating new one...');
+          }
+        }
+        return this.generatePrototype(designPrompt);
+      }, { onReuse: code => this.writePrototype(code) });
+      lines = [{ variant: null, code }];
     }
     
     for (let i = 0; i < CONFIG.maxIterations; i++) {
       this.currentIteration = i + 1;
-      console.log(`\n🔄 Iteration ${this.currentIteration}/${CONFIG.maxIterations}`);
+      const iteration = this.currentIteration;
+      console.log(`\n🔄 Iteration ${iteration}/${CONFIG.maxIterations}`);
       
-      // Wait a moment for Vite to reload
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const results = [];
+      for (const line of lines) {
+        this.variant = line.variant;
+        if (line.variant) {
+          console.log(`\n🎲 ${line.variant.id} (${line.variant.route})`);
+        }
+        const result = await this.evaluateVersion(iteration, line.code, designPrompt);
+        line.code = result.code;
+        results.push({ line, ...result });
+      }
+      this.variant = null;
       
-      const testPlan = await this.generateTestPlan(currentCode);
-      const testResults = await this.runPlaywrightTests(testPlan);
-      const visualFeedback = await this.getVisualDesignFeedback(testResults.screenshot, designPrompt);
-      const feedback = await this.getLLMFeedback(testResults, testPlan, visualFeedback);
+      if (this.tournament) {
+        lines = this.rankVariants(iteration, results, lines);
+      }
+      // The best-scoring line decides whether the run is done
+      const [lead] = rankedResults(results);
+      const { feedback, visualFeedback } = lead;
       
-      this.feedbackHistory.push({
-        iteration: this.currentIteration,
-        score: feedback.overallScore,
-        feedback,
-        visualFeedback
-      });
+      // Iterations that don't move the score anymore aren't worth paying for
+      if (i < CONFIG.maxIterations - 1 && lead.unmet.length > 0 && plateaued(this.iterationScores(), CONFIG.stopRules)) {
+        console.log(`\n📉 The score hasn't improved by more than ${CONFIG.stopRules.plateauDelta} in ${CONFIG.stopRules.plateau} iteration(s), stopping`);
+        this.stoppedBy = { reason: 'plateau', afterIteration: iteration, iterations: CONFIG.stopRules.plateau };
+        break;
+      }
       
-      console.log(`\n📊 Iteration ${this.currentIteration} Results:`);
-      console.log(`Overall Score: ${feedback.overallScore}`);
-      console.log(`Visual Score: ${visualFeedback.visualScore}`);
-      console.log(`Positives: ${feedback.positives.join(', ')}`);
-      console.log(`Issues: ${feedback.issues.join(', ')}`);
-      console.log(`Visual Issues: ${visualFeedback.designIssues.join(', ')}`);
+      if (lead.regressed) {
+        const { previousBest } = lead;
+        console.log(`\n↩️ Score dropped below iteration ${previousBest.iteration} (${previousBest.score}), discarding this version`);
+        lead.line.code = await this.restoreVersion(previousBest.iteration);
+        
+        // Retry the improvement from the best version and its feedback
+        if (i < CONFIG.maxIterations - 1) {
+          if (this.budgetExceeded()) break;
+          const best = this.feedbackHistory.find(entry => entry.iteration === previousBest.iteration);
+          lead.line.code = await this.improveStage(iteration, lead.entry, () => this.improvePrototype(lead.line.code, best.feedback, best.visualFeedback, {
+            runtimeErrors: best.runtimeDiagnostics.errors,
+            accessibilityFindings: best.accessibility.findings.map(formatFinding),
+            designSystemIssues: (best.designSystem?.findings || []).map(finding => finding.message),
+            specRegressions: failedSpecs(best.specResults),
+            fidelityDeviations: best.fidelity?.deviations,
+            review: best.review
+          }));
+        }
+        continue;
+      }
       
-      // Check if we've reached the threshold
-      if (feedback.overallScore >= CONFIG.feedbackThreshold) {
-        console.log(`\n🎉 Success! Reached feedback threshold of ${CONFIG.feedbackThreshold}`);
+      // Check if we've reached the threshold and the rest of the quality bar
+      if (lead.unmet.length === 0) {
+        console.log(`\n🎉 Success! Reached feedback threshold of ${CONFIG.feedbackThreshold}${lead.line.variant ? ` with ${lead.line.variant.id}` : ''}`);
         
         // Check if there are still issues and ask human if they want to continue
         const hasIssues = (feedback.issues && feedback.issues.length > 0) || 
                          (visualFeedback.designIssues && visualFeedback.designIssues.length > 0);
         
         if (hasIssues && i < CONFIG.maxIterations - 1) {
-          const shouldContinue = await this.askHumanInput(feedback, visualFeedback);
-          if (!shouldContinue) {
-            break;
+          if (lines.length > 1) {
+            const choice = await this.runStage(iteration, 'variantChoice', () => this.askVariantChoice(rankedResults(results).filter(result => lines.includes(result.line))));
+            if (choice.winner) {
+              lines = lines.filter(line => line.variant.id === choice.winner);
+              this.tournament.winner = choice.winner;
+              this.tournament.chosenBy = 'human';
+            }
+            if (!choice.continue) {
+              break;
+            }
+          } else {
+            const shouldContinue = await this.runStage(iteration, 'humanDecision', () => this.askHumanInput(feedback, visualFeedback));
+            if (!shouldContinue) {
+              break;
+            }
           }
         } else {
           break;
@@ -602,51 +2247,174 @@ ${visualFeedback.designImprovements.join('\n')}`;
       
       // Improve for next iteration
       if (i < CONFIG.maxIterations - 1) {
-        currentCode = await this.improvePrototype(currentCode, feedback, visualFeedback);
+        if (this.budgetExceeded()) break;
+        for (const result of results.filter(result => lines.includes(result.line))) {
+          this.variant = result.line.variant;
+          if (reviewing) {
+            const review = await this.runStage(iteration, 'review', () => this.reviewFindings(result.entry));
+            await this.recordReview(result.entry, review);
+            if (review.stop) {
+              console.log(`\n✋ Stopped by the designer after iteration ${iteration}`);
+              this.stoppedBy = { reason: 'designer', afterIteration: iteration };
+              break;
+            }
+          }
+          result.line.code = await this.improveStage(iteration, result.entry, () => this.improvePrototype(result.line.code, result.feedback, result.visualFeedback, {
+            runtimeErrors: result.testResults.runtimeDiagnostics.errors,
+            accessibilityFindings: result.testResults.accessibilityResults.findings.map(formatFinding),
+            designSystemIssues: (result.designSystem?.findings || []).map(finding => finding.message),
+            specRegressions: failedSpecs(result.testResults.specResults),
+            fidelityDeviations: result.fidelity?.deviations,
+            review: result.entry.review
+          }));
+        }
+        this.variant = null;
+        if (this.stoppedBy) break;
       }
     }
     
     console.log('\n📈 Final Results:');
     this.feedbackHistory.forEach(entry => {
-      console.log(`Iteration ${entry.iteration}: ${entry.score}`);
+      console.log(`Iteration ${entry.iteration}${entry.variant ? ` ${entry.variant}` : ''}: ${entry.score ?? 'unscored'}${entry.rolledBack ? ' (rolled back)' : ''}`);
     });
+    this.printUsage();
+    
+    let finalIteration = this.currentIteration;
+    let currentCode;
+    if (this.tournament) {
+      ({ finalIteration, code: currentCode } = await this.promoteWinner(lines));
+    } else {
+      currentCode = lines[0].code;
+      const best = this.runStore.bestVersion();
+      if (CONFIG.keepBestVersion && best && best.iteration !== this.currentIteration) {
+        console.log(`🏆 Keeping iteration ${best.iteration} (score ${best.score}) as the final version`);
+        currentCode = await this.restoreVersion(best.iteration);
+        finalIteration = best.iteration;
+      }
+    }
     
     // Close readline interface
     this.closeInput();
     
     // Save final report
-    const report = {
-      designPrompt,
-      iterations: this.feedbackHistory,
-      finalCode: currentCode
-    };
+    await this.saveReport({ designPrompt, finalIteration, finalCode: currentCode, status: 'completed' });
+    await this.runStore.updateStatus({ status: 'completed', stage: null, error: null, stoppedBy: this.stoppedBy?.reason ?? null });
+    removeInterruptHandler();
     
-    await fs.writeFile('final-report.json', JSON.stringify(report, null, 2));
-    console.log('📄 Final report saved to final-report.json');
+    await this.stopDevServer();
+  }
+
+  async regenerateReport(reportPath) {
+    const report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    
+    // Screenshots and per-iteration source live in the run directory, if it's still around
+    let runDir = null;
+    if (report.runId) {
+      const candidate = path.join(CONFIG.runsDir, report.runId);
+      try {
+        await fs.access(candidate);
+        runDir = candidate;
+      } catch {
+        console.log(`⚠️ Run directory ${candidate} not found, report will have no screenshots or diffs`);
+      }
+    }
+    
+    const outputPath = reportPath.replace(/\.json$/, '') + '.html';
+    await writeHtmlReport(report, outputPath, { runDir });
+    console.log(`🖼️ HTML report saved to ${outputPath}`);
+    return outputPath;
+  }
+}
+
+const DEFAULT_PROMPT = "Create a modern todo list app with add, delete, and mark complete functionality. Use a clean, minimalist design with good spacing and hover effects.";
+
+// Defaults <- config file <- command line options
+async function applyConfig(configPath, overrides) {
+  const { file, config: fileConfig } = await loadConfigFile(configPath);
+  const config = mergeConfig(mergeConfig(CONFIG, fileConfig), overrides);
+  
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const source = file ? path.basename(file) : 'command line options';
+    throw new Error(`Invalid configuration (${source}):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  
+  Object.assign(CONFIG, config);
+  if (file) {
+    console.log(`⚙️ Using config from ${file}`);
   }
 }
 
 // Usage
 async function main() {
-  const orchestrator = new PrototypeOrchestrator();
+  let cli;
+  try {
+    cli = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
   
-  const designPrompt = process.argv[2] || "Create a modern todo list app with add, delete, and mark complete functionality. Use a clean, minimalist design with good spacing and hover effects.";
-  const skipGeneration = process.argv.includes('--skip-generation') || process.argv.includes('-s');
-  const noHumanInput = process.argv.includes('--no-human-input') || process.argv.includes('-n');
+  if (cli.options.help) {
+    console.log(USAGE);
+    return;
+  }
   
-  // Override config if flag is provided
-  if (noHumanInput) {
-    CONFIG.allowHumanInput = false;
+  try {
+    await applyConfig(cli.options.config, cli.overrides);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   }
   
+  const orchestrator = new PrototypeOrchestrator();
+  
   try {
-    await orchestrator.runWorkflow(designPrompt, skipGeneration);
+    if (CONFIG.cassette) {
+      await orchestrator.useCassette(CONFIG.cassette);
+    }
+    
+    switch (cli.command) {
+      case 'run':
+      case 'test-only': {
+        const { prompt, fromStdin } = await readPrompt(cli.args[0], cli.options.promptFile);
+        // stdin is used up by the prompt, so there's no one to ask
+        if (fromStdin) {
+          CONFIG.allowHumanInput = false;
+        }
+        await orchestrator.runWorkflow(prompt || DEFAULT_PROMPT, cli.command === 'test-only');
+        break;
+      }
+      case 'resume':
+        await orchestrator.resumeRun(cli.args[0]);
+        break;
+      case 'report':
+        await orchestrator.regenerateReport(cli.args[0] || 'final-report.json');
+        break;
+      case 'list-runs':
+        await orchestrator.listRuns();
+        break;
+      case 'restore':
+        await orchestrator.restoreFromRun(cli.args[0], cli.options.iteration);
+        break;
+      case 'discard':
+        await orchestrator.discardRun(cli.args[0]);
+        break;
+    }
   } catch (error) {
     console.error('❌ Workflow failed:', error);
+    await orchestrator.abortRun('failed', error).catch(saveError => {
+      console.error('❌ Could not save partial report:', saveError.message);
+    });
     process.exit(1);
+  } finally {
+    orchestrator.closeInput();
   }
 }
 
+export { PrototypeOrchestrator, CONFIG };
+
 // Run if called directly
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
   main();
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditAccessibility } from '../lib/accessibility-audit.js';
+import { measureCriteria, scoreRubric, missingReasons } from '../lib/rubric.js';
+
+test('an audit whose checks failed has no score', async () => {
+  const closed = async () => {
+    throw new Error('Target page, context or browser has been closed');
+  };
+  const page = { addScriptTag: closed, evaluate: closed, keyboard: { press: closed } };
+
+  const audit = await auditAccessibility(page);
+  assert.equal(audit.score, null);
+  assert.deepEqual(audit.errors.map(error => error.split(':')[0]), ['axe-core', 'keyboard traversal', 'contrast check']);
+
+  const values = measureCriteria({ testResults: { accessibilityResults: audit }, feedback: { overallScore: 0.9 }, visualFeedback: { visualScore: 0.9 } });
+  const { score, missing } = scoreRubric(values, { ux: {}, accessibility: {} });
+  assert.equal(score, null);
+  assert.deepEqual(missingReasons(missing), ['no accessibility audit']);
+});
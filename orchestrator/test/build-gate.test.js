@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checkPrototype } from '../lib/build-gate.js';
+
+test('a project without tsc and eslint is not checked rather than passing', async () => {
+  // No node_modules, so npx can't find either tool
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-gate-'));
+  try {
+    await fs.mkdir(path.join(dir, 'src', 'components'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'src', 'components', 'GeneratedPrototype.tsx'), 'const x: number = "not a number";');
+
+    const check = await checkPrototype(dir, 'src/components/GeneratedPrototype.tsx');
+    assert.equal(check.ok, null);
+    assert.equal(check.checked, false);
+    assert.deepEqual(check.skipped.map(reason => reason.split(':')[0]), ['tsc', 'eslint']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Cassette, CassetteMissError, fingerprint } from '../lib/cassette.js';
+import { textPart, imagePart } from '../lib/providers.js';
+
+async function tempFile(name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+  return path.join(dir, name);
+}
+
+function request(content, extra = {}) {
+  return { model: 'gpt-4', system: 'You are a tester.', messages: [{ role: 'user', content }], ...extra };
+}
+
+function reply(text) {
+  return async () => ({ text, usage: { inputTokens: 10, outputTokens: 5 } });
+}
+
+test('fingerprint ignores screenshot bytes and the dev server origin', () => {
+  const screenshot = data => request([textPart('Page at http://localhost:5173/cart'), imagePart(data)]);
+  const moved = request([textPart('Page at http://localhost:5174/cart'), imagePart('other')]);
+
+  assert.equal(fingerprint('visualReview', screenshot('aaaa'), { baseUrl: 'http://localhost:5173' }),
+    fingerprint('visualReview', screenshot('bbbb'), { baseUrl: 'http://localhost:5173' }));
+  assert.equal(fingerprint('visualReview', screenshot('aaaa'), { baseUrl: 'http://localhost:5173' }),
+    fingerprint('visualReview', moved, { baseUrl: 'http://localhost:5174/' }));
+});
+
+test('fingerprint changes with the stage, prompt and schema', () => {
+  const base = fingerprint('feedback', request('Results: 2 passed'));
+  assert.notEqual(fingerprint('improve', request('Results: 2 passed')), base);
+  assert.notEqual(fingerprint('feedback', request('Results: 1 passed')), base);
+  assert.notEqual(fingerprint('feedback', request('Results: 2 passed', { jsonSchema: { name: 'feedback', schema: {} } })), base);
+  // Model settings are not part of the question
+  assert.equal(fingerprint('feedback', request('Results: 2 passed', { model: 'gpt-4o', temperature: 0.5 })), base);
+});
+
+test('a recorded cassette replays the same responses without calling the provider', async () => {
+  const file = await tempFile('run.json');
+  const recorder = await Cassette.open(file, 'record');
+  await recorder.complete('testPlan', request('plan A'), reply('first plan'), { provider: 'openai' });
+  await recorder.complete('feedback', request('same'), reply('first answer'));
+  await recorder.complete('feedback', request('same'), reply('second answer'));
+
+  const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(saved.entries.length, 3);
+  assert.equal(saved.entries[0].provider, 'openai');
+  assert.deepEqual(saved.entries[0].response.usage, { inputTokens: 10, outputTokens: 5 });
+
+  const player = await Cassette.open(file, 'replay');
+  const unreachable = () => assert.fail('replay must not call the provider');
+  // Identical requests get their answers in recorded order
+  assert.equal((await player.complete('feedback', request('same'), unreachable)).text, 'first answer');
+  assert.equal((await player.complete('feedback', request('same'), unreachable)).text, 'second answer');
+  assert.deepEqual(player.unused().map(entry => entry.stage), ['testPlan']);
+  assert.equal((await player.complete('testPlan', request('plan A'), unreachable)).text, 'first plan');
+  assert.deepEqual(player.unused(), []);
+});
+
+test('a changed prompt gets the next recorded response of its stage', async () => {
+  const file = await tempFile('run.json');
+  const recorder = await Cassette.open(file, 'record');
+  await recorder.complete('feedback', request('Results after 1.2s'), reply('recorded feedback'));
+
+  const player = await Cassette.open(file, 'replay');
+  assert.equal((await player.complete('feedback', request('Results after 1.5s'), reply('live'))).text, 'recorded feedback');
+  assert.deepEqual(player.mismatches, ['feedback']);
+  await assert.rejects(
+    player.complete('feedback', request('Results after 1.5s'), reply('live')),
+    error => error instanceof CassetteMissError && error.stage === 'feedback'
+  );
+});
+
+test('a strict replay fails loudly on a request that was never recorded', async () => {
+  const file = await tempFile('run.json');
+  const recorder = await Cassette.open(file, 'record');
+  await recorder.complete('feedback', request('recorded prompt'), reply('{}'));
+
+  const player = await Cassette.open(file, 'replay', { strict: true });
+  await assert.rejects(
+    player.complete('feedback', request('edited prompt'), reply('live')),
+    error => error instanceof CassetteMissError && error.stage === 'feedback'
+  );
+});
+
+test('entries without a fingerprint are served to their stage in order', async () => {
+  const file = await tempFile('scripted.json');
+  await fs.writeFile(file, JSON.stringify({
+    entries: [
+      { stage: 'testExecution', response: { text: 'step 1' } },
+      { stage: 'feedback', response: { text: 'feedback' } },
+      { stage: 'testExecution', response: { text: 'step 2' } }
+    ]
+  }));
+
+  const player = await Cassette.open(file, 'replay');
+  assert.equal((await player.complete('testExecution', request('anything'), reply('live'))).text, 'step 1');
+  assert.equal((await player.complete('testExecution', request('something else'), reply('live'))).text, 'step 2');
+  await assert.rejects(player.complete('testExecution', request('one more'), reply('live')), CassetteMissError);
+  assert.deepEqual(player.unused().map(entry => entry.stage), ['feedback']);
+});
+
+test('replaying a missing cassette file is an error', async () => {
+  await assert.rejects(Cassette.open(await tempFile('missing.json'), 'replay'), /Could not read cassette/);
+  assert.throws(() => new Cassette('x.json', 'rewind'), /Unknown cassette mode/);
+});
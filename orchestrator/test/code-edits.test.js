@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEdits, locate } from '../lib/code-edits.js';
+
+const FILE = 'src/components/GeneratedPrototype.tsx';
+const SOURCE = `import React from 'react';
+
+export default function Todo() {
+  return (
+    <main>
+      <h1>Tasks</h1>
+      <button className="px-2">Add</button>
+    </main>
+  );
+}
+
+function Helper() {
+  return <button className="px-2">More</button>;
+}
+`;
+
+test('edits replace their search text and are applied in order', () => {
+  const { files, applied, conflicts } = applyEdits(new Map([[FILE, SOURCE]]), [
+    { file: FILE, issue: 'Title is vague', search: '<h1>Tasks</h1>', replace: '<h1>Today\'s tasks</h1>\n      <p>Nothing due yet</p>' },
+    { file: FILE, issue: 'No empty state', search: '<p>Nothing due yet</p>', replace: '<p>Nothing due today</p>' }
+  ]);
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(applied, [
+    { issue: 'Title is vague', file: FILE, removed: 1, added: 2 },
+    { issue: 'No empty state', file: FILE, removed: 1, added: 1 }
+  ]);
+  assert.match(files.get(FILE), /<h1>Today's tasks<\/h1>\n {6}<p>Nothing due today<\/p>/);
+  // Code after the default export is left alone
+  assert.match(files.get(FILE), /function Helper\(\)/);
+});
+
+test('search text is matched by whole lines when only the indentation differs', () => {
+  const match = locate(SOURCE, '\n<main>\n  <h1>Tasks</h1>\n');
+  assert.equal(match.count, 1);
+  assert.equal(SOURCE.slice(match.start, match.end), '    <main>\n      <h1>Tasks</h1>');
+});
+
+test('ambiguous or missing search text is a conflict and the other edits still apply', () => {
+  const { files, applied, conflicts } = applyEdits(new Map([[FILE, SOURCE]]), [
+    { file: FILE, issue: 'Buttons too small', search: 'className="px-2"', replace: 'className="px-4"' },
+    { file: FILE, issue: 'Title is vague', search: '<h2>Tasks</h2>', replace: '<h2>Today</h2>' },
+    { file: FILE, issue: 'Title is vague', search: '<h1>Tasks</h1>', replace: '<h1>Today</h1>' },
+    { file: 'src/App.tsx', issue: 'Add routing', search: '', replace: 'export {}' }
+  ]);
+
+  assert.deepEqual(conflicts, [
+    { edit: 1, issue: 'Buttons too small', file: FILE, reason: 'search text found 2 times' },
+    { edit: 2, issue: 'Title is vague', file: FILE, reason: 'search text not found' },
+    { edit: 4, issue: 'Add routing', file: 'src/App.tsx', reason: 'not a file of this prototype' }
+  ]);
+  assert.equal(applied.length, 1);
+  assert.match(files.get(FILE), /<h1>Today<\/h1>/);
+});
+
+test('an empty search adds a file where files may be created', () => {
+  const canCreate = file => file.startsWith('src/pages/shop/');
+  const { files, applied, conflicts } = applyEdits(new Map(), [
+    { file: 'src/pages/shop/cart.tsx', issue: 'No cart page', search: '', replace: 'export default function Cart() {\n  return null;\n}\n' },
+    { file: 'src/pages/shop/cart.tsx', issue: 'No cart page', search: '', replace: 'export {}' }
+  ], { canCreate });
+
+  assert.deepEqual(applied, [{ issue: 'No cart page', file: 'src/pages/shop/cart.tsx', removed: 0, added: 3 }]);
+  assert.deepEqual(conflicts.map(conflict => conflict.reason), ['empty search text']);
+  assert.ok(files.has('src/pages/shop/cart.tsx'));
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfigFile } from '../lib/config.js';
+
+test('paths in a config file are relative to the file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  try {
+    await fs.mkdir(path.join(dir, 'designs'));
+    await fs.writeFile(path.join(dir, 'prototype-agent.config.json'), JSON.stringify({
+      viteProjectPath: '../app',
+      runsDir: 'runs',
+      references: [
+        { viewport: 'desktop', file: 'designs/desktop.png' },
+        { file: '/shared/mobile.png' }
+      ]
+    }));
+
+    const { config } = await loadConfigFile('../prototype-agent.config.json', path.join(dir, 'designs'));
+    assert.equal(config.viteProjectPath, path.resolve(dir, '../app'));
+    assert.equal(config.runsDir, path.join(dir, 'runs'));
+    assert.deepEqual(config.references, [
+      { viewport: 'desktop', file: path.join(dir, 'designs/desktop.png') },
+      { file: '/shared/mobile.png' }
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConformance } from '../lib/design-system.js';
+
+const inventory = {
+  alias: '@/components/ui',
+  modules: [
+    { module: 'button', importPath: '@/components/ui/button', exports: [{ name: 'Button' }] },
+    { module: 'card', importPath: '@/components/ui/card', exports: [{ name: 'Card' }, { name: 'CardHeader' }] }
+  ]
+};
+
+test('a local wrapper around a design-system component is not a reimplementation', () => {
+  const files = [
+    {
+      path: 'src/Prototype.tsx',
+      content: `import { Button as UiButton } from '@/components/ui/button';
+import * as Ui from '@/components/ui/card';
+
+function Button(props) {
+  return <UiButton size="lg" {...props} />;
+}
+const Card = ({ children }) => <Ui.Card className="p-6">{children}</Ui.Card>;`
+    },
+    {
+      path: 'src/Copy.tsx',
+      content: `export function Button({ children }) {
+  return <span role="button">{children}</span>;
+}`
+    }
+  ];
+
+  const result = checkConformance(files, inventory);
+  assert.deepEqual(result.findings.map(finding => [finding.rule, finding.file, finding.component, finding.lines]), [
+    ['reimplemented', 'src/Copy.tsx', 'Button', [1]]
+  ]);
+  assert.deepEqual(result.used, ['button', 'card']);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForPageUpdate } from '../lib/dev-server.js';
+
+// Module code the way Vite serves it, with the source in an inline source map
+function served(source) {
+  const map = Buffer.from(JSON.stringify({ version: 3, sources: ['GeneratedPrototype.tsx'], sourcesContent: [source] })).toString('base64');
+  return `const Todo = () => null;\n//# sourceMappingURL=data:application/json;base64,${map}`;
+}
+
+function fakePage(loads) {
+  const calls = [];
+  return {
+    calls,
+    evaluate: async (fn, paths) => {
+      calls.push(['evaluate', paths]);
+      return loads.shift();
+    },
+    reload: async () => calls.push(['reload']),
+    waitForLoadState: async () => {},
+    waitForFunction: async () => {}
+  };
+}
+
+const FILES = [{ path: 'src/components/GeneratedPrototype.tsx', content: 'v2\n' }];
+
+test('the page is reloaded until it renders the new module', async () => {
+  const page = fakePage([[served('v1')], [served('v1')], [served('v2')]]);
+
+  assert.equal(await waitForPageUpdate(page, FILES), true);
+  assert.deepEqual(page.calls.map(call => call[0]), ['evaluate', 'reload', 'evaluate', 'reload', 'evaluate']);
+  assert.deepEqual(page.calls[0][1], ['/src/components/GeneratedPrototype.tsx']);
+});
+
+test("an update that can't be seen from the page is not waited for", async () => {
+  // Not loaded from Vite, e.g. a static fixture page
+  assert.equal(await waitForPageUpdate(fakePage([[null]]), FILES), false);
+
+  const stale = fakePage(Array.from({ length: 10 }, () => [served('v1')]));
+  assert.equal(await waitForPageUpdate(stale, FILES, 300), false);
+  assert.ok(stale.calls.filter(call => call[0] === 'reload').length >= 1);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { encodePng } from '../lib/visual-diff.js';
+import { loadReferences, compareWithReference } from '../lib/fidelity.js';
+
+const VIEWPORTS = [{ name: 'mobile', width: 375, height: 812 }, { name: 'desktop', width: 1280, height: 800 }];
+
+// A white page with filled boxes, given in fractions of its size so it can be drawn at any scale
+function page(width, height, boxes = [], background = [255, 255, 255, 255]) {
+  const data = new Uint8Array(width * height * 4);
+  const edges = boxes.map(box => ({
+    left: Math.round(box.x * width),
+    right: Math.round((box.x + box.width) * width),
+    top: Math.round(box.y * height),
+    bottom: Math.round((box.y + box.height) * height),
+    color: box.color
+  }));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const box = edges.find(box => x >= box.left && x < box.right && y >= box.top && y < box.bottom);
+      data.set(box ? box.color : background, (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const HEADER = { x: 0, y: 0, width: 1, height: 0.1, color: [30, 41, 59, 255] };
+const CARD = { x: 0.1, y: 0.2, width: 0.5, height: 0.4, color: [226, 232, 240, 255] };
+
+test('the same layout matches at another scale and in another palette', () => {
+  const reference = page(480, 360, [HEADER, CARD]);
+  const same = compareWithReference(reference, page(240, 180, [HEADER, CARD]));
+  assert.deepEqual(same, { layout: 1, structure: 1, similarity: 1 });
+
+  const recolored = compareWithReference(reference, page(240, 180, [{ ...HEADER, color: [124, 58, 237, 255] }, { ...CARD, color: [221, 214, 254, 255] }]));
+  assert.ok(recolored.similarity > 0.9, `similarity ${recolored.similarity}`);
+});
+
+test('moved and missing content lowers the layout and structure similarity', () => {
+  const reference = page(480, 360, [HEADER, CARD]);
+  const moved = compareWithReference(reference, page(480, 360, [HEADER, { ...CARD, x: 0.45 }]));
+  const missing = compareWithReference(reference, page(480, 360, [HEADER]));
+  const blank = compareWithReference(reference, page(480, 360));
+
+  assert.ok(moved.layout < 1 && moved.layout > missing.layout, `moved ${moved.layout}, missing ${missing.layout}`);
+  assert.ok(moved.structure < 1);
+  assert.equal(blank.layout, 0);
+
+  // A page twice as long as the design doesn't match where the design ends
+  const longer = compareWithReference(reference, page(480, 720, [{ ...HEADER, height: 0.05 }, { ...CARD, y: 0.1, height: 0.2 }]));
+  assert.ok(longer.structure <= 0.5, `structure ${longer.structure}`);
+});
+
+test('references are matched to a viewport by name or by width', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fidelity-'));
+  try {
+    const write = async (name, width, height) => {
+      const file = path.join(dir, name);
+      await fs.writeFile(file, encodePng(page(width, height)));
+      return file;
+    };
+    const wide = await write('home.png', 1440, 900);
+    const narrow = await write('home-small.png', 390, 844);
+
+    assert.deepEqual(await loadReferences([{ file: wide }, { viewport: 'mobile', file: wide }], VIEWPORTS), [
+      { viewport: 'desktop', file: wide, width: 1440, height: 900 },
+      { viewport: 'mobile', file: wide, width: 1440, height: 900 }
+    ]);
+    await assert.rejects(loadReferences([{ file: narrow }, { viewport: 'mobile', file: narrow }], VIEWPORTS), /Two reference designs for the mobile viewport/);
+    await assert.rejects(loadReferences([{ viewport: 'tablet', file: narrow }], VIEWPORTS), /"tablet" viewport, which isn't configured \(viewports: mobile, desktop\)/);
+
+    const jpeg = path.join(dir, 'home.jpg');
+    await fs.writeFile(jpeg, Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+    await assert.rejects(loadReferences([{ file: jpeg }], VIEWPORTS), /can't be read \(Not a PNG file\); export it as a PNG/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+// fake-browser.js
+// Stands in for the workflow's browser step when Playwright's Chromium isn't
+// installed. Scenarios, personas and earlier specs still run through the
+// orchestrator and the step executor, against a page that shows the fixture
+// page's accessibility tree; every screenshot is the same blank page, since
+// the fixture page looks the same whatever the component says.
+
+import fs from 'fs/promises';
+import { encodePng } from '../../lib/visual-diff.js';
+import { buildMatrix } from '../../lib/viewport-matrix.js';
+
+const SNAPSHOT = `- main:
+  - heading "Tasks" [level=1]
+  - text: New task
+  - textbox "New task"
+  - button "Add task"
+  - list "Tasks"`;
+
+const BLANK = encodePng({ width: 320, height: 200, data: new Uint8Array(320 * 200 * 4).fill(255) });
+
+const element = {
+  click: async () => {},
+  fill: async () => {},
+  selectOption: async () => {},
+  hover: async () => {},
+  press: async () => {},
+  isVisible: async () => true,
+  textContent: async () => '',
+  ariaSnapshot: async () => SNAPSHOT
+};
+const locator = { ...element, first: () => element };
+
+function fakePage(baseUrl) {
+  let url = baseUrl;
+  return {
+    on: () => {},
+    goto: async target => {
+      url = target;
+    },
+    url: () => url,
+    waitForLoadState: async () => {},
+    waitForTimeout: async () => {},
+    waitForFunction: async () => {},
+    evaluate: async () => null,
+    viewportSize: () => ({ width: 1280, height: 720 }),
+    keyboard: { press: async () => {}, type: async () => {} },
+    mouse: { wheel: async () => {} },
+    locator: () => locator,
+    getByRole: () => locator,
+    getByLabel: () => locator,
+    getByPlaceholder: () => locator,
+    getByTestId: () => locator,
+    getByText: () => locator,
+    screenshot: ({ path }) => fs.writeFile(path, BLANK)
+  };
+}
+
+const diagnostics = {
+  startScope() {},
+  finishScope: async () => ({ fatal: false, errors: [] })
+};
+
+/**
+ * A replacement for orchestrator.runPlaywrightTests that needs no browser.
+ * @param {import('../../orchestrator.js').PrototypeOrchestrator} orchestrator
+ * @param {object} config the orchestrator's CONFIG
+ */
+export function fakeBrowserTests(orchestrator, config) {
+  return async (testPlan, { routes = [], specs = [] } = {}) => {
+    const page = fakePage(orchestrator.pageUrl());
+    const runtimeScopes = [];
+    const screenshot = `${orchestrator.screenshotPrefix()}-initial.png`;
+    await page.screenshot({ path: screenshot });
+
+    const testResults = [];
+    for (const persona of orchestrator.personas.length > 0 ? orchestrator.personas : [null]) {
+      testResults.push(...await orchestrator.runScenarios(page, diagnostics, runtimeScopes, testPlan, routes, { persona, contextOptions: {} }));
+    }
+    const specResults = specs.length > 0 ? await orchestrator.replaySpecs(page, diagnostics, runtimeScopes, specs) : [];
+
+    const matrix = [];
+    for (const entry of buildMatrix(config)) {
+      const capture = { ...entry, screenshot: `${orchestrator.screenshotPrefix()}-matrix-${entry.name}.png`, layoutIssues: [] };
+      await page.screenshot({ path: capture.screenshot });
+      matrix.push(capture);
+    }
+
+    return {
+      testResults,
+      accessibilityResults: { score: 1, findings: [], focusOrder: [], errors: [] },
+      runtimeDiagnostics: { fatal: false, errors: [] },
+      matrix,
+      layoutIssues: [],
+      routeChecks: [],
+      specResults,
+      performance: { loadMs: 100, domContentLoadedMs: 80 },
+      screenshot
+    };
+  };
+}
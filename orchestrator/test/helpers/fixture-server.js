@@ -0,0 +1,45 @@
+// fixture-server.js
+// Stands in for the Vite dev server in tests: serves a static fixture page at
+// "/" and serves project source files the way Vite does, with the original
+// source in an inline source map, so the orchestrator's reload check works.
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'todo-page.html');
+
+function asModule(source) {
+  const map = { version: 3, sources: ['source'], sourcesContent: [source], mappings: '' };
+  return `export default null;\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}\n`;
+}
+
+/**
+ * @param {() => string} projectDir current fixture project, read on every request
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export async function startFixtureServer(projectDir) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    try {
+      if (pathname.startsWith('/src/')) {
+        const source = await fs.readFile(path.join(projectDir(), pathname), 'utf8');
+        response.writeHead(200, { 'Content-Type': 'text/javascript' });
+        response.end(asModule(source));
+      } else {
+        response.writeHead(200, { 'Content-Type': 'text/html' });
+        response.end(await fs.readFile(PAGE));
+      }
+    } catch {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
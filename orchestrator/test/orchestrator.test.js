@@ -0,0 +1,592 @@
+// Runs the whole workflow against a fixture page with model calls replayed
+// from cassettes, so no API key or network is needed. Without Playwright's
+// Chromium (npx playwright install chromium) the browser step is faked, and
+// only the tests that record the browser itself are skipped.
+
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { PrototypeOrchestrator, CONFIG } from '../orchestrator.js';
+import { encodePng } from '../lib/visual-diff.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+import { fakeBrowserTests } from './helpers/fake-browser.js';
+
+const browserMissing = await chromium.launch({ headless: true }).then(
+  browser => browser.close().then(() => false),
+  error => `Playwright Chromium is not available (${error.message.split('\n')[0]})`
+);
+
+const DEFAULTS = structuredClone(CONFIG);
+const USAGE = { inputTokens: 1000, outputTokens: 200 };
+
+// Model responses, one per call
+const respond = {
+  code: version => `import React from 'react';\n\nconst Todo = () => <main>Tasks v${version}</main>;\n\nexport default Todo;`,
+  testPlan: (scenarios = 1) => JSON.stringify({
+    testScenarios: Array.from({ length: scenarios }, (_, i) => ({
+      name: `Add a task ${i + 1}`,
+      steps: ['Type "Buy milk" into New task', 'Click Add task'],
+      expectedOutcome: 'Buy milk appears in the list'
+    })),
+    usabilityChecks: ['Input is labelled'],
+    accessibilityChecks: ['Button has a name']
+  }),
+  finish: (verdict = 'pass') => JSON.stringify({ step: 1, thought: 'Done', tool: 'finish', args: { verdict, reason: `Scenario ${verdict}ed` } }),
+  visual: (visualScore, designIssues = []) => JSON.stringify({
+    visualScore,
+    designPositives: ['Clear layout'],
+    designIssues,
+    designImprovements: [],
+    visualReasoning: 'Looks tidy'
+  }),
+  feedback: (overallScore, issues = []) => JSON.stringify({
+    overallScore,
+    positives: ['Adding tasks works'],
+    issues,
+    improvements: issues.map(issue => `Fix: ${issue}`),
+    reasoning: 'Scored from the test results'
+  }),
+  edits: edits => JSON.stringify({ edits }),
+  fidelity: (fidelityScore, deviations = []) => JSON.stringify({
+    fidelityScore,
+    matches: ['Same single-column layout'],
+    deviations,
+    reasoning: 'Compared with the reference side by side'
+  })
+};
+
+// One iteration's calls, in the order the workflow makes them
+function iteration({ score, issues = [], visualScore = 0.8, testPlan = respond.testPlan(), improveTo = null }) {
+  return [
+    ['testPlan', testPlan],
+    ['testExecution', respond.finish()],
+    ['visualReview', respond.visual(visualScore)],
+    ['feedback', typeof score === 'number' ? respond.feedback(score, issues) : score],
+    ...(improveTo ? [['improve', respond.code(improveTo)]] : [])
+  ];
+}
+
+// Without a browser, the orchestrator's browser step is replaced by a fake
+function withBrowser(orchestrator) {
+  if (browserMissing) {
+    orchestrator.runPlaywrightTests = fakeBrowserTests(orchestrator, CONFIG);
+  }
+  return orchestrator;
+}
+
+describe('PrototypeOrchestrator workflow', () => {
+  let server;
+  let dir;
+  let projectDir;
+  let previousCwd;
+
+  before(async () => {
+    server = await startFixtureServer(() => projectDir);
+  });
+
+  after(async () => {
+    await server?.close();
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orchestrator-test-'));
+    projectDir = path.join(dir, 'prototype');
+    await fs.mkdir(path.join(projectDir, 'src', 'components'), { recursive: true });
+    previousCwd = process.cwd();
+    process.chdir(dir);
+
+    Object.assign(CONFIG, structuredClone(DEFAULTS), {
+      viteProjectPath: projectDir,
+      viteUrl: server.url,
+      startDevServer: false,
+      headless: true,
+      maxIterations: 3,
+      feedbackThreshold: 0.8,
+      allowHumanInput: false,
+      // Scripted improvements are whole components unless a test asks for edits
+      editMode: 'rewrite',
+      maxSchemaRetries: 0,
+      runsDir: path.join(dir, 'runs'),
+      viewports: [{ name: 'desktop', width: 1280, height: 800 }],
+      colorSchemes: ['light'],
+      reducedMotion: false
+    });
+  });
+
+  afterEach(async () => {
+    process.chdir(previousCwd);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // Replay a scripted cassette; `answers` are what a human types at the continue prompt
+  async function run(calls, { answers = [], resume = null } = {}) {
+    const file = path.join(dir, 'scripted.json');
+    await fs.writeFile(file, JSON.stringify({
+      entries: calls.map(([stage, text]) => ({ stage, response: { text, usage: USAGE } }))
+    }));
+
+    const orchestrator = withBrowser(new PrototypeOrchestrator());
+    await orchestrator.useCassette({ mode: 'replay', file });
+    const questions = [];
+    orchestrator.rl = {
+      question: (question, reply) => {
+        questions.push(question);
+        reply(answers.shift() ?? 'n');
+      },
+      close() {}
+    };
+
+    await (resume ? orchestrator.resumeRun(resume) : orchestrator.runWorkflow('A todo list'));
+    const report = JSON.parse(await fs.readFile('final-report.json', 'utf8'));
+    const component = await fs.readFile(path.join(projectDir, 'src', 'components', 'GeneratedPrototype.tsx'), 'utf8');
+    return { orchestrator, report, component, questions };
+  }
+
+  test('stops as soon as the score reaches the threshold', async () => {
+    const { orchestrator, report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.9 })
+    ]);
+
+    assert.equal(report.status, 'completed');
+    assert.deepEqual(report.iterations.map(entry => entry.score), [0.9]);
+    assert.equal(report.finalIteration, 1);
+    assert.equal(report.iterations[0].accessibilityScore >= 0, true);
+    assert.match(component, /Tasks v1/);
+    assert.deepEqual(orchestrator.cassette.unused(), []);
+  });
+
+  test('improves below the threshold until it is reached', async () => {
+    const { report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Add button is hard to find'], improveTo: 2 }),
+      ...iteration({ score: 0.85 })
+    ]);
+
+    assert.deepEqual(report.iterations.map(entry => entry.score), [0.5, 0.85]);
+    assert.equal(report.finalIteration, 2);
+    assert.match(component, /Tasks v2/);
+  });
+
+  test('keeps the best version when the threshold is never reached', async () => {
+    CONFIG.maxIterations = 2;
+    const { report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.6, issues: ['Too plain'], improveTo: 2 }),
+      ...iteration({ score: 0.4, issues: ['Worse'] })
+    ]);
+
+    assert.deepEqual(report.iterations.map(entry => entry.score), [0.6, 0.4]);
+    assert.equal(report.finalIteration, 1);
+    assert.match(component, /Tasks v1/);
+  });
+
+  test('asks a human before continuing past the threshold with open issues', async () => {
+    CONFIG.allowHumanInput = true;
+    const stop = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.9, issues: ['Empty state is missing'] })
+    ], { answers: ['n'] });
+
+    assert.equal(stop.questions.length, 1);
+    assert.equal(stop.report.iterations.length, 1);
+
+    const carryOn = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.9, issues: ['Empty state is missing'], improveTo: 2 }),
+      ...iteration({ score: 0.95 })
+    ], { answers: ['y'] });
+
+    assert.equal(carryOn.questions.length, 1);
+    assert.deepEqual(carryOn.report.iterations.map(entry => entry.score), [0.9, 0.95]);
+    assert.match(carryOn.component, /Tasks v2/);
+  });
+
+  test('never asks when human input is disabled', async () => {
+    const { report, questions } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.9, issues: ['Empty state is missing'] })
+    ]);
+
+    assert.equal(questions.length, 0);
+    assert.equal(report.iterations.length, 1);
+  });
+
+  test('an invalid test plan falls back to generic scenarios and leaves the iteration unscored', async () => {
+    CONFIG.maxIterations = 1;
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.95, testPlan: 'Sure! Here is a test plan: click things.' })
+    ]);
+
+    const [entry] = report.iterations;
+    assert.equal(entry.score, null);
+    assert.equal(entry.unscored, true);
+    assert.match(entry.unscoredReasons.join(), /no valid test plan/);
+  });
+
+  test('invalid feedback is not mistaken for a passing score', async () => {
+    const { report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: '{"overallScore": "great"}', improveTo: 2 }),
+      ...iteration({ score: 0.85 })
+    ]);
+
+    assert.deepEqual(report.iterations.map(entry => entry.score), [null, 0.85]);
+    assert.equal(report.iterations[0].feedback.unscored, true);
+    assert.equal(report.finalIteration, 2);
+    assert.match(component, /Tasks v2/);
+  });
+
+  test('an invalid visual review marks the visual score as missing', async () => {
+    CONFIG.maxIterations = 1;
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', respond.finish()],
+      ['visualReview', 'The design looks nice.'],
+      ['feedback', respond.feedback(0.9)]
+    ]);
+
+    const [entry] = report.iterations;
+    assert.equal(entry.visualFeedback.visualScore, null);
+    assert.equal(entry.score, null);
+    assert.match(entry.unscoredReasons.join(), /no valid visual review/);
+  });
+
+  test('writes the JSON and HTML reports into the working directory and the run', async () => {
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Too plain'], improveTo: 2 }),
+      ...iteration({ score: 0.9 })
+    ]);
+
+    const runDir = path.join(CONFIG.runsDir, report.runId);
+    const html = await fs.readFile('final-report.html', 'utf8');
+    assert.match(html, /Iteration 1/);
+    assert.match(html, /Iteration 2/);
+    assert.match(html, /Source diff/);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(runDir, 'final-report.json'), 'utf8')), report);
+    await fs.access(path.join(runDir, 'report.html'));
+
+    const manifest = JSON.parse(await fs.readFile(path.join(runDir, 'run.json'), 'utf8'));
+    assert.equal(manifest.status, 'completed');
+    assert.deepEqual(manifest.versions.map(version => version.score), [0.5, 0.9]);
+    assert.equal(report.usage.totals.calls, 10);
+    assert.equal(report.usage.totals.inputTokens, 10 * USAGE.inputTokens);
+  });
+
+  test('a tournament keeps the best variants and promotes the winner', async () => {
+    Object.assign(CONFIG, { variants: 2, keepVariants: 1 });
+    const { orchestrator, report, component } = await run([
+      ['generate', respond.code('1a')],
+      ['generate', respond.code('1b')],
+      ...iteration({ score: 0.5, issues: ['Cluttered'] }),
+      ...iteration({ score: 0.7, issues: ['Too plain'], improveTo: '2b' }),
+      ...iteration({ score: 0.9 })
+    ]);
+
+    const [first, second] = report.tournament.rounds;
+    assert.deepEqual(first.results.map(result => [result.variant, result.score, result.kept]),
+      [['variant-2', 0.7, true], ['variant-1', 0.5, false]]);
+    assert.deepEqual(second.results.map(result => result.variant), ['variant-2']);
+    assert.equal(report.tournament.winner, 'variant-2');
+    assert.equal(report.tournament.chosenBy, 'score');
+    assert.deepEqual(report.iterations.map(entry => [entry.iteration, entry.variant]),
+      [[1, 'variant-1'], [1, 'variant-2'], [2, 'variant-2']]);
+    assert.match(component, /Tasks v2b/);
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /Design variants/);
+    // The variants' pages are removed once the winner is the prototype; the run keeps every version
+    const runDir = path.join(CONFIG.runsDir, report.runId);
+    assert.match(await fs.readFile(path.join(runDir, 'iteration-1', 'variant-1', 'GeneratedPrototype.tsx'), 'utf8'), /Tasks v1a/);
+    await assert.rejects(fs.access(path.join(projectDir, 'src', 'pages', 'variants')));
+
+    await orchestrator.discardRun(report.runId);
+    await assert.rejects(fs.access(runDir));
+    assert.match(await fs.readFile(path.join(projectDir, 'src', 'components', 'GeneratedPrototype.tsx'), 'utf8'), /Tasks v2b/);
+  });
+
+  test('a designer can pick the winning variant at the threshold', async () => {
+    Object.assign(CONFIG, { variants: 2, keepVariants: 2, allowHumanInput: true });
+    const { report, component, questions } = await run([
+      ['generate', respond.code('1a')],
+      ['generate', respond.code('1b')],
+      ...iteration({ score: 0.85, issues: ['Empty state is missing'] }),
+      ...iteration({ score: 0.9, issues: ['Low contrast'] })
+    ], { answers: ['2', 'n'] });
+
+    assert.equal(questions.length, 2);
+    assert.equal(report.tournament.winner, 'variant-1');
+    assert.equal(report.tournament.chosenBy, 'human');
+    assert.equal(report.finalIteration, 1);
+    assert.match(component, /Tasks v1a/);
+  });
+
+  test('each persona runs the scenarios and scores the prototype', async () => {
+    CONFIG.personas = ['first-time-user', 'keyboard-power-user'];
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', respond.finish()],
+      ['testExecution', respond.finish('fail')],
+      ['visualReview', respond.visual(0.8)],
+      ['feedback', respond.feedback(0.8)],
+      ['feedback', respond.feedback(0.6, ['Focus is invisible'])],
+      ['improve', respond.code(2)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', respond.finish()],
+      ['testExecution', respond.finish()],
+      ['visualReview', respond.visual(0.8)],
+      ['feedback', respond.feedback(0.9)],
+      ['feedback', respond.feedback(0.9)]
+    ]);
+
+    const [first] = report.iterations;
+    assert.equal(first.score, 0.7);
+    assert.deepEqual(first.feedback.personas.map(session => [session.id, session.overallScore]),
+      [['first-time-user', 0.8], ['keyboard-power-user', 0.6]]);
+    assert.deepEqual(first.feedback.issues, ['[Keyboard-only power user] Focus is invisible']);
+    assert.deepEqual(report.iterations.map(entry => entry.score), [0.7, 0.9]);
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /Persona scores/);
+  });
+
+  test('passed scenarios are exported as specs and re-run on later iterations', async () => {
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Too plain'], improveTo: 2 }),
+      ...iteration({ score: 0.9 })
+    ]);
+
+    assert.equal(report.iterations[0].specResults, undefined);
+    assert.deepEqual(report.iterations[1].specResults, [{ name: 'Add a task 1', iteration: 1, status: 'passed' }]);
+    const spec = await fs.readFile(path.join(projectDir, 'e2e', 'generated-prototype.spec.ts'), 'utf8');
+    assert.match(spec, /test\("Add a task 1"/);
+    assert.match(spec, /Expected outcome: Buy milk appears in the list/);
+  });
+
+  test("each iteration's screenshots are diffed against the version it was improved from", async () => {
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Too plain'], improveTo: 2 }),
+      ...iteration({ score: 0.9 })
+    ]);
+
+    assert.equal(report.iterations[0].visualDiff, undefined);
+    const { visualDiff } = report.iterations[1];
+    assert.equal(visualDiff.baseIteration, 1);
+    assert.deepEqual(visualDiff.targetedIssues, ['Too plain']);
+    assert.deepEqual(visualDiff.diffs.map(change => change.key).sort(), ['Add-a-task-1', 'initial', 'matrix-desktop-light']);
+    // The fixture page looks the same whatever the component says
+    assert.ok(visualDiff.diffs.every(change => change.pixelChange === 0));
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /No screenshot changed since iteration 1/);
+  });
+
+  test('a designer curates the findings before every improvement', async () => {
+    Object.assign(CONFIG, { reviewEachIteration: true, allowHumanInput: true });
+    const { report, questions } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Too plain', 'Needs a logo'], improveTo: 2 }),
+      ...iteration({ score: 0.6, issues: ['Needs a logo', 'Buttons too small'] })
+    ], { answers: ['r 2', 'h 1', '+ Use a warm color palette', '', 'stop'] });
+
+    assert.equal(questions.filter(question => question === 'review> ').length, 5);
+    const [first, second] = report.iterations;
+    assert.deepEqual(first.review.findings.map(finding => [finding.text, finding.status, finding.priority]),
+      [['Too plain', 'accepted', 'high'], ['Needs a logo', 'rejected', 'normal']]);
+    assert.deepEqual(first.review.instructions, ['Use a warm color palette']);
+    // A rejected finding doesn't come back
+    assert.deepEqual(second.feedback.issues, ['Buttons too small']);
+    assert.equal(second.review.stop, true);
+    assert.deepEqual(report.stoppedBy, { reason: 'designer', afterIteration: 2 });
+    assert.equal(report.iterations.length, 2);
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /Rejected by the designer/);
+  });
+
+  test("a criterion's minimum keeps the run going past the threshold", async () => {
+    CONFIG.rubric = { ux: { weight: 1 }, functional: { weight: 0, min: 1 } };
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', respond.finish('fail')],
+      ['visualReview', respond.visual(0.8)],
+      ['feedback', respond.feedback(0.9)],
+      ['improve', respond.code(2)],
+      ...iteration({ score: 0.85 })
+    ]);
+
+    const [first, second] = report.iterations;
+    assert.equal(first.score, 0.9);
+    assert.deepEqual(first.rubric.criteria, [
+      { name: 'ux', value: 0.9, weight: 1 },
+      { name: 'functional', value: 0, weight: 0, min: 1, belowMinimum: true }
+    ]);
+    assert.deepEqual(first.rubric.unmet, ['functional 0 is below its minimum of 1']);
+    assert.deepEqual(second.rubric.unmet, []);
+    assert.equal(report.iterations.length, 2);
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /functional: 0\.00 \(weight 0, min 1\.00, not met\)/);
+  });
+
+  test('a resumed run carries on with the settings it started with', async () => {
+    Object.assign(CONFIG, { rubric: { ux: { weight: 1 }, visual: { weight: 1 } }, specsDir: null });
+    await assert.rejects(run([
+      ['generate', respond.code(1)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', respond.finish()],
+      ['visualReview', respond.visual(0.8)]
+    ]), { name: 'CassetteMissError', stage: 'feedback' });
+
+    const [runId] = await fs.readdir(CONFIG.runsDir);
+    const manifest = JSON.parse(await fs.readFile(path.join(CONFIG.runsDir, runId, 'run.json'), 'utf8'));
+    assert.equal(manifest.config.specsDir, null);
+    // API keys and the machine's paths aren't saved with the run
+    assert.equal(manifest.config.providers, undefined);
+    assert.equal(manifest.config.runsDir, undefined);
+
+    Object.assign(CONFIG, { rubric: structuredClone(DEFAULTS.rubric), specsDir: DEFAULTS.specsDir });
+    const { report } = await run([['feedback', respond.feedback(0.9)]], { resume: runId });
+    assert.deepEqual(report.iterations[0].rubric.criteria.map(criterion => criterion.name), ['ux', 'visual']);
+    assert.equal(report.iterations[0].score, 0.85);
+    await assert.rejects(fs.access(path.join(projectDir, 'e2e')));
+  });
+
+  test('a plateau stops the run before the last iteration', async () => {
+    CONFIG.stopRules.plateau = 1;
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, improveTo: 2 }),
+      ...iteration({ score: 0.51 })
+    ]);
+
+    assert.equal(report.iterations.length, 2);
+    assert.deepEqual(report.stoppedBy, { reason: 'plateau', afterIteration: 2, iterations: 1 });
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /the score hadn't improved in 1 iteration/);
+  });
+
+  test('reference designs are copied into the run and every iteration is scored for fidelity', async () => {
+    const reference = path.join(dir, 'home.png');
+    await fs.writeFile(reference, encodePng({ width: 1440, height: 900, data: new Uint8Array(1440 * 900 * 4).fill(255) }));
+    Object.assign(CONFIG, { maxIterations: 2, references: [{ file: reference }], rubric: { ux: { weight: 1 }, fidelity: { weight: 1 } } });
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.9, improveTo: 2 }),
+      ['fidelityReview', respond.fidelity(0, ['[desktop] The header is missing'])],
+      ...iteration({ score: 0.9 }),
+      ['fidelityReview', respond.fidelity(0.5)]
+    ]);
+
+    const [first, second] = report.iterations;
+    const [comparison] = first.fidelity.viewports;
+    assert.equal(comparison.viewport, 'desktop');
+    assert.equal(comparison.reference, 'references/desktop.png');
+    assert.equal(first.fidelity.score, Math.round(comparison.similarity / 2 * 1000) / 1000);
+    assert.deepEqual(first.fidelity.deviations, ['[desktop] The header is missing']);
+    assert.deepEqual(first.rubric.criteria.map(criterion => criterion.name), ['ux', 'fidelity']);
+    assert.ok(second.fidelity.score > first.fidelity.score);
+
+    await fs.access(path.join(CONFIG.runsDir, report.runId, 'references', 'desktop.png'));
+    const html = await fs.readFile('final-report.html', 'utf8');
+    assert.match(html, /Fidelity to the reference designs/);
+    assert.match(html, /The header is missing/);
+  });
+
+  test('scenario sessions are recorded and linked from the report', { skip: browserMissing }, async () => {
+    CONFIG.recording = { video: true, trace: true, actionLog: true, keyFrames: 2 };
+    const { report } = await run([
+      ['generate', respond.code(1)],
+      ['testPlan', respond.testPlan()],
+      ['testExecution', JSON.stringify({ step: 1, thought: 'Look further down', tool: 'scroll', args: { direction: 'down', amount: 200 } })],
+      ['testExecution', respond.finish('fail')],
+      ['visualReview', respond.visual(0.8)],
+      ['feedback', respond.feedback(0.9, ['Adding a task does nothing'])]
+    ]);
+
+    const runDir = path.join(CONFIG.runsDir, report.runId);
+    const [recording] = report.iterations[0].recordings;
+    assert.deepEqual([recording.scenario, recording.status, recording.steps], ['Add a task 1', 'failed', 2]);
+    for (const file of [recording.video, recording.trace, recording.actionLog]) {
+      await fs.access(path.join(runDir, file));
+    }
+    const log = JSON.parse(await fs.readFile(path.join(runDir, recording.actionLog), 'utf8'));
+    assert.deepEqual(log.entries.map(entry => [entry.step, entry.tool, entry.ok]), [[1, 'scroll', true], [2, 'finish', true]]);
+    // The failure's key frames are the page before and after the only step
+    assert.deepEqual(recording.keyFrames.map(frame => [frame.step, frame.when]), [[1, 'before'], [1, 'after']]);
+    await fs.access(path.join(runDir, recording.keyFrames[1].screenshot));
+
+    const scores = JSON.parse(await fs.readFile(path.join(runDir, 'iteration-1', 'scores.json'), 'utf8'));
+    assert.deepEqual(scores.recordings, report.iterations[0].recordings);
+    const html = await fs.readFile('final-report.html', 'utf8');
+    assert.match(html, /Session recordings/);
+    assert.match(html, new RegExp(`href="runs/${report.runId}/iteration-1/recordings/01-add-a-task-1/video.webm"`));
+    assert.match(html, /scroll \{&quot;direction&quot;:&quot;down&quot;,&quot;amount&quot;:200\}/);
+  });
+
+  test('a replay that runs off the cassette mid-scenario still closes its recording', { skip: browserMissing }, async () => {
+    CONFIG.recording = { video: true, trace: false, actionLog: false, keyFrames: 0 };
+    await assert.rejects(run([['generate', respond.code(1)], ['testPlan', respond.testPlan()]]), { name: 'CassetteMissError', stage: 'testExecution' });
+
+    const [runId] = await fs.readdir(CONFIG.runsDir);
+    await fs.access(path.join(CONFIG.runsDir, runId, 'iteration-1', 'recordings', '01-add-a-task-1', 'video.webm'));
+  });
+
+  test('improvements are targeted edits tied to the findings they address', async () => {
+    Object.assign(CONFIG, { editMode: 'patch' });
+    const { report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Title is vague'] }),
+      ['improve', respond.edits([{ issue: 'Title is vague', search: '<main>Tasks v1</main>', replace: '<main>Tasks v2</main>' }])],
+      ...iteration({ score: 0.9 })
+    ]);
+
+    assert.equal(component, respond.code(2));
+    assert.deepEqual(report.iterations[0].improvement, {
+      mode: 'patch',
+      edits: [{ issue: 'Title is vague', file: 'src/components/GeneratedPrototype.tsx', removed: 1, added: 1 }]
+    });
+    assert.match(await fs.readFile('final-report.html', 'utf8'), /Title is vague → src\/components\/GeneratedPrototype.tsx/);
+  });
+
+  test('an edit that does not apply falls back to rewriting the component', async () => {
+    Object.assign(CONFIG, { editMode: 'patch' });
+    const { report, component } = await run([
+      ['generate', respond.code(1)],
+      ...iteration({ score: 0.5, issues: ['Title is vague'] }),
+      ['improve', respond.edits([{ issue: 'Title is vague', search: '<h1>Tasks</h1>', replace: '<h1>My tasks</h1>' }])],
+      ['improve', respond.code(2)],
+      ...iteration({ score: 0.9 })
+    ]);
+
+    assert.equal(component, respond.code(2));
+    assert.deepEqual(report.iterations[0].improvement, {
+      mode: 'rewrite',
+      fallbackReason: '1 of 1 edit(s) didn\'t apply',
+      conflicts: [{ edit: 1, issue: 'Title is vague', file: 'src/components/GeneratedPrototype.tsx', reason: 'search text not found' }]
+    });
+  });
+
+  test('a recorded run replays offline with the same results', async () => {
+    const file = path.join(dir, 'recorded.json');
+    const responses = [respond.code(1), respond.testPlan(2), respond.finish(), respond.finish('fail'), respond.visual(0.7), respond.feedback(0.9)];
+
+    const recorder = withBrowser(new PrototypeOrchestrator());
+    recorder.providers = { get: () => ({ complete: async () => ({ text: responses.shift(), usage: USAGE }) }) };
+    await recorder.useCassette({ mode: 'record', file });
+    await recorder.runWorkflow('A todo list');
+    const recorded = JSON.parse(await fs.readFile('final-report.json', 'utf8'));
+
+    const player = withBrowser(new PrototypeOrchestrator());
+    player.providers = { get: () => assert.fail('replay must not call a provider') };
+    await player.useCassette({ mode: 'replay', file });
+    await player.runWorkflow('A todo list');
+    const replayed = JSON.parse(await fs.readFile('final-report.json', 'utf8'));
+
+    assert.equal(responses.length, 0);
+    assert.deepEqual(player.cassette.unused(), []);
+    assert.ok(player.cassette.entries.every(entry => entry.fingerprint));
+    assert.deepEqual(replayed.iterations.map(entry => entry.score), recorded.iterations.map(entry => entry.score));
+    assert.equal(replayed.finalCode, recorded.finalCode);
+    assert.deepEqual(replayed.usage.totals.inputTokens, recorded.usage.totals.inputTokens);
+  });
+});
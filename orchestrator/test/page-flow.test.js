@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { serializeBundle, writeBundle, readBundle, readFlowManifest, removeFlow, checkFlowName, entryComponent, ENTRY_FILE } from '../lib/page-flow.js';
+
+async function project() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-flow-'));
+  await fs.mkdir(path.join(dir, 'src/components/ui'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'src/components/ui/button.tsx'), 'export function Button() {}');
+  return dir;
+}
+
+const bundle = files => serializeBundle(files.map(file => ({ path: file, content: `// ${file}` })));
+
+test('rewriting a flow only removes files it wrote itself', async () => {
+  const dir = await project();
+  try {
+    await fs.mkdir(path.join(dir, 'src/pages/shop'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'src/pages/shop/notes.tsx'), '// written by hand');
+
+    await writeBundle(dir, bundle(['src/pages/shop/cart.tsx', 'src/pages/shop/payment.tsx', 'src/components/shop/Steps.tsx', ENTRY_FILE]), 'shop');
+    await writeBundle(dir, bundle(['src/pages/shop/cart.tsx', ENTRY_FILE]), 'shop');
+
+    const files = await fs.readdir(path.join(dir, 'src'), { recursive: true });
+    assert.deepEqual(files.filter(file => file.endsWith('.tsx')).sort(), [
+      'components/GeneratedPrototype.tsx',
+      'components/ui/button.tsx',
+      'pages/shop/cart.tsx',
+      'pages/shop/notes.tsx'
+    ].map(file => file.split('/').join(path.sep)));
+    assert.match(await readBundle(dir, 'shop'), /FILE: src\/pages\/shop\/cart\.tsx/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a flow can't take over folders it didn't generate", async () => {
+  const dir = await project();
+  try {
+    await assert.rejects(checkFlowName(dir, 'ui'), /"ui" as the prototype name: src\/components\/ui\/ already exists/);
+    await checkFlowName(dir, 'shop');
+
+    // A flow it generated before can be generated again
+    await writeBundle(dir, bundle(['src/pages/shop/cart.tsx']), 'shop');
+    await checkFlowName(dir, 'shop');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('removing a flow takes its files and folders and resets the entry that pointed at it', async () => {
+  const dir = await project();
+  try {
+    const files = ['src/components/shop/Steps.tsx', 'src/pages/shop/cart.tsx'];
+    await writeBundle(dir, serializeBundle([
+      ...files.map(file => ({ path: file, content: `// ${file}` })),
+      { path: ENTRY_FILE, content: entryComponent('/shop/cart') }
+    ]), 'shop', { runId: 'run-20250101-120000' });
+    assert.equal((await readFlowManifest(dir, 'shop')).runId, 'run-20250101-120000');
+
+    assert.deepEqual(await removeFlow(dir, 'shop'), files);
+    await assert.rejects(fs.access(path.join(dir, 'src/pages/shop')));
+    await assert.rejects(fs.access(path.join(dir, 'src/components/shop')));
+    await fs.access(path.join(dir, 'src/components/ui/button.tsx'));
+    assert.doesNotMatch(await fs.readFile(path.join(dir, ENTRY_FILE), 'utf8'), /Redirect/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parsePersona, loadPersonas, combinePersonaFeedback, personaContextOptions, describePersona, BUILTIN_PERSONAS_DIR } from '../lib/personas.js';
+import { executeScenario } from '../lib/step-executor.js';
+
+const KEYBOARD = `---
+name: Keyboard user
+keyboardOnly: true
+---
+Never uses a mouse.`;
+
+test('a persona file has front matter and a description', () => {
+  const persona = parsePersona(KEYBOARD, 'keyboard');
+  assert.deepEqual(persona, {
+    id: 'keyboard',
+    name: 'Keyboard user',
+    keyboardOnly: true,
+    screenReader: false,
+    zoom: 1,
+    description: 'Never uses a mouse.'
+  });
+
+  assert.throws(() => parsePersona('Just some text', 'plain'), /front matter/);
+  assert.throws(() => parsePersona('---\nname: A\nzooom: 2\n---\nText', 'typo'), /unknown front matter line "zooom: 2"/);
+  assert.throws(() => parsePersona('---\nname: A\nzoom: huge\n---\nText', 'zoom'), /invalid zoom/);
+  assert.throws(() => parsePersona('---\nname: A\n---\n', 'empty'), /needs a description/);
+});
+
+test('every bundled persona parses', async () => {
+  const personas = await loadPersonas(['all'], [BUILTIN_PERSONAS_DIR]);
+  assert.ok(personas.length >= 5);
+  assert.ok(personas.some(persona => persona.keyboardOnly));
+  assert.ok(personas.some(persona => persona.screenReader));
+  assert.ok(personas.some(persona => persona.zoom === 2));
+});
+
+test("a team's own persona replaces the bundled one of the same id", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'personas-'));
+  await fs.writeFile(path.join(dir, 'first-time-user.md'), '---\nname: Our first-time user\n---\nA new clinic receptionist.');
+
+  const [persona] = await loadPersonas(['first-time-user'], [dir, BUILTIN_PERSONAS_DIR]);
+  assert.equal(persona.name, 'Our first-time user');
+  await assert.rejects(loadPersonas(['pirate'], [dir, BUILTIN_PERSONAS_DIR]), /Persona "pirate" not found.*available: .*first-time-user/);
+});
+
+test('persona feedback is combined with every finding labelled', () => {
+  const novice = { id: 'novice', name: 'Novice' };
+  const expert = { id: 'expert', name: 'Expert' };
+  const combined = combinePersonaFeedback([
+    { persona: novice, feedback: { overallScore: 0.6, positives: ['Clear title'], issues: ['Add button hidden'], improvements: ['Label the button'], reasoning: 'Got lost' } },
+    { persona: expert, feedback: { overallScore: 0.9, positives: [], issues: ['No shortcuts'], improvements: [], reasoning: 'Fast enough' } }
+  ]);
+
+  assert.equal(combined.overallScore, 0.75);
+  assert.deepEqual(combined.issues, ['[Novice] Add button hidden', '[Expert] No shortcuts']);
+  assert.deepEqual(combined.improvements, ['[Novice] Label the button']);
+  assert.deepEqual(combined.personas.map(session => [session.id, session.overallScore]), [['novice', 0.6], ['expert', 0.9]]);
+
+  const partial = combinePersonaFeedback([
+    { persona: novice, feedback: { overallScore: 0.8, positives: [], issues: [], improvements: [], reasoning: '' } },
+    { persona: expert, feedback: { overallScore: null, unscored: true, positives: [], issues: [], improvements: [], reasoning: '' } }
+  ]);
+  assert.equal(partial.overallScore, null);
+  assert.equal(partial.unscored, true);
+});
+
+test('zoom lays the page out in a smaller viewport at a higher density', () => {
+  const viewport = { width: 1280, height: 720 };
+  assert.deepEqual(personaContextOptions({ zoom: 1 }, viewport), { viewport });
+  assert.deepEqual(personaContextOptions({ zoom: 2 }, viewport), { viewport: { width: 640, height: 360 }, deviceScaleFactor: 2 });
+  assert.match(describePersona({ name: 'Low vision', description: 'Zooms in.', zoom: 2 }), /200% zoom/);
+});
+
+test('a keyboard-only persona cannot click and types into the focused element', async () => {
+  const typed = [];
+  const page = {
+    url: () => 'http://localhost:5173/',
+    locator: () => ({ ariaSnapshot: async () => '- button "Add task"' }),
+    evaluate: async () => 'input "New task"',
+    keyboard: { type: async text => typed.push(text), press: async () => {} },
+    waitForTimeout: async () => {},
+    getByRole: () => assert.fail('a keyboard-only tester must not target elements')
+  };
+  const replies = [
+    { tool: 'click', args: { target: { role: 'button', name: 'Add task' } } },
+    { tool: 'fill', args: { value: 'Buy milk' } },
+    { tool: 'finish', args: { verdict: 'pass', reason: 'Typed the task' } }
+  ];
+  const requests = [];
+
+  const execution = await executeScenario(page, { name: 'Add', steps: ['Add a task'], expectedOutcome: 'Task added' }, {
+    persona: parsePersona(KEYBOARD, 'keyboard'),
+    callModel: async (stage, request) => {
+      requests.push(request);
+      return JSON.stringify(replies.shift());
+    }
+  });
+
+  assert.equal(execution.verdict, 'pass');
+  assert.equal(execution.actions[0].ok, false);
+  assert.match(execution.actions[0].result, /can't use click/);
+  assert.deepEqual(typed, ['Buy milk']);
+  assert.match(requests[0].system, /Persona: Keyboard user/);
+  assert.match(requests[0].messages[0].content, /Keyboard focus: input "New task"/);
+});
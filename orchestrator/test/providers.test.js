@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider } from '../lib/providers.js';
+
+const SCHEMA = { name: 'test_plan', schema: { type: 'object', properties: { scenarios: { type: 'array' } } } };
+
+test('an OpenAI model that rejects response_format is asked again without it', async () => {
+  const provider = createProvider('openai', { type: 'openai', apiKey: 'test-key' });
+  const requests = [];
+  provider.client = {
+    chat: {
+      completions: {
+        create: async request => {
+          requests.push(request);
+          if (request.response_format) {
+            throw Object.assign(new Error("400 Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model."), { status: 400 });
+          }
+          return { model: 'gpt-4-0613', choices: [{ message: { content: ' {"scenarios": []} ' } }], usage: { prompt_tokens: 12, completion_tokens: 5 } };
+        }
+      }
+    }
+  };
+
+  const call = () => provider.complete({ model: 'gpt-4', messages: [{ role: 'user', content: 'Plan tests' }], temperature: 0, jsonSchema: SCHEMA });
+  assert.deepEqual(await call(), { text: '{"scenarios": []}', model: 'gpt-4-0613', usage: { inputTokens: 12, outputTokens: 5 } });
+  assert.deepEqual(requests.map(request => request.response_format?.type), ['json_schema', undefined]);
+
+  // The model is remembered, so later calls don't fail first
+  await call();
+  assert.equal(requests.length, 3);
+  assert.equal(requests[2].response_format, undefined);
+});
+
+test('other request errors are not retried', async () => {
+  const provider = createProvider('openai', { type: 'openai', apiKey: 'test-key' });
+  let calls = 0;
+  provider.client = {
+    chat: {
+      completions: {
+        create: async () => {
+          calls++;
+          throw Object.assign(new Error('400 This model\'s maximum context length is 8192 tokens.'), { status: 400 });
+        }
+      }
+    }
+  };
+
+  await assert.rejects(provider.complete({ model: 'gpt-4', messages: [{ role: 'user', content: 'Plan tests' }], jsonSchema: SCHEMA }), /maximum context length/);
+  assert.equal(calls, 1);
+});
+
+test('a compatible local server needs no API key, the hosted services do', () => {
+  assert.ok(createProvider('ollama', { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1' }));
+  assert.throws(() => createProvider('openai', { type: 'openai' }), /Provider "openai" has no API key configured/);
+  assert.throws(() => createProvider('anthropic', { type: 'anthropic' }), /no API key/);
+  assert.throws(() => createProvider('proxy', { type: 'openai-compatible' }), /no API key/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCommand, parseNumbers, runReview, curateFeedback, rejectedFindings, withoutRejected } from '../lib/review-console.js';
+
+const feedback = { overallScore: 0.6, positives: [], issues: ['Add button is hidden', 'No empty state'], improvements: ['Show the add button'], reasoning: '' };
+const visualFeedback = { visualScore: 0.7, designPositives: [], designIssues: ['[mobile-light] Title wraps', 'Too much purple'], designImprovements: [], visualReasoning: '' };
+const screenshots = [
+  { name: 'iteration-2-initial', file: 'iteration-2/screenshots/iteration-2-initial.png' },
+  { name: 'iteration-2-matrix-mobile-light', file: 'iteration-2/screenshots/iteration-2-matrix-mobile-light.png' }
+];
+
+test('finding numbers can be lists and ranges', () => {
+  assert.deepEqual(parseNumbers('1,3-4', 4), [0, 2, 3]);
+  assert.throws(() => parseNumbers('5', 4), /out of range \(1-4\)/);
+  assert.throws(() => parseNumbers('first', 4), /not a number/);
+  assert.throws(() => parseNumbers('', 4), /Give the number/);
+});
+
+test('the designer rejects, reprioritizes, adds direction and points at screenshots', async () => {
+  const answers = ['r 4', 'h 2', 'l 3', 'x 1', '+ Keep the header sticky', '@ mobile-light 0,40,375,120 The title should fit on one line', '@ 9 0,0,1,1 Nope', ''];
+  const prompts = [];
+  const review = await runReview(async prompt => {
+    prompts.push(prompt);
+    return answers.shift();
+  }, { feedback, visualFeedback, screenshots });
+
+  assert.equal(prompts.length, 8);
+  assert.equal(review.stop, false);
+  assert.deepEqual(review.findings.map(finding => [finding.status, finding.priority]), [
+    ['accepted', 'normal'],
+    ['accepted', 'high'],
+    ['accepted', 'low'],
+    ['rejected', 'normal']
+  ]);
+  assert.deepEqual(review.instructions, ['Keep the header sticky']);
+  assert.deepEqual(review.regions, [{
+    screenshot: 'iteration-2/screenshots/iteration-2-matrix-mobile-light.png',
+    name: 'iteration-2-matrix-mobile-light',
+    x: 0, y: 40, width: 375, height: 120,
+    note: 'The title should fit on one line'
+  }]);
+  assert.deepEqual(rejectedFindings(review), ['Too much purple']);
+
+  const curated = curateFeedback(feedback, visualFeedback, review);
+  assert.deepEqual(curated.feedback.issues, ['[High priority] No empty state', 'Add button is hidden']);
+  assert.deepEqual(curated.visualFeedback.designIssues, ['[Low priority] [mobile-light] Title wraps']);
+  assert.deepEqual(curated.feedback.improvements, feedback.improvements);
+});
+
+test('stop ends the review and asks to end the run', () => {
+  const review = { findings: [], instructions: [], regions: [] };
+  assert.equal(applyCommand(review, 'stop'), 'stop');
+  assert.equal(applyCommand(review, '   '), 'done');
+  assert.throws(() => applyCommand(review, '+   '), /Type the instruction/);
+  assert.throws(() => applyCommand(review, '@ 1 10,10 Too small', screenshots), /Point at a region with/);
+});
+
+test('rejected findings are dropped even with different spacing or case', () => {
+  assert.deepEqual(
+    withoutRejected(['Too much  purple', 'Title wraps', 'too much purple'], ['Too much purple']),
+    ['Title wraps']
+  );
+  assert.deepEqual(withoutRejected(undefined, ['Anything']), []);
+});
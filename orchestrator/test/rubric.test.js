@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureCriteria, scoreRubric, missingReasons, unmetConditions, blockingIssues, plateaued, performanceScore, formatCriteria } from '../lib/rubric.js';
+
+const testResults = {
+  testResults: [{ status: 'passed' }, { status: 'passed' }, { status: 'failed' }, { status: 'passed' }],
+  accessibilityResults: { score: 0.9, findings: [{ impact: 'critical', ruleId: 'button-name' }] },
+  runtimeDiagnostics: { fatal: false, errors: ['TypeError: x is undefined'] },
+  specResults: [{ name: 'Add a task', status: 'failed' }],
+  buildStatus: { compiled: true },
+  performance: { loadMs: 2500 }
+};
+const feedback = { overallScore: 0.8 };
+const visualFeedback = { visualScore: 0.6 };
+
+test('every criterion is measured from the tests and reviews', () => {
+  assert.deepEqual(measureCriteria({ testResults, feedback, visualFeedback }), {
+    functional: 0.75,
+    ux: 0.8,
+    visual: 0.6,
+    accessibility: 0.9,
+    runtime: 0.75,
+    performance: 0.5,
+    fidelity: null
+  });
+  assert.equal(measureCriteria({ testResults, feedback, visualFeedback, fidelity: { score: 0.7 } }).fidelity, 0.7);
+  assert.equal(measureCriteria({ testResults: { runtimeDiagnostics: { fatal: true, errors: [] } }, feedback, visualFeedback }).runtime, 0);
+  assert.equal(performanceScore(800), 1);
+  assert.equal(performanceScore(5000, { good: 1000, poor: 3000 }), 0);
+  assert.equal(performanceScore(undefined), null);
+});
+
+test('the score is the weighted average and minimums are checked on their own', () => {
+  const values = measureCriteria({ testResults, feedback, visualFeedback });
+  const rubric = scoreRubric(values, { functional: { weight: 2 }, ux: { weight: 1 }, visual: { weight: 1, min: 0.7 }, runtime: { weight: 0, min: 1 } });
+
+  assert.equal(rubric.score, 0.725);
+  assert.deepEqual(rubric.missing, []);
+  assert.deepEqual(rubric.criteria.filter(criterion => criterion.belowMinimum).map(criterion => criterion.name), ['visual', 'runtime']);
+  assert.equal(formatCriteria(rubric.criteria), 'functional 0.75 ×2, ux 0.8, visual 0.6 (min 0.7, not met), runtime 0.75 ×0 (min 1, not met)');
+
+  // An unmeasured criterion leaves the iteration unscored
+  const unmeasured = scoreRubric({ ...values, performance: null }, { ux: { weight: 1 }, performance: { weight: 1 } });
+  assert.equal(unmeasured.score, null);
+  assert.deepEqual(missingReasons(unmeasured.missing), ['page load time not measured']);
+});
+
+test('stop rules add failing scenarios and blocking issues to the quality bar', () => {
+  const criteria = [{ name: 'ux', value: 0.9, weight: 1 }];
+  assert.deepEqual(unmetConditions({ score: 0.9, criteria, testResults }, { threshold: 0.8 }), []);
+  assert.deepEqual(unmetConditions({ score: 0.9, criteria, testResults }, { threshold: 0.8, stopRules: { allScenariosPass: true, noBlockingIssues: true } }), [
+    '1 scenario run(s) failed',
+    'Earlier spec fails: Add a task',
+    'Critical accessibility finding: button-name'
+  ]);
+  assert.deepEqual(unmetConditions({ score: null, criteria, testResults: {} }, { threshold: 0.8 }), ['Unscored']);
+  // A build nobody could check isn't reported as failing
+  assert.deepEqual(blockingIssues({ buildStatus: { compiled: null } }), []);
+  assert.deepEqual(blockingIssues({ buildStatus: { compiled: false } }), ['The build is failing']);
+  assert.deepEqual(unmetConditions({ score: 0.5, criteria, testResults: {} }, { threshold: 0.8 }), ['Score 0.5 is below the threshold of 0.8']);
+});
+
+test('a plateau is a run of iterations without a real improvement', () => {
+  assert.equal(plateaued([0.5, 0.6], { plateau: 2 }), false);
+  assert.equal(plateaued([0.5, 0.6, 0.61, 0.6], { plateau: 2, plateauDelta: 0.02 }), true);
+  assert.equal(plateaued([0.5, 0.6, 0.61, 0.65], { plateau: 2, plateauDelta: 0.02 }), false);
+  assert.equal(plateaued([0.5, null], { plateau: 1 }), true);
+  assert.equal(plateaued([null, 0.5], { plateau: 1 }), false);
+  assert.equal(plateaued([0.5, 0.5], { plateau: null }), false);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createActionLog, writeActionLog, keyFrames, startSession, finishSession } from '../lib/session-recording.js';
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'session-recording-'));
+}
+
+test('the action log times every step and screenshots the page before and after', async () => {
+  const dir = await tempDir();
+  try {
+    let crashed = false;
+    const page = {
+      screenshot: async ({ path: file }) => {
+        if (crashed) throw new Error('Target closed');
+        await fs.writeFile(file, 'png');
+      }
+    };
+    const log = createActionLog(page, dir);
+
+    await log.step({ step: 7, thought: 'Add a task', tool: 'click', args: { target: { text: 'Add' } } }, async () => {});
+    crashed = true;
+    const record = { tool: 'fill', args: { value: 'Buy milk' } };
+    await log.step(record, async () => Object.assign(record, { ok: false, result: 'Target closed' }));
+    log.note({ tool: 'finish', args: { verdict: 'fail' }, ok: true, result: 'fail' });
+
+    const [click, fill, finish] = log.entries;
+    assert.deepEqual(
+      { step: click.step, tool: click.tool, before: click.before, after: click.after },
+      { step: 1, tool: 'click', before: path.join('steps', '01-before.png'), after: path.join('steps', '01-after.png') }
+    );
+    assert.equal(typeof click.durationMs, 'number');
+    assert.ok(click.elapsedMs >= 0 && !Number.isNaN(Date.parse(click.at)));
+    await fs.access(path.join(dir, click.after));
+    // The step is logged with its outcome even when the page can't be screenshotted
+    assert.deepEqual([fill.step, fill.ok, fill.result, fill.before, fill.after], [2, false, 'Target closed', null, null]);
+    assert.equal(finish.step, 3);
+
+    const file = await writeActionLog(log, dir, { scenario: 'Add a task', status: 'failed' });
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(saved.scenario, 'Add a task');
+    assert.equal(saved.startedAt, log.startedAt);
+    assert.equal(saved.entries.length, 3);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('key frames show where a failed scenario started, went wrong and ended', () => {
+  const step = (number, ok) => ({
+    step: number,
+    tool: 'click',
+    args: { target: { text: `Button ${number}` } },
+    ok,
+    result: ok ? 'clicked' : 'Timeout',
+    before: `steps/0${number}-before.png`,
+    after: `steps/0${number}-after.png`
+  });
+  const entries = [step(1, true), step(2, false), step(3, true), step(4, false), step(5, true), { step: 6, tool: 'finish', ok: true, result: 'fail' }];
+
+  assert.deepEqual(keyFrames(entries, 4).map(frame => frame.screenshot), [
+    'steps/01-before.png',
+    'steps/02-after.png',
+    'steps/04-after.png',
+    'steps/05-after.png'
+  ]);
+  assert.deepEqual(keyFrames(entries, 2).map(frame => frame.screenshot), ['steps/04-after.png', 'steps/05-after.png']);
+  assert.equal(keyFrames(entries, 1)[0].description, 'click {"target":{"text":"Button 5"}} -> OK: clicked');
+  assert.deepEqual(keyFrames(entries, 0), []);
+  assert.deepEqual(keyFrames([{ step: 1, tool: 'finish', ok: true, result: 'fail' }], 3), []);
+});
+
+test('a session records video and a trace in a context of its own', async () => {
+  const dir = path.join(await tempDir(), 'recording');
+  const calls = [];
+  const video = {
+    saveAs: async file => calls.push(['saveAs', file]),
+    delete: async () => calls.push(['delete'])
+  };
+  const context = {
+    tracing: {
+      start: async options => calls.push(['trace', options]),
+      stop: async options => calls.push(['stopTrace', options])
+    },
+    newPage: async () => ({ video: () => video }),
+    close: async () => calls.push(['close'])
+  };
+  const browser = {
+    newContext: async options => {
+      calls.push(['context', options]);
+      return context;
+    }
+  };
+  try {
+    const session = await startSession(browser, { viewport: { width: 1280, height: 720 } }, { video: true, trace: true }, dir, 'Add a task');
+    const files = await finishSession(session, { video: true, trace: true });
+
+    assert.deepEqual(calls, [
+      ['context', { viewport: { width: 1280, height: 720 }, recordVideo: { dir, size: { width: 1280, height: 720 } } }],
+      ['trace', { title: 'Add a task', screenshots: true, snapshots: true }],
+      ['stopTrace', { path: path.join(dir, 'trace.zip') }],
+      ['close'],
+      ['saveAs', path.join(dir, 'video.webm')],
+      ['delete']
+    ]);
+    assert.deepEqual(files, { video: path.join(dir, 'video.webm'), trace: path.join(dir, 'trace.zip') });
+
+    // A session that wasn't tracing has no trace to stop
+    calls.length = 0;
+    const untraced = await startSession(browser, {}, { video: false }, dir, 'Add a task');
+    assert.deepEqual(await finishSession(untraced, { video: false, trace: true }), {});
+    assert.deepEqual(calls, [['context', {}], ['close']]);
+  } finally {
+    await fs.rm(path.dirname(dir), { recursive: true, force: true });
+  }
+});
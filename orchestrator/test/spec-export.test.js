@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { specFromExecution, renderSpecFile, replaySpec } from '../lib/spec-export.js';
+
+const scenario = { name: 'Add a task', expectedOutcome: 'Buy milk appears in the list' };
+const execution = {
+  verdict: 'pass',
+  actions: [
+    { tool: 'click', args: { target: { selector: '#nope' } }, ok: false, result: 'Timeout' },
+    { tool: 'fill', args: { target: { label: 'New task' }, value: 'Buy milk' }, ok: true },
+    { tool: 'press', args: { key: 'Enter' }, ok: true },
+    { tool: 'assert_text', args: { text: 'Buy milk' }, ok: true }
+  ],
+  evidence: [{ role: 'listitem', name: 'Buy milk' }]
+};
+
+test('a passed scenario keeps only the actions that worked', () => {
+  const spec = specFromExecution(scenario, execution, { startRoute: '/', iteration: 2 });
+  assert.deepEqual(spec.steps.map(step => step.tool), ['fill', 'press', 'assert_text']);
+  assert.equal(spec.iteration, 2);
+  assert.deepEqual(spec.evidence, [{ role: 'listitem', name: 'Buy milk' }]);
+
+  const persona = specFromExecution(scenario, execution, { startRoute: '/', iteration: 1, persona: { name: 'Keyboard user' } });
+  assert.equal(persona.name, 'Add a task (Keyboard user)');
+});
+
+test('specs are written as @playwright/test code with stable locators', () => {
+  const spec = specFromExecution(scenario, execution, { startRoute: '/variants/variant-1', iteration: 1 });
+  const unchecked = { name: 'Open the menu', expectedOutcome: 'Menu opens', startRoute: '/', steps: [{ tool: 'click', args: { target: { selector: '.menu' } } }], evidence: [] };
+  const code = renderSpecFile([spec, unchecked], { title: 'GeneratedPrototype', file: 'e2e/generated-prototype.spec.ts' });
+
+  assert.match(code, /import \{ test, expect \} from '@playwright\/test';/);
+  assert.match(code, /test\.describe\("GeneratedPrototype"/);
+  assert.match(code, /await page\.goto\(new URL\("\/variants\/variant-1", BASE_URL\)\.href\);/);
+  assert.match(code, /await page\.getByLabel\("New task"\)\.first\(\)\.fill\("Buy milk"\);/);
+  assert.match(code, /await page\.keyboard\.press\("Enter"\);/);
+  assert.match(code, /await expect\(page\.getByText\("Buy milk"\)\.first\(\)\)\.toBeVisible\(\);/);
+  assert.match(code, /await expect\(page\.getByRole\("listitem", \{ name: "Buy milk" \}\)\.first\(\)\)\.toBeVisible\(\);/);
+  assert.match(code, /page\.locator\("\.menu"\)\.first\(\)\.click\(\); \/\/ Unstable CSS locator/);
+  assert.match(code, /add an assertion/);
+});
+
+test('replaying a spec reports the step or evidence that no longer works', async () => {
+  const spec = specFromExecution(scenario, execution, { startRoute: '/', iteration: 1 });
+  const page = ({ labelled = true, listed = true } = {}) => {
+    const locator = visible => ({
+      first: () => locator(visible),
+      fill: async () => {
+        if (!labelled) throw new Error('Timeout 5000ms exceeded.\nwaiting for getByLabel');
+      },
+      isVisible: async () => visible
+    });
+    return {
+      goto: async () => {},
+      waitForLoadState: async () => {},
+      keyboard: { press: async () => {} },
+      getByLabel: () => locator(true),
+      getByText: () => locator(true),
+      getByRole: () => locator(listed)
+    };
+  };
+
+  assert.deepEqual(await replaySpec(page(), spec, 'http://localhost:5173'), { name: 'Add a task', iteration: 1, status: 'passed' });
+  assert.deepEqual(await replaySpec(page({ labelled: false }), spec, 'http://localhost:5173'),
+    { name: 'Add a task', iteration: 1, status: 'failed', error: 'Step 1 (fill) failed: Timeout 5000ms exceeded.' });
+  assert.match((await replaySpec(page({ listed: false }), spec, 'http://localhost:5173')).error, /listitem.*to be visible/);
+});
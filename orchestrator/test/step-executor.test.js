@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeScenario } from '../lib/step-executor.js';
+
+const scenario = { name: 'Add', steps: ['Add a task'], expectedOutcome: 'Task added' };
+
+function fakePage() {
+  return {
+    url: () => 'http://localhost:5173/',
+    locator: () => ({ ariaSnapshot: async () => '- button "Add task"' }),
+    waitForTimeout: async () => {}
+  };
+}
+
+test('an action that breaks the schema is sent back to the model with what is wrong', async () => {
+  const replies = [
+    'Sure! {"tool": "tap", "args": {}} and then {"tool": "finish"}',
+    JSON.stringify({ tool: 'finish', args: { verdict: 'pass', reason: 'The task is listed' } })
+  ];
+  const requests = [];
+
+  const execution = await executeScenario(fakePage(), scenario, {
+    callModel: async (stage, request) => {
+      requests.push(request);
+      return replies.shift();
+    }
+  });
+
+  assert.equal(execution.verdict, 'pass');
+  assert.deepEqual(execution.actions, []);
+  assert.equal(requests[0].jsonSchema.name, 'step_action');
+  assert.match(requests[1].messages.at(-1).content, /Response is not valid JSON/);
+});
+
+test('a turn without a valid action is logged and the scenario goes on', async () => {
+  const replies = [
+    JSON.stringify({ tool: 'tap', args: {} }),
+    JSON.stringify({ tool: 'finish', args: { verdict: 'fail', reason: 'Nothing to add a task with' } })
+  ];
+
+  const execution = await executeScenario(fakePage(), scenario, {
+    maxRetries: 0,
+    callModel: async () => replies.shift()
+  });
+
+  assert.equal(execution.verdict, 'fail');
+  assert.equal(execution.actions.length, 1);
+  assert.deepEqual([execution.actions[0].tool, execution.actions[0].ok], ['invalid', false]);
+  assert.match(execution.actions[0].result, /response\.tool must be one of/);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { decodePng, encodePng, cropPng, diffImages, pairScreenshots, diffScreenshotPairs, screenshotKey } from '../lib/visual-diff.js';
+
+const WHITE = [255, 255, 255, 255];
+
+// A white page with optional filled boxes
+function page(width, height, boxes = []) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const box = boxes.find(box => x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height);
+      data.set(box ? box.color : WHITE, (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+test('PNGs round-trip through the encoder and decoder', () => {
+  const image = page(20, 10, [{ x: 2, y: 3, width: 5, height: 4, color: [30, 60, 90, 128] }]);
+  const decoded = decodePng(encodePng(image));
+  assert.equal(decoded.width, 20);
+  assert.equal(decoded.height, 10);
+  assert.deepEqual(decoded.data, image.data);
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG/);
+});
+
+test('palette PNGs, as design tools often export, decode to RGBA', () => {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    // The decoder doesn't check CRCs
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), body, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(2, 0);
+  header.writeUInt32BE(2, 4);
+  header.set([8, 3, 0, 0, 0], 8);
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('PLTE', Buffer.from([255, 255, 255, 30, 41, 59])),
+    chunk('tRNS', Buffer.from([0])),
+    // Each row starts with filter type 0, then one palette index per pixel
+    chunk('IDAT', zlib.deflateSync(Buffer.from([0, 0, 1, 0, 1, 1]))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+
+  assert.deepEqual(decodePng(png).data, new Uint8Array([255, 255, 255, 0, 30, 41, 59, 255, 30, 41, 59, 255, 30, 41, 59, 255]));
+  assert.throws(() => decodePng(Buffer.concat([png.subarray(0, 33), png.subarray(51)])), /no palette/);
+});
+
+test('a region is cropped out of a screenshot, clamped to its edges', () => {
+  const image = page(20, 10, [{ x: 4, y: 2, width: 3, height: 3, color: [0, 0, 0, 255] }]);
+  const crop = decodePng(cropPng(encodePng(image), { x: 4, y: 2, width: 3, height: 3 }));
+  assert.deepEqual([crop.width, crop.height], [3, 3]);
+  assert.ok(crop.data.every((value, i) => i % 4 === 3 ? value === 255 : value === 0));
+
+  const edge = decodePng(cropPng(encodePng(image), { x: 15, y: 5, width: 100, height: 100 }));
+  assert.deepEqual([edge.width, edge.height], [5, 5]);
+});
+
+test('a moved button shows up in the pixel and perceptual diff', () => {
+  const before = page(64, 64, [{ x: 8, y: 8, width: 16, height: 8, color: [37, 99, 235, 255] }]);
+  const after = page(64, 64, [{ x: 40, y: 8, width: 16, height: 8, color: [37, 99, 235, 255] }]);
+
+  const same = diffImages(before, before);
+  assert.equal(same.pixelChange, 0);
+  assert.equal(same.perceptualChange, 0);
+  assert.equal(same.similarity, 1);
+  assert.deepEqual(same.regions, []);
+
+  const moved = diffImages(before, after);
+  assert.equal(moved.pixelChange, 256 / 4096);
+  assert.equal(moved.perceptualChange, 4 / 64);
+  assert.deepEqual(moved.regions, [{ x: 8, y: 8, width: 16, height: 8 }, { x: 40, y: 8, width: 16, height: 8 }]);
+  assert.deepEqual([...moved.diff.data.subarray((8 * 64 + 8) * 4, (8 * 64 + 8) * 4 + 4)], [255, 0, 0, 255]);
+
+  // A barely different shade is not a change
+  const tinted = page(64, 64, [{ x: 8, y: 8, width: 16, height: 8, color: [38, 100, 236, 255] }]);
+  assert.equal(diffImages(before, tinted).pixelChange, 0);
+});
+
+test('a page that grew counts the new part as changed', () => {
+  const result = diffImages(page(32, 32), page(32, 48));
+  assert.equal(result.sizeChanged, true);
+  assert.equal(result.pixelChange, 0.3333);
+  assert.deepEqual(result.regions, [{ x: 0, y: 32, width: 32, height: 16 }]);
+});
+
+test('screenshots are paired across iterations by name and diffed to files', async () => {
+  assert.equal(screenshotKey('screenshots/iteration-12-variant-2-matrix-mobile-dark.png'), 'matrix-mobile-dark');
+  assert.deepEqual(pairScreenshots(
+    ['runs/x/iteration-1/screenshots/iteration-1-initial.png', 'runs/x/iteration-1/screenshots/iteration-1-Old-scenario.png'],
+    ['screenshots/iteration-2-initial.png', 'screenshots/iteration-2-New-scenario.png']
+  ), [{ key: 'initial', before: 'runs/x/iteration-1/screenshots/iteration-1-initial.png', after: 'screenshots/iteration-2-initial.png' }]);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'visual-diff-'));
+  try {
+    await fs.writeFile(path.join(dir, 'iteration-1-initial.png'), encodePng(page(16, 16)));
+    await fs.writeFile(path.join(dir, 'iteration-2-initial.png'), encodePng(page(16, 16, [{ x: 0, y: 0, width: 8, height: 8, color: [0, 0, 0, 255] }])));
+    const pairs = pairScreenshots([path.join(dir, 'iteration-1-initial.png'), path.join(dir, 'iteration-1-missing.png')],
+      [path.join(dir, 'iteration-2-initial.png'), path.join(dir, 'iteration-2-missing.png')]);
+
+    const [change, ...rest] = await diffScreenshotPairs(pairs, path.join(dir, 'diffs'));
+    assert.deepEqual(rest, []);
+    assert.equal(change.key, 'initial');
+    assert.equal(change.pixelChange, 0.25);
+    assert.equal(change.diff, path.join(dir, 'diffs', 'initial.png'));
+    assert.equal(decodePng(await fs.readFile(change.diff)).width, 16);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
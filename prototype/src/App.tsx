@@ -1,7 +1,6 @@
 import { useState, useEffect } from 'react';
 import './App.css'
 import { Switch, Route } from 'wouter'
-import Home from "@/pages/home"
 import NotFound from "@/pages/not-found"
 import GeneratedPrototype from "@/components/GeneratedPrototype";
 
@@ -17,8 +16,8 @@ function Router() {
       Object.entries(pages).map(async ([path, importFunc]) => {
         const module = await importFunc() as any;
         
-        // Skip the main home and not-found pages as they're imported directly
-        if (path.endsWith('/home.tsx') || path.endsWith('/not-found.tsx')) {
+        // Skip the not-found page as it's imported directly
+        if (path.endsWith('/not-found.tsx')) {
           return null;
         }
         
@@ -42,7 +41,8 @@ function Router() {
 
   return (
     <Switch>
-      <Route path="/" component={Home} />
+      {/* The generated prototype is the start page; multi-page prototypes redirect from here to their first page */}
+      <Route path="/" component={GeneratedPrototype} />
       {routes.map(({ path, component: Component }) => (
         <Route key={path} path={path}>
           {(params) => <Component {...params} />}
@@ -56,7 +56,7 @@ function Router() {
 function App() {
   return (
     <div className="App">
-      <GeneratedPrototype />
+      <Router />
     </div>
   )
 }